@@ -8,6 +8,11 @@ const els = {
   // Navigation
   navHome: domGet("navHome"),
   navAbout: domGet("navAbout"),
+  navSessions: domGet("navSessions"),
+  sessionDialog: domGet("sessionDialog"),
+  sessionDialogInfo: domGet("sessionDialogInfo"),
+  sessionList: domGet("sessionList"),
+  btnSessionWipe: domGet("btnSessionWipe"),
   viewHome: domGet("viewHome"),
   viewInputs: domGet("viewInputs"),
   viewReport: domGet("viewReport"),
@@ -23,12 +28,77 @@ const els = {
   editorColumn: domGet("editorColumn"),
   editorColumnSearch: domGet("editorColumnSearch"),
   editorColumnSearchResults: domGet("editorColumnSearchResults"),
+  editorWeekKind: domGet("editorWeekKind"),
+  editorWeeksBody: domGet("editorWeeksBody"),
+  editorWeekSuggestion: domGet("editorWeekSuggestion"),
+  editorSemesterStart: domGet("editorSemesterStart"),
+  editorSemesterHolidays: domGet("editorSemesterHolidays"),
   editorTask: domGet("editorTask"),
+  editorIdPattern: domGet("editorIdPattern"),
+  editorIdMinLength: domGet("editorIdMinLength"),
+  editorIdMaxLength: domGet("editorIdMaxLength"),
+  editorIdPrefix: domGet("editorIdPrefix"),
+  editorIdAllowAlphanumeric: domGet("editorIdAllowAlphanumeric"),
+  editorNameMatching: domGet("editorNameMatching"),
+  editorOverwritePolicy: domGet("editorOverwritePolicy"),
+  editorOverwritePolicyContainer: domGet("editorOverwritePolicyContainer"),
+  editorAccumulateDuplicates: domGet("editorAccumulateDuplicates"),
+  editorMarkAbsent: domGet("editorMarkAbsent"),
+  editorSheetLayoutBody: domGet("editorSheetLayoutBody"),
+  editorColumnGroupsBody: domGet("editorColumnGroupsBody"),
+  btnEditorAddColumnGroup: domGet("btnEditorAddColumnGroup"),
+  editorTemplateSuggestion: domGet("editorTemplateSuggestion"),
+  editorTemplateSuggestionText: domGet("editorTemplateSuggestionText"),
+  btnEditorTemplateApplySuggested: domGet("btnEditorTemplateApplySuggested"),
+  editorTemplateProfileSelect: domGet("editorTemplateProfileSelect"),
+  btnEditorTemplateApply: domGet("btnEditorTemplateApply"),
+  btnEditorTemplateDelete: domGet("btnEditorTemplateDelete"),
+  btnEditorTemplateExport: domGet("btnEditorTemplateExport"),
+  editorTemplateProfileName: domGet("editorTemplateProfileName"),
+  btnEditorTemplateSave: domGet("btnEditorTemplateSave"),
+  editorTemplateImport: domGet("editorTemplateImport"),
+  editorAttendanceValuesPanel: domGet("editorAttendanceValuesPanel"),
+  editorAttendanceValuesBody: domGet("editorAttendanceValuesBody"),
+  btnEditorAddAttendanceValue: domGet("btnEditorAddAttendanceValue"),
+  editorGradeRulesPanel: domGet("editorGradeRulesPanel"),
+  editorGradeRulesBody: domGet("editorGradeRulesBody"),
+  btnEditorAddGradeRule: domGet("btnEditorAddGradeRule"),
+  editorAbsentValue: domGet("editorAbsentValue"),
+  editorMarkAbsentContainer: domGet("editorMarkAbsentContainer"),
+  editorAccumulateDuplicatesContainer: domGet("editorAccumulateDuplicatesContainer"),
+  editorNameMatchingContainer: domGet("editorNameMatchingContainer"),
+  editorGradeTableContainer: domGet("editorGradeTableContainer"),
+  editorGradeTable: domGet("editorGradeTable"),
+  editorGradeTableMapping: domGet("editorGradeTableMapping"),
+  editorGradeTableBody: domGet("editorGradeTableBody"),
+  editorMeetingReportContainer: domGet("editorMeetingReportContainer"),
+  editorMeetingReport: domGet("editorMeetingReport"),
+  editorMeetingMinMinutes: domGet("editorMeetingMinMinutes"),
+  editorMeetingReviewMinutes: domGet("editorMeetingReviewMinutes"),
+  editorIdEmailDomain: domGet("editorIdEmailDomain"),
   editorSheetUrl: domGet("editorSheetUrl"),
   editorXlsxFile: domGet("editorXlsxFile"),
   editorInputMethodFile: domGet("editorInputMethodFile"),
   editorInputMethodTextarea: domGet("editorInputMethodTextarea"),
+  editorInputMethodSheet: domGet("editorInputMethodSheet"),
   editorInputMethodSearchPick: domGet("editorInputMethodSearchPick"),
+  editorInputSheetContainer: domGet("editorInputSheetContainer"),
+  editorInputSheetFile: domGet("editorInputSheetFile"),
+  editorInputSheetColumns: domGet("editorInputSheetColumns"),
+  editorInputSheetName: domGet("editorInputSheetName"),
+  editorInputSheetIdCol: domGet("editorInputSheetIdCol"),
+  editorInputSheetNameCol: domGet("editorInputSheetNameCol"),
+  editorInputSheetValueCol: domGet("editorInputSheetValueCol"),
+  editorInputSheetGroupCol: domGet("editorInputSheetGroupCol"),
+  editorInputSheetInfo: domGet("editorInputSheetInfo"),
+  editorInputMethodYaqeenScan: domGet("editorInputMethodYaqeenScan"),
+  editorInputYaqeenScanContainer: domGet("editorInputYaqeenScanContainer"),
+  editorYaqeenScanFile: domGet("editorYaqeenScanFile"),
+  editorYaqeenScanOptions: domGet("editorYaqeenScanOptions"),
+  editorYaqeenScanStart: domGet("editorYaqeenScanStart"),
+  editorYaqeenScanLateAfter: domGet("editorYaqeenScanLateAfter"),
+  editorYaqeenScanLateCode: domGet("editorYaqeenScanLateCode"),
+  editorYaqeenScanInfo: domGet("editorYaqeenScanInfo"),
   editorInputFileContainer: domGet("editorInputFileContainer"),
   editorInputTextareaContainer: domGet("editorInputTextareaContainer"),
   editorInputSearchPickContainer: domGet("editorInputSearchPickContainer"),
@@ -63,6 +133,7 @@ const els = {
   editorPreviewModeGrouped: domGet("editorPreviewModeGrouped"),
   editorPreviewModeOrdered: domGet("editorPreviewModeOrdered"),
   editorPreviewSheetFilter: domGet("editorPreviewSheetFilter"),
+  editorPreviewStatusFilter: domGet("editorPreviewStatusFilter"),
   editorPreviewTableBody: domGet("editorPreviewTableBody"),
   editorFinalReportBox: domGet("editorFinalReportBox"),
   editorFormulaPanels: domGet("editorFormulaPanels"),
@@ -73,6 +144,17 @@ const els = {
   editorFixDialog: domGet("editorFixDialog"),
   editorFixSearch: domGet("editorFixSearch"),
   editorFixResults: domGet("editorFixResults"),
+  editorFixSuggestionsContainer: domGet("editorFixSuggestionsContainer"),
+  editorFixSuggestions: domGet("editorFixSuggestions"),
+  editorResolveDialog: domGet("editorResolveDialog"),
+  editorResolveCandidates: domGet("editorResolveCandidates"),
+  editorResolveInfo: domGet("editorResolveInfo"),
+  btnEditorResolveAll: domGet("btnEditorResolveAll"),
+  btnEditorResolveDiscard: domGet("btnEditorResolveDiscard"),
+  editorHistoryList: domGet("editorHistoryList"),
+  editorHistoryCount: domGet("editorHistoryCount"),
+  btnEditorUndo: domGet("btnEditorUndo"),
+  btnEditorRedo: domGet("btnEditorRedo"),
   editorGradeDialog: domGet("editorGradeDialog"),
   editorGradeValue: domGet("editorGradeValue"),
   editorGradeSave: domGet("editorGradeSave"),
@@ -80,6 +162,9 @@ const els = {
   // Highlight controls
   highlightCheckbox: domGet("highlightCheckbox"),
   highlightColorPicker: domGet("highlightColorPicker"),
+  highlightColorFixedPicker: domGet("highlightColorFixedPicker"),
+  highlightColorAmbiguousPicker: domGet("highlightColorAmbiguousPicker"),
+  preserveFormattingCheckbox: domGet("preserveFormattingCheckbox"),
 
   // Report
   summary: domGet("summary"),
@@ -164,6 +249,10 @@ if (els.navHome) {
 if (els.navAbout) {
   els.navAbout.addEventListener("click", () => switchView("about"));
 }
+els.navSessions?.addEventListener("click", handlers.handleSessionsOpen);
+els.sessionList?.addEventListener("click", handlers.handleSessionListClicked);
+els.btnSessionWipe?.addEventListener("click", handlers.handleSessionWipeClicked);
+document.addEventListener("visibilitychange", handlers.handleSessionVisibilityChanged);
 
 // Home: feature search filter
 if (els.featureSearch) {
@@ -195,6 +284,7 @@ document.body.addEventListener("click", (e) => {
   } else if (e.target.closest(".btnBackToInputs")) {
     switchView("inputs");
     handlers.updateWizardUI?.();
+  handlers.loadTemplateProfiles?.();
   }
 });
 
@@ -222,9 +312,52 @@ els.editorScope?.addEventListener("change", handlers.handleEditorSelectionChange
 els.editorSheet?.addEventListener("change", handlers.handleEditorSelectionChanged);
 els.editorColumn?.addEventListener("change", handlers.handleEditorSelectionChanged);
 els.editorTask?.addEventListener("change", handlers.handleEditorTaskChanged);
+for (const el of [
+  els.editorIdPattern,
+  els.editorIdMinLength,
+  els.editorIdMaxLength,
+  els.editorIdPrefix,
+  els.editorIdAllowAlphanumeric,
+  els.editorIdEmailDomain,
+]) {
+  el?.addEventListener("change", handlers.handleEditorIdProfileChanged);
+}
+els.editorNameMatching?.addEventListener("change", handlers.handleEditorNameMatchingChanged);
+els.editorGradeTable?.addEventListener("change", handlers.handleEditorGradeTableChanged);
+els.editorGradeTableBody?.addEventListener("change", handlers.handleEditorGradeTableMappingChanged);
+for (const el of [els.editorMeetingReport, els.editorMeetingMinMinutes, els.editorMeetingReviewMinutes]) {
+  el?.addEventListener("change", handlers.handleEditorMeetingReportChanged);
+}
+els.editorOverwritePolicy?.addEventListener("change", handlers.handleEditorOverwritePolicyChanged);
+els.editorAccumulateDuplicates?.addEventListener("change", handlers.handleEditorAccumulateDuplicatesChanged);
+els.editorMarkAbsent?.addEventListener("change", handlers.handleEditorMarkAbsentChanged);
+els.editorSheetLayoutBody?.addEventListener("change", handlers.handleEditorSheetLayoutChanged);
+els.editorSheetLayoutBody?.addEventListener("click", handlers.handleEditorSheetLayoutClick);
+els.editorColumnGroupsBody?.addEventListener("change", handlers.handleEditorColumnGroupsChanged);
+els.editorColumnGroupsBody?.addEventListener("click", handlers.handleEditorColumnGroupsClick);
+els.btnEditorAddColumnGroup?.addEventListener("click", handlers.handleEditorAddColumnGroup);
+els.btnEditorTemplateApplySuggested?.addEventListener("click", handlers.handleEditorTemplateApplySuggested);
+els.btnEditorTemplateApply?.addEventListener("click", handlers.handleEditorTemplateApply);
+els.btnEditorTemplateDelete?.addEventListener("click", handlers.handleEditorTemplateDelete);
+els.btnEditorTemplateExport?.addEventListener("click", handlers.handleEditorTemplateExport);
+els.btnEditorTemplateSave?.addEventListener("click", handlers.handleEditorTemplateSave);
+els.editorTemplateImport?.addEventListener("change", handlers.handleEditorTemplateImport);
+els.editorAttendanceValuesBody?.addEventListener("change", handlers.handleEditorAttendanceValuesChanged);
+els.editorAttendanceValuesBody?.addEventListener("click", handlers.handleEditorAttendanceValuesClick);
+els.btnEditorAddAttendanceValue?.addEventListener("click", handlers.handleEditorAddAttendanceValue);
+els.editorGradeRulesBody?.addEventListener("change", handlers.handleEditorGradeRulesChanged);
+els.editorGradeRulesBody?.addEventListener("click", handlers.handleEditorGradeRulesClick);
+els.btnEditorAddGradeRule?.addEventListener("click", handlers.handleEditorAddGradeRule);
+els.editorAbsentValue?.addEventListener("change", handlers.handleEditorMarkAbsentChanged);
 els.editorInputMethodFile?.addEventListener("change", handlers.handleEditorInputMethodChanged);
 els.editorInputMethodTextarea?.addEventListener("change", handlers.handleEditorInputMethodChanged);
+els.editorInputMethodSheet?.addEventListener("change", handlers.handleEditorInputMethodChanged);
+els.editorInputMethodYaqeenScan?.addEventListener("change", handlers.handleEditorInputMethodChanged);
 els.editorInputMethodSearchPick?.addEventListener("change", handlers.handleEditorInputMethodChanged);
+els.editorInputSheetFile?.addEventListener("change", handlers.handleEditorInputSheetFileChanged);
+els.editorInputSheetColumns?.addEventListener("change", handlers.handleEditorInputSheetColumnsChanged);
+els.editorYaqeenScanFile?.addEventListener("change", handlers.handleEditorYaqeenScanFileChanged);
+els.editorYaqeenScanOptions?.addEventListener("change", handlers.handleEditorYaqeenScanOptionsChanged);
 els.editorInputTxt?.addEventListener("change", handlers.handleEditorInputChanged);
 els.editorInputTextarea?.addEventListener("input", handlers.handleEditorTextareaChanged);
 els.editorPickSearch?.addEventListener("input", handlers.handleEditorPickSearchChanged);
@@ -240,25 +373,49 @@ els.btnEditorDownload?.addEventListener("click", handlers.handleEditorDownloadMo
 els.highlightCheckbox?.addEventListener("change", (e) => {
   const checked = e.target.checked;
   state.editor.highlightEnabled = checked;
-  if (els.highlightColorPicker) {
-    els.highlightColorPicker.disabled = !checked;
+  for (const picker of [els.highlightColorPicker, els.highlightColorFixedPicker, els.highlightColorAmbiguousPicker]) {
+    if (picker) picker.disabled = !checked;
   }
 });
 
 els.highlightColorPicker?.addEventListener("change", (e) => {
-  state.editor.highlightColor = e.target.value;
+  state.editor.highlightColors = { ...state.editor.highlightColors, matched: e.target.value };
+});
+
+els.highlightColorFixedPicker?.addEventListener("change", (e) => {
+  state.editor.highlightColors = { ...state.editor.highlightColors, manuallyFixed: e.target.value };
+});
+
+els.highlightColorAmbiguousPicker?.addEventListener("change", (e) => {
+  state.editor.highlightColors = { ...state.editor.highlightColors, ambiguous: e.target.value };
+});
+
+els.preserveFormattingCheckbox?.addEventListener("change", (e) => {
+  state.editor.preserveFormatting = e.target.checked;
 });
 
 els.editorPreviewModeGrouped?.addEventListener("click", handlers.handleEditorPreviewModeChanged);
 els.editorPreviewModeOrdered?.addEventListener("click", handlers.handleEditorPreviewModeChanged);
 els.editorPreviewSheetFilter?.addEventListener("change", handlers.handleEditorPreviewModeChanged);
+els.editorPreviewStatusFilter?.addEventListener("change", handlers.handleEditorPreviewModeChanged);
 els.editorPreviewTableBody?.addEventListener("click", handlers.handleEditorPreviewRowAction);
 els.editorFormulaPanels?.addEventListener("click", handlers.handleEditorFormulaCopyClicked);
 els.editorColumnSearch?.addEventListener("input", handlers.handleEditorColumnSearchChanged);
 els.editorColumnSearchResults?.addEventListener("click", handlers.handleEditorColumnSearchResultClicked);
+els.editorWeekKind?.addEventListener("change", handlers.handleEditorWeekKindChanged);
+els.editorWeeksBody?.addEventListener("click", handlers.handleEditorWeeksClick);
+els.editorSemesterStart?.addEventListener("change", handlers.handleEditorSemesterCalendarChanged);
+els.editorSemesterHolidays?.addEventListener("change", handlers.handleEditorSemesterCalendarChanged);
 
 els.editorFixSearch?.addEventListener("input", handlers.handleEditorFixSearchChanged);
 els.editorFixResults?.addEventListener("click", handlers.handleEditorFixResultClicked);
+els.editorFixSuggestions?.addEventListener("click", handlers.handleEditorFixResultClicked);
+els.editorResolveCandidates?.addEventListener("click", handlers.handleEditorResolveCandidateClicked);
+els.btnEditorResolveAll?.addEventListener("click", handlers.handleEditorResolveAllClicked);
+els.btnEditorResolveDiscard?.addEventListener("click", handlers.handleEditorResolveDiscardClicked);
+els.btnEditorUndo?.addEventListener("click", handlers.handleEditorUndoClicked);
+els.btnEditorRedo?.addEventListener("click", handlers.handleEditorRedoClicked);
+document.addEventListener("keydown", handlers.handleEditorHistoryKeydown);
 els.editorGradeSave?.addEventListener("click", handlers.handleEditorGradeSaveClicked);
 els.editorDelimiterFilter?.addEventListener("change", handlers.handleDelimiterFilterChanged);
 
@@ -303,6 +460,8 @@ try {
 } catch (e) {
   console.error("Error initializing wizard UI:", e);
 }
+// Offer to resume work saved before a refresh or crash
+handlers.offerSessionResume?.().catch((e) => console.warn("Could not list saved sessions:", e));
 
 // Footer year
 const footerYearEl = document.getElementById("footerYear");
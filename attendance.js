@@ -15,7 +15,11 @@
 
 /**
  * @typedef {Object} ParsedStudentIds
- * @property {Array<{type:'id', id:string, section?:number} | {type:'title', title:string}>} orderedEntries
+ * @property {Array<{type:'id', id:string, name?:string, code?:string, value?:string, week?:string, group?:string, section?:number} | {type:'title', title:string, week?:string, group?:string}>} orderedEntries
+ *   (with names enabled, a name-only line is an `id` entry whose `id` is ""; `code` is the attendance
+ *   code from `id,L` or from a title such as "Late" when attendance values are given; `week`/`group`
+ *   come from a week tag (`# W3 lecture` title or `id,W3,value` line), `value` from a long-format
+ *   line whose value is not an attendance code)
  * @property {Set<string>} targetIdsSet
  * @property {number} totalLoadedUnique
  * @property {Record<string, number>} idCounts
@@ -32,16 +36,18 @@ export class ProcessingError extends Error {}
 // -----------------------------
 /**
  * @typedef {Object} ColumnOption
- * @property {string} key         // stable unique key: `${kind}::${headerText}`
+ * @property {string} key         // stable unique key: `${kind}::${headerPath}`
  * @property {string} headerText  // as shown in the workbook header cell
- * @property {'lecture'|'section'|'unknown'} kind
+ * @property {string} headerPath  // merged group headers above + headerText, e.g. "Lab > W3"
+ * @property {string} kind        // ColumnGroup kind ('section', 'lecture', ...) or 'unknown'
+ * @property {string} kindLabel   // ColumnGroup label, "Unknown" outside every band
  * @property {number} occurrences
  * @property {Array<{ sheet: string, header_row: number, col1: number, col_letter: string }>} locations
  */
 
 /**
  * @typedef {Object} EditorPreviewRow
- * @property {number} index          // 1-based index in the input file order
+ * @property {number} index          // 1-based index in the input file order (absent rows follow the input)
  * @property {string} input_id
  * @property {string} sheet
  * @property {number|null} row_index1
@@ -51,31 +57,641 @@ export class ProcessingError extends Error {}
  * @property {string} col_letter
  * @property {string|number} old_value
  * @property {string|number} new_value
- * @property {'matched'|'notFound'|'ambiguous'|'manuallyFixed'} match_status
+ * @property {'matched'|'notFound'|'ambiguous'|'manuallyFixed'|'suggested'|'conflict'|'absent'|'invalid'} match_status
  * @property {string} [note]
+ * @property {string} [input_name]       // name given in the input line, if any
+ * @property {string} [attendance_code]  // attendance task: code whose value is written (P, L, E ...)
+ * @property {number} [suggestion_score] // 0..1 similarity for `suggested` (name match) rows
+ * @property {IdSuggestion[]} [id_suggestions] // near-miss roster IDs for `notFound` rows, closest first
+ * @property {OverwriteConflict} [conflict]       // set when the target cell already holds a different value
+ * @property {AccumulateStep} [accumulate]        // accumulate task: how new_value was reached
+ * @property {string} [target_key]      // week-tagged / score-table input: ColumnOption key of the row's column
+ * @property {string} [target_header]   // week-tagged / score-table input: group and header path of that column, e.g. "Lecture W3"
+ * @property {string} [grade_error]     // grade task: why the input broke its column's GradeRule
+ * @property {string} [valid_status]    // `invalid` rows: the status they get back once the grade passes
+ * @property {boolean} [name_mismatch]  // input name differs from the workbook name (flagNameMismatches)
+ * @property {MatchCandidate[]} [candidates]  // `ambiguous` rows: every roster row holding the ID, the shown one first
+ * @property {'one'|'all'} [resolution]       // how an ambiguous row was resolved; 'all' writes every candidate
+ * @property {CellDrift[]} [drift]            // cells that changed since a loaded report was made (rebindPreviewRows)
+ */
+
+/**
+ * @typedef {Object} CellDrift
+ * @property {string} sheet
+ * @property {string} cell
+ * @property {string|number} recorded  // old value saved in the report
+ * @property {string|number} current   // value in the attached workbook ('' when the sheet is gone)
+ * @property {boolean} [sheetMissing]
+ */
+
+/**
+ * @typedef {Object} MatchCandidate
+ * @property {string} sheet
+ * @property {number} row_index1
+ * @property {string} student_name
+ * @property {string} cell
+ * @property {string} col_letter
+ * @property {string|number} old_value
+ * @property {string|number} [new_value]  // resolution 'all': value for this cell (overwrite policy applied)
+ * @property {boolean} [skip]             // resolution 'all': the overwrite policy keeps this cell as is
+ */
+
+/**
+ * @typedef {Object} AccumulateStep
+ * @property {number|null} base   // cell value before this row (earlier duplicates already added)
+ * @property {number|null} delta  // input value; null when not numeric
+ * @property {number|null} total  // base + delta; null when either side is not numeric
+ */
+
+/**
+ * @typedef {'overwrite'|'skipNonEmpty'|'keepHigher'|'keepLower'|'add'} OverwritePolicy
+ */
+
+/**
+ * @typedef {Object} OverwriteConflict
+ * @property {OverwritePolicy} policy
+ * @property {string|number} existing  // value already in the cell
+ * @property {string|number} input     // value from the input
+ * @property {'overwritten'|'kept'|'replaced'|'added'|'unresolved'|'edited'} resolution
+ * @property {boolean} write           // false = the cell is left untouched
+ * @property {string} [reason]         // why the row could not be resolved automatically
+ */
+
+/**
+ * @typedef {Object} IdSuggestion
+ * @property {string} student_id
+ * @property {string} student_name
+ * @property {string} sheet
+ * @property {number} row_index1
+ * @property {number} distance       // edits from the input ID (typo, missing/extra digit, swapped pair)
  */
 
 /**
  * @typedef {Object} ColumnMapEntry
  * @property {string} sheet
  * @property {string} header_text
- * @property {'lecture'|'section'|'unknown'} kind
+ * @property {string} header_path       // e.g. "Lab > W3" (see ColumnOption.headerPath)
+ * @property {string} key               // ColumnOption key
+ * @property {string} kind              // ColumnGroup kind or 'unknown'
  * @property {number} header_row
  * @property {string} col_letter
  */
 
+/**
+ * Manual per-sheet layout. Columns and rows are 1-based; null means "detect automatically".
+ * @typedef {Object} SheetLayout
+ * @property {number|null} idCol
+ * @property {number|null} nameCol
+ * @property {number|null} nameCol2      // second name column joined after nameCol (first + last name)
+ * @property {number|null} headerRow     // last header row; column headers are read down to this row
+ * @property {number|null} firstDataRow
+ * @property {number|null} lastDataRow
+ */
+
+/**
+ * @typedef {Object} SheetLayoutInfo
+ * @property {string} sheet
+ * @property {SheetLayout} detected   // what auto-detection found (every field filled)
+ * @property {SheetLayout} override   // normalized user override (null = auto)
+ * @property {SheetLayout} effective  // detected values with the override applied
+ */
+
 // -----------------------------
 // ID normalization + parsing
 // -----------------------------
+/**
+ * Convert Arabic-Indic (٠-٩) and Persian (۰-۹) digits to ASCII so IDs typed on Arabic
+ * keyboards match. Other characters are left untouched.
+ * @param {any} value
+ * @returns {string}
+ */
+export function normalizeDigits(value) {
+  return String(value ?? "").replace(/[\u0660-\u0669\u06F0-\u06F9]/g, (ch) => {
+    const code = ch.charCodeAt(0);
+    return String(code >= 0x06f0 ? code - 0x06f0 : code - 0x0660);
+  });
+}
+
+/**
+ * Normalize a typed grade: ASCII digits, Arabic decimal separator (٫) → ".",
+ * Arabic thousands separator (٬) dropped.
+ * @param {any} value
+ * @returns {string}
+ */
+export function normalizeGradeText(value) {
+  return normalizeDigits(value).replace(/\u066B/g, ".").replace(/\u066C/g, "").trim();
+}
+
 export function normalizeId(idValue) {
   if (idValue === null || idValue === undefined) return null;
   if (typeof idValue === "number" && Number.isFinite(idValue)) return String(Math.trunc(idValue));
-  const cleaned = String(idValue).trim().replace(/\.0$/, "");
+  const cleaned = normalizeDigits(idValue).trim().replace(/\.0$/, "");
   return cleaned;
 }
 
-export function parseStudentIdsText(text) {
+// -----------------------------
+// Student ID profile (what counts as a student ID)
+// -----------------------------
+/**
+ * @typedef {Object} StudentIdProfile
+ * @property {string} pattern            // optional regex the whole ID must match ("" = none)
+ * @property {number} minLength
+ * @property {number} maxLength          // 0 = no upper limit
+ * @property {string} prefix             // optional required prefix, e.g. "CS"
+ * @property {boolean} allowAlphanumeric // letters and - _ . / allowed (IDs still need a digit)
+ * @property {string} emailDomain        // "" = any; otherwise only usernames from this domain count
+ */
+
+/** Default profile: numeric IDs of at least 6 digits (the original Yaqeen rule). */
+export const DEFAULT_STUDENT_ID_PROFILE = Object.freeze({
+  pattern: "",
+  minLength: 6,
+  maxLength: 0,
+  prefix: "",
+  allowAlphanumeric: false,
+  emailDomain: "",
+});
+
+/**
+ * Fill defaults and validate a (possibly user-entered) profile.
+ * @param {Partial<StudentIdProfile>|null|undefined} profile
+ * @returns {StudentIdProfile}
+ */
+export function normalizeStudentIdProfile(profile) {
+  const p = { ...DEFAULT_STUDENT_ID_PROFILE, ...(profile || {}) };
+  const minLength = Number.parseInt(String(p.minLength), 10);
+  const maxLength = Number.parseInt(String(p.maxLength), 10);
+  const out = {
+    pattern: String(p.pattern || "").trim(),
+    minLength: Number.isFinite(minLength) && minLength > 0 ? minLength : 1,
+    maxLength: Number.isFinite(maxLength) && maxLength > 0 ? maxLength : 0,
+    prefix: String(p.prefix || "").trim(),
+    allowAlphanumeric: Boolean(p.allowAlphanumeric),
+    emailDomain: String(p.emailDomain || "").trim().replace(/^@/, "").toLowerCase(),
+  };
+  if (out.maxLength && out.maxLength < out.minLength) {
+    throw new ValidationError("ID profile: maximum length must be at least the minimum length.");
+  }
+  if (out.pattern) {
+    try {
+      new RegExp(out.pattern);
+    } catch (e) {
+      throw new ValidationError(`ID profile: invalid pattern (${e?.message || String(e)}).`);
+    }
+  }
+  if (!out.allowAlphanumeric && /\D/.test(out.prefix)) {
+    throw new ValidationError("ID profile: a non-numeric prefix requires 'Allow letters' to be enabled.");
+  }
+  return out;
+}
+
+/** @type {WeakMap<object, { pattern: RegExp|null }>} */
+const compiledIdProfiles = new WeakMap();
+
+function compileIdProfile(profile) {
+  let compiled = compiledIdProfiles.get(profile);
+  if (!compiled) {
+    const flags = profile.allowAlphanumeric ? "i" : "";
+    compiled = { pattern: profile.pattern ? new RegExp(`^(?:${profile.pattern})$`, flags) : null };
+    compiledIdProfiles.set(profile, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Canonical form of an ID under a profile (alphanumeric IDs compare case-insensitively).
+ * @param {string} id
+ * @param {StudentIdProfile} profile
+ */
+function canonicalStudentId(id, profile) {
+  return profile.allowAlphanumeric ? id.toUpperCase() : id;
+}
+
+/**
+ * True when an already-normalized string is a student ID under the profile.
+ * @param {string|null|undefined} value
+ * @param {StudentIdProfile} [profile]
+ * @returns {boolean}
+ */
+export function isStudentId(value, profile = DEFAULT_STUDENT_ID_PROFILE) {
+  const id = String(value ?? "");
+  if (!id) return false;
+  if (id.length < profile.minLength) return false;
+  if (profile.maxLength && id.length > profile.maxLength) return false;
+  if (profile.allowAlphanumeric) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9._\/-]*$/.test(id) || !/\d/.test(id)) return false;
+  } else if (!/^\d+$/.test(id)) {
+    return false;
+  }
+  if (profile.prefix && !canonicalStudentId(id, profile).startsWith(canonicalStudentId(profile.prefix, profile))) {
+    return false;
+  }
+  const { pattern } = compileIdProfile(profile);
+  return pattern ? pattern.test(id) : true;
+}
+
+/**
+ * Extract a student ID from a raw cell/input value. Emails yield their username when the
+ * username is an ID (and the domain matches the profile's email rule, if any).
+ * @param {any} value
+ * @param {StudentIdProfile} [profile]
+ * @returns {string|null} canonical ID, or null when the value is not an ID
+ */
+export function extractStudentId(value, profile = DEFAULT_STUDENT_ID_PROFILE) {
+  const normalized = normalizeId(value);
+  if (!normalized) return null;
+  if (normalized.includes("@")) {
+    const [username, domain = ""] = normalized.split("@");
+    if (profile.emailDomain) {
+      const d = domain.trim().toLowerCase();
+      if (d !== profile.emailDomain && !d.endsWith(`.${profile.emailDomain}`)) return null;
+    }
+    return isStudentId(username, profile) ? canonicalStudentId(username, profile) : null;
+  }
+  return isStudentId(normalized, profile) ? canonicalStudentId(normalized, profile) : null;
+}
+
+/**
+ * Global regex that finds ID candidates inside free text (used by OCR).
+ * @param {StudentIdProfile} [profile]
+ * @returns {RegExp}
+ */
+export function buildStudentIdSearchRegex(profile = DEFAULT_STUDENT_ID_PROFILE) {
+  const chars = profile.allowAlphanumeric ? "[A-Za-z0-9._\\/-]" : "\\d";
+  const prefix = profile.prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const rest = Math.max(profile.minLength - profile.prefix.length, 1);
+  const restMax = profile.maxLength ? Math.max(profile.maxLength - profile.prefix.length, rest) : "";
+  return new RegExp(`${prefix}${chars}{${rest},${restMax}}`, profile.allowAlphanumeric ? "gi" : "g");
+}
+
+/**
+ * Short human description of a profile, for error messages and reports.
+ * @param {StudentIdProfile} [profile]
+ */
+export function describeStudentIdProfile(profile = DEFAULT_STUDENT_ID_PROFILE) {
+  const parts = [profile.allowAlphanumeric ? "letters/digits" : "digits only"];
+  parts.push(profile.maxLength ? `${profile.minLength}–${profile.maxLength} characters` : `at least ${profile.minLength} characters`);
+  if (profile.prefix) parts.push(`prefix '${profile.prefix}'`);
+  if (profile.pattern) parts.push(`pattern /${profile.pattern}/`);
+  if (profile.emailDomain) parts.push(`emails @${profile.emailDomain}`);
+  return parts.join(", ");
+}
+
+// -----------------------------
+// Attendance values (present / late / excused ...)
+// -----------------------------
+/**
+ * @typedef {Object} AttendanceValue
+ * @property {string} code          // typed after the ID (`692400027,L`); case-insensitive
+ * @property {string} label         // section title that applies the value to the IDs below it (`Late`)
+ * @property {string|number} value  // written to the cell
+ */
+
+/** The first entry is used for ID lines without a code. */
+export const DEFAULT_ATTENDANCE_VALUES = Object.freeze([
+  Object.freeze({ code: "P", label: "Present", value: 1 }),
+  Object.freeze({ code: "L", label: "Late", value: 0.5 }),
+  Object.freeze({ code: "E", label: "Excused", value: "E" }),
+]);
+
+/**
+ * Validate an attendance value table (from the wizard or a saved report).
+ * @param {any} list
+ * @returns {AttendanceValue[]}
+ */
+export function normalizeAttendanceValues(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new ValidationError("Attendance values need at least one entry.");
+  }
+  const seen = new Set();
+  return list.map((item, i) => {
+    const code = String(item?.code ?? "").trim();
+    const label = String(item?.label ?? "").trim();
+    const rawValue = normalizeGradeText(item?.value ?? "");
+    if (!code) throw new ValidationError(`Attendance value ${i + 1}: code is required.`);
+    if (code.includes(",")) throw new ValidationError(`Attendance code "${code}" cannot contain a comma.`);
+    if (!rawValue) throw new ValidationError(`Attendance code "${code}": value is required.`);
+    for (const key of [code, label].filter(Boolean).map((x) => x.toLowerCase())) {
+      if (seen.has(key)) throw new ValidationError(`Attendance code or title "${key}" is used twice.`);
+      seen.add(key);
+    }
+    return { code, label, value: toNumberOrNull(rawValue) ?? rawValue };
+  });
+}
+
+/**
+ * Find the entry for a code (`L`) or, unless `codesOnly`, a section title (`Late`).
+ * @param {AttendanceValue[]} values
+ * @param {string} token
+ * @param {{ codesOnly?: boolean }} [options]
+ * @returns {AttendanceValue|null}
+ */
+export function findAttendanceValue(values, token, options = {}) {
+  const t = String(token ?? "").trim().toLowerCase();
+  if (!t || !Array.isArray(values)) return null;
+  return (
+    values.find((v) => v.code.toLowerCase() === t) ||
+    (options.codesOnly ? null : values.find((v) => v.label && v.label.toLowerCase() === t)) ||
+    null
+  );
+}
+
+/**
+ * @param {AttendanceValue[]} values
+ * @returns {string} e.g. `P=1 (Present), L=0.5 (Late)`
+ */
+export function describeAttendanceValues(values) {
+  return (values || []).map((v) => `${v.code}=${v.value}${v.label ? ` (${v.label})` : ""}`).join(", ");
+}
+
+// -----------------------------
+// Grade rules (range, letter grades, rounding) per target column
+// -----------------------------
+/**
+ * @typedef {Object} GradeRule
+ * @property {string} key                    // ColumnOption key it applies to; "" = columns without their own rule
+ * @property {number|null} min
+ * @property {number|null} max
+ * @property {Record<string, number>} letters  // allowed letter grades -> number written (`A` -> 18)
+ * @property {'none'|'round'|'floor'|'ceil'} rounding
+ * @property {number} step                   // rounding step: 1, 0.5, 0.25 ...
+ */
+
+export const GRADE_ROUNDING_MODES = Object.freeze(["none", "round", "floor", "ceil"]);
+
+/**
+ * Parse `A+=20, A=18, B=16` into a letter table (keys upper-cased).
+ * @param {string} text
+ * @returns {Record<string, number>}
+ */
+export function parseLetterGrades(text) {
+  /** @type {Record<string, number>} */
+  const out = {};
+  for (const part of String(text ?? "").split(/[,;\n]/)) {
+    if (!part.trim()) continue;
+    const eq = part.indexOf("=");
+    const letter = (eq >= 0 ? part.slice(0, eq) : "").trim().toUpperCase();
+    const value = eq >= 0 ? toNumberOrNull(part.slice(eq + 1)) : null;
+    if (!letter || value === null) throw new ValidationError(`Letter grade "${part.trim()}" must look like A=18.`);
+    out[letter] = value;
+  }
+  return out;
+}
+
+/**
+ * @param {Record<string, number>} letters
+ * @returns {string} e.g. `A+=20, A=18`
+ */
+export function formatLetterGrades(letters) {
+  return Object.entries(letters || {}).map(([k, v]) => `${k}=${v}`).join(", ");
+}
+
+/**
+ * Validate a rule table (from the wizard or a saved report); one rule per column key.
+ * @param {any} list
+ * @returns {GradeRule[]}
+ */
+export function normalizeGradeRules(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.map((raw) => {
+    const key = String(raw?.key ?? "").trim();
+    const name = key ? key.split("::").slice(1).join("::") || key : "All columns";
+    if (seen.has(key)) throw new ValidationError(`Grade rule for "${name}" is defined twice.`);
+    seen.add(key);
+    const min = raw?.min === "" || raw?.min == null ? null : toNumberOrNull(raw.min);
+    const max = raw?.max === "" || raw?.max == null ? null : toNumberOrNull(raw.max);
+    if ((raw?.min !== "" && raw?.min != null && min === null) || (raw?.max !== "" && raw?.max != null && max === null)) {
+      throw new ValidationError(`Grade rule for "${name}": minimum and maximum must be numbers.`);
+    }
+    if (min !== null && max !== null && min > max) throw new ValidationError(`Grade rule for "${name}": minimum is above maximum.`);
+    const rounding = GRADE_ROUNDING_MODES.includes(raw?.rounding) ? raw.rounding : "none";
+    const step = raw?.step === "" || raw?.step == null ? 1 : toNumberOrNull(raw.step);
+    if (step === null || step <= 0) throw new ValidationError(`Grade rule for "${name}": rounding step must be above 0.`);
+    const letters = typeof raw?.letters === "string" ? parseLetterGrades(raw.letters) : { ...(raw?.letters || {}) };
+    return { key, min, max, letters, rounding, step };
+  });
+}
+
+/**
+ * @param {GradeRule} rule
+ * @returns {string} e.g. `Quiz 1: 0–20, letters A=18, B=16, round to 0.5`
+ */
+export function describeGradeRule(rule) {
+  const parts = [];
+  if (rule.min !== null || rule.max !== null) parts.push(`${rule.min ?? "…"}–${rule.max ?? "…"}`);
+  if (Object.keys(rule.letters || {}).length) parts.push(`letters ${formatLetterGrades(rule.letters)}`);
+  if (rule.rounding !== "none") parts.push(`${{ round: "round", floor: "round down", ceil: "round up" }[rule.rounding]} to ${rule.step}`);
+  const name = rule.key ? rule.key.split("::").slice(1).join("::") || rule.key : "All columns";
+  return `${name}: ${parts.join(", ") || "numbers only"}`;
+}
+
+/**
+ * The rule of a column, else the "" (all columns) rule, else null.
+ * @param {GradeRule[]} rules
+ * @param {string} key
+ */
+export function findGradeRule(rules, key) {
+  const list = Array.isArray(rules) ? rules : [];
+  return list.find((r) => r.key && r.key === key) || list.find((r) => !r.key) || null;
+}
+
+/**
+ * Check one input grade. Numeric text always becomes a number (so "15" is not written as a text
+ * cell); with a rule, letter grades map to their number, then rounding, then the range check.
+ * Text that is neither a number nor an allowed letter is an error once a rule applies.
+ * @param {any} input
+ * @param {GradeRule|null} rule
+ * @returns {{ value: string|number, error: string }}
+ */
+export function checkGradeValue(input, rule) {
+  const text = normalizeGradeText(input ?? "");
+  const letter = rule ? rule.letters?.[text.toUpperCase()] : undefined;
+  let n = letter ?? toNumberOrNull(text);
+  if (n === null) {
+    if (!rule) return { value: text, error: "" };
+    const allowed = Object.keys(rule.letters || {});
+    return { value: text, error: `"${text}" is not a number${allowed.length ? ` or an allowed letter grade (${allowed.join(", ")})` : ""}.` };
+  }
+  if (rule && rule.rounding !== "none") {
+    n = Math[rule.rounding](n / rule.step) * rule.step;
+    n = Number(n.toFixed(10)); // drop float noise such as 17.500000000000004
+  }
+  if (rule?.min !== null && rule?.min !== undefined && n < rule.min) return { value: text, error: `${n} is below the minimum ${rule.min}.` };
+  if (rule?.max !== null && rule?.max !== undefined && n > rule.max) return { value: text, error: `${n} is above the maximum ${rule.max}.` };
+  return { value: n, error: "" };
+}
+
+/**
+ * Apply a grade check to a preview row. A failing row with a target cell gets the `invalid`
+ * status (its previous status is kept in `valid_status` and comes back once the grade passes);
+ * `invalid` rows are never written and block the workbook download.
+ * @param {EditorPreviewRow} row
+ * @param {{ value: string|number, error: string }} check
+ */
+export function applyGradeCheckToRow(row, check) {
+  if (check.error) {
+    row.new_value = check.value;
+    row.grade_error = check.error;
+    if (row.cell && row.match_status !== "invalid") {
+      row.valid_status = row.match_status;
+      row.match_status = "invalid";
+    }
+    return;
+  }
+  row.new_value = check.value;
+  delete row.grade_error;
+  if (row.match_status === "invalid") row.match_status = row.valid_status || "matched";
+  delete row.valid_status;
+}
+
+// -----------------------------
+// Fuzzy matching helpers (names + near-miss IDs)
+// -----------------------------
+/** Minimum name similarity (0..1) for a `suggested` match. */
+export const NAME_MATCH_THRESHOLD = 0.85;
+/** Largest edit distance for near-miss ID suggestions, and how many are kept per row. */
+export const ID_SUGGESTION_MAX_DISTANCE = 2;
+const MAX_ID_SUGGESTIONS = 5;
+
+/**
+ * Edit distance with adjacent transpositions counted as one edit (optimal string alignment).
+ * Stops early and returns `maxDistance + 1` once the distance is known to exceed `maxDistance`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [maxDistance]
+ * @returns {number}
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  const s = String(a ?? "");
+  const t = String(b ?? "");
+  if (Math.abs(s.length - t.length) > maxDistance) return maxDistance + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur[j] = d;
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[t.length];
+}
+
+/**
+ * Normalize a person's name for comparison: Arabic alef/hamza forms, taa marbuta,
+ * yaa/alef maqsura, diacritics and tatweel are unified; Latin accents and case are dropped.
+ * @param {any} name
+ * @returns {string} space-separated tokens
+ */
+export function normalizePersonName(name) {
+  return normalizeDigits(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Latin combining accents
+    .replace(/[\u064B-\u065F\u0670]/g, "") // Arabic diacritics + hamza/madda marks
+    .replace(/\u0640/g, "") // tatweel
+    .replace(/[\u0622\u0623\u0625\u0671]/g, "\u0627") // آ أ إ ٱ -> ا
+    .replace(/\u0629/g, "\u0647") // ة -> ه
+    .replace(/\u0649/g, "\u064A") // ى -> ي
+    .replace(/\u0624/g, "\u0648") // ؤ -> و
+    .replace(/\u0626/g, "\u064A") // ئ -> ي
+    .replace(/\u0621/g, "") // standalone hamza
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/(^| )\u0639\u0628\u062F (?=\S)/g, "$1\u0639\u0628\u062F"); // "عبد الله" == "عبدالله"
+}
+
+/**
+ * Similarity (0..1) between two names already passed through `normalizePersonName`.
+ * Every input token is paired with its closest unused roster token; partial names
+ * ("Ahmed Ali" vs a four-part roster name) score slightly lower than full ones.
+ * @param {string} inputName
+ * @param {string} rosterName
+ * @returns {number}
+ */
+export function nameSimilarity(inputName, rosterName) {
+  const a = String(inputName || "").split(" ").filter(Boolean);
+  const b = String(rosterName || "").split(" ").filter(Boolean);
+  if (!a.length || !b.length) return 0;
+  const used = new Set();
+  let sum = 0;
+  for (const token of a) {
+    let best = 0;
+    let bestIdx = -1;
+    for (let j = 0; j < b.length; j++) {
+      if (used.has(j)) continue;
+      const other = b[j];
+      const sim = 1 - editDistance(token, other) / Math.max(token.length, other.length);
+      if (sim > best) {
+        best = sim;
+        bestIdx = j;
+      }
+    }
+    if (bestIdx >= 0) used.add(bestIdx);
+    sum += best;
+  }
+  const coverage = sum / a.length;
+  const lengthFactor = Math.min(a.length, b.length) / Math.max(a.length, b.length);
+  return coverage * (0.85 + 0.15 * lengthFactor);
+}
+
+const WEEK_HEADER_RE = /^W\s*(\d+)$/i;
+const WEEK_TAG_RE = /^#*\s*(?:week|w)\s*(\d+)(?:\s*[-:]\s*|\s+|$)(.*)$/i;
+
+/**
+ * Week tag of a title or long-format field: "W3", "# W3 lecture", "Week 3 - Lab".
+ * @param {string} text
+ * @returns {{week: string, group: string}|null} group is the text after the week ("" = selected column's group)
+ */
+export function parseWeekTag(text) {
+  const m = WEEK_TAG_RE.exec(String(text ?? "").trim());
+  return m ? { week: `W${Number(m[1])}`, group: m[2].trim() } : null;
+}
+
+/**
+ * Input count per ID. Week-tagged and score-table entries are counted per target column, so one
+ * student listed under W3 and W4 is not a duplicate.
+ * @param {Array<any>} orderedEntries
+ * @returns {Record<string, number>}
+ */
+function countInputIds(orderedEntries) {
+  const perTarget = new Map();
+  /** @type {Record<string, number>} */
+  const idCounts = {};
+  for (const e of orderedEntries) {
+    if (e?.type !== "id" || !e.id) continue;
+    const key = `${e.column || ""}\t${e.week || ""}\t${String(e.group || "").toLowerCase()}\t${e.id}`;
+    const n = (perTarget.get(key) || 0) + 1;
+    perTarget.set(key, n);
+    idCounts[e.id] = Math.max(idCounts[e.id] || 0, n);
+  }
+  return idCounts;
+}
+
+/**
+ * Several weeks can come in one file: a week-tagged title (`# W3 lecture`) applies to the lines
+ * below it until the next week tag, and long-format lines `id,W3[,value]` carry their own.
+ * @param {string} text
+ * @param {StudentIdProfile} [idProfile]
+ * @param {{ withNames?: boolean }} [options] - withNames: accept `id,name` and name-only lines;
+ *   section titles must then start with `#`
+ * @returns {ParsedStudentIds}
+ */
+export function parseStudentIdsText(text, idProfile = DEFAULT_STUDENT_ID_PROFILE, options = {}) {
   if (typeof text !== "string") throw new FileError("Student IDs file content is invalid");
+  const withNames = Boolean(options.withNames);
+  const attendanceValues = Array.isArray(options.attendanceValues) ? options.attendanceValues : null;
 
   // Mirrors gui/core/attendance.py load_student_ids()
   // ordered_entries contains:
@@ -83,34 +699,81 @@ export function parseStudentIdsText(text) {
   // - { type: "title", title: "..." }
   const orderedEntries = [];
   const orderedIdsOnly = [];
-  const idCounts = {}; // global count in whole file (unique semantics match GUI json)
   const sectionIdCounts = {}; // section -> { id -> count }
 
   let currentSectionId = null;
+  let currentSectionCode = ""; // attendance code implied by a title such as "Late"
+  let currentWeek = null; // week tag of the last week-tagged title; blank lines keep it
   let hasSeenFirstTitle = false;
 
   const lines = text.replace(/\r\n/g, "\n").split("\n");
   for (const rawLine of lines) {
     const cleaned = rawLine.trim();
     if (!cleaned) {
-      if (hasSeenFirstTitle) currentSectionId = null;
+      if (hasSeenFirstTitle) {
+        currentSectionId = null;
+        currentSectionCode = "";
+      }
       continue;
     }
 
-    const isValidId = /^\d+$/.test(cleaned) && cleaned.length > 5;
-    if (isValidId) {
-      const sid = normalizeId(cleaned);
-      const entry = { type: "id", id: sid };
+    let body = cleaned;
+    let code = "";
+    let value = "";
+    // Long format: `692400027,W3` or `692400027,W3,L` (an attendance code or the value to write)
+    const parts = cleaned.split(",");
+    const lineWeek = parts.length >= 2 && extractStudentId(parts[0].trim(), idProfile) ? parseWeekTag(parts[1]) : null;
+    if (lineWeek) {
+      body = parts[0].trim();
+      const rest = parts.slice(2).join(",").trim();
+      const hit = rest && attendanceValues ? findAttendanceValue(attendanceValues, rest, { codesOnly: true }) : null;
+      if (hit) code = hit.code;
+      else value = normalizeGradeText(rest);
+    }
+
+    // Trailing attendance code: `692400027,L`
+    const lastComma = cleaned.lastIndexOf(",");
+    if (!lineWeek && attendanceValues && lastComma > 0) {
+      const hit = findAttendanceValue(attendanceValues, cleaned.slice(lastComma + 1), { codesOnly: true });
+      if (hit) {
+        code = hit.code;
+        body = cleaned.slice(0, lastComma).trim();
+      }
+    }
+
+    let sid = extractStudentId(body, idProfile);
+    let name = "";
+    if (withNames && !sid && !body.startsWith("#")) {
+      // `id,name` or a name on its own
+      const commaIdx = body.indexOf(",");
+      const firstPart = commaIdx >= 0 ? body.slice(0, commaIdx) : "";
+      sid = firstPart ? extractStudentId(firstPart, idProfile) : null;
+      name = sid ? body.slice(commaIdx + 1).trim() : body;
+    }
+    if (sid || name) {
+      const entry = { type: "id", id: sid || "" };
+      if (name) entry.name = name;
+      if (code || currentSectionCode) entry.code = code || currentSectionCode;
+      if (value) entry.value = value;
+      // a long-format line without a group keeps the group of the block it sits in
+      const target = lineWeek ? { week: lineWeek.week, group: lineWeek.group || currentWeek?.group || "" } : currentWeek;
+      if (target) {
+        entry.week = target.week;
+        if (target.group) entry.group = target.group;
+      }
       if (currentSectionId !== null) {
         entry.section = currentSectionId;
         if (!sectionIdCounts[currentSectionId]) sectionIdCounts[currentSectionId] = {};
-        sectionIdCounts[currentSectionId][sid] = (sectionIdCounts[currentSectionId][sid] || 0) + 1;
+        if (sid) sectionIdCounts[currentSectionId][sid] = (sectionIdCounts[currentSectionId][sid] || 0) + 1;
       }
       orderedEntries.push(entry);
-      orderedIdsOnly.push(sid);
-      idCounts[sid] = (idCounts[sid] || 0) + 1;
+      if (sid) orderedIdsOnly.push(sid);
     } else {
-      orderedEntries.push({ type: "title", title: cleaned });
+      const title = withNames ? cleaned.replace(/^#+\s*/, "") : cleaned;
+      const tag = parseWeekTag(title);
+      if (tag) currentWeek = tag;
+      orderedEntries.push(tag ? { type: "title", title, week: tag.week, ...(tag.group ? { group: tag.group } : {}) } : { type: "title", title });
+      currentSectionCode = attendanceValues ? findAttendanceValue(attendanceValues, title)?.code || "" : "";
       hasSeenFirstTitle = true;
       currentSectionId = Object.keys(sectionIdCounts).length + 1;
       if (!sectionIdCounts[currentSectionId]) sectionIdCounts[currentSectionId] = {};
@@ -118,15 +781,16 @@ export function parseStudentIdsText(text) {
   }
 
   const idsSet = new Set(orderedIdsOnly);
-  if (idsSet.size === 0) {
-    throw new FileError("No valid student IDs found. IDs must be numeric and at least 6 digits.");
+  const hasNameEntries = orderedEntries.some((e) => e.type === "id" && !e.id && e.name);
+  if (idsSet.size === 0 && !hasNameEntries) {
+    throw new FileError(`No valid student IDs found. Expected IDs: ${describeStudentIdProfile(idProfile)}.`);
   }
 
   return {
     orderedEntries,
     targetIdsSet: idsSet,
     totalLoadedUnique: idsSet.size,
-    idCounts,
+    idCounts: countInputIds(orderedEntries),
     sectionIdCounts,
   };
 }
@@ -380,8 +1044,9 @@ function cellValue(ws, r1, c1) {
   const v = cell.v;
   if (v === undefined || v === null) return null;
   
-  // Ensure we return a valid primitive type
-  if (typeof v === "string" || typeof v === "number" || typeof v === "boolean") {
+  // Ensure we return a valid primitive type (Arabic/Persian digits in text cells become ASCII)
+  if (typeof v === "string") return normalizeDigits(v);
+  if (typeof v === "number" || typeof v === "boolean") {
     return v;
   }
   
@@ -389,19 +1054,6 @@ function cellValue(ws, r1, c1) {
   return String(v);
 }
 
-function findColByTextInRow(ws, rowIdx1, textLower) {
-  const range = getSheetRange(ws);
-  if (!range) return null;
-
-  for (let c0 = range.s.c; c0 <= range.e.c; c0++) {
-    const v = cellValue(ws, rowIdx1, c0 + 1);
-    if (v === null || v === undefined) continue;
-    const s = String(v).toLowerCase();
-    if (s.includes(textLower)) return c0 + 1; // 1-based
-  }
-  return null;
-}
-
 /**
  * Detects the ID column and name column(s) in a worksheet.
  * Name columns are detected by scanning the first 5-10 columns for strings (letters).
@@ -409,11 +1061,12 @@ function findColByTextInRow(ws, rowIdx1, textLower) {
  * 
  * @param {object} ws - Worksheet object from SheetJS
  * @param {Set<string>|null} targetIdsSet - Set of target student IDs to match against. If null, ID detection is skipped.
+ * @param {StudentIdProfile} idProfile - what counts as a student ID
  * @param {number} startRow1 - Starting row to scan (default: 2)
  * @param {number} maxRowsToScan - Maximum number of rows to scan (default: 50)
  * @returns {{idCol: number|null, nameCol: number, nameCol2: number|null}} - 1-based column indices
  */
-function detectIdAndNameColumns(ws, targetIdsSet = null, startRow1 = 2, maxRowsToScan = 50) {
+function detectIdAndNameColumns(ws, targetIdsSet = null, idProfile = DEFAULT_STUDENT_ID_PROFILE, startRow1 = 2, maxRowsToScan = 50) {
   const range = getSheetRange(ws);
   if (!range) return { idCol: null, nameCol: 1, nameCol2: null };
   
@@ -423,22 +1076,8 @@ function detectIdAndNameColumns(ws, targetIdsSet = null, startRow1 = 2, maxRowsT
   // Helper to extract ID from value (handles email format)
   function extractId(value, targetSet) {
     if (!targetSet || targetSet.size === 0) return null;
-    
-    const normalized = normalizeId(value);
-    if (!normalized) return null;
-    
-    // Check if it contains "@" (email format)
-    if (normalized.includes("@")) {
-      const username = normalized.split("@")[0];
-      if (targetSet.has(username)) {
-        return username;
-      }
-    }
-    
-    // Direct match
-    if (targetSet.has(normalized)) return normalized;
-    
-    return null;
+    const id = extractStudentId(value, idProfile);
+    return id && targetSet.has(id) ? id : null;
   }
   
   // Helper to check if a value looks like a name (string with letters, not ID-like)
@@ -450,9 +1089,9 @@ function detectIdAndNameColumns(ws, targetIdsSet = null, startRow1 = 2, maxRowsT
     // Must contain letters (not just numbers)
     if (!/[a-zA-Z]/.test(str)) return false;
     
-    // Should not look like an ID (numeric or email with numeric prefix)
-    if (/^\d+$/.test(str) && str.length > 5) return false;
-    if (/^\d{6,}@/.test(str)) return false;
+    // Should not look like an ID (plain ID or email whose username is an ID)
+    if (isStudentId(str, idProfile)) return false;
+    if (str.includes("@") && isStudentId(str.split("@")[0], idProfile)) return false;
     
     return true;
   }
@@ -507,26 +1146,10 @@ function detectIdAndNameColumns(ws, targetIdsSet = null, startRow1 = 2, maxRowsT
   /** @type {Map<number, number>} */ // column -> match count
   const idColumnScores = new Map();
   
-  // Helper to check if a value looks like an ID (numeric or email with numeric username)
+  // Helper to check if a value looks like an ID (plain ID or email with an ID username)
   function looksLikeId(value) {
     if (value === null || value === undefined) return false;
-    const normalized = normalizeId(value);
-    if (!normalized) return false;
-    
-    // Check for email format with numeric username
-    if (normalized.includes("@")) {
-      const username = normalized.split("@")[0];
-      if (/^\d+$/.test(username) && username.length > 5) {
-        return true;
-      }
-    }
-    
-    // Check for pure numeric ID
-    if (/^\d+$/.test(normalized) && normalized.length > 5) {
-      return true;
-    }
-    
-    return false;
+    return extractStudentId(value, idProfile) !== null;
   }
   
   if (targetIdsSet && targetIdsSet.size > 0) {
@@ -606,61 +1229,386 @@ function detectIdAndNameColumns(ws, targetIdsSet = null, startRow1 = 2, maxRowsT
   return { idCol, nameCol, nameCol2 };
 }
 
-export function detectLectureSectionBounds(ws) {
-  // Returns the boundary columns used in this workbook template, if present.
-  // col_* are 1-based.
-  const colSection = findColByTextInRow(ws, 1, "attendance section");
-  const colLecture = findColByTextInRow(ws, 1, "attendance lecture");
-  return { colSection, colLecture };
-}
+const SHEET_LAYOUT_LABELS = {
+  idCol: "ID column",
+  nameCol: "Name column",
+  nameCol2: "Second name column",
+  headerRow: "Header row",
+  firstDataRow: "First data row",
+  lastDataRow: "Last data row",
+};
+const SHEET_LAYOUT_FIELDS = Object.keys(SHEET_LAYOUT_LABELS);
+const SHEET_LAYOUT_COLUMN_FIELDS = new Set(["idCol", "nameCol", "nameCol2"]);
+
+/**
+ * Validate a layout override. Columns may be given as numbers or letters ("B"); blank = auto.
+ * @param {any} layout
+ * @returns {SheetLayout}
+ */
+export function normalizeSheetLayout(layout) {
+  /** @type {SheetLayout} */
+  const out = { idCol: null, nameCol: null, nameCol2: null, headerRow: null, firstDataRow: null, lastDataRow: null };
+  if (!layout || typeof layout !== "object") return out;
+
+  for (const field of SHEET_LAYOUT_FIELDS) {
+    const raw = layout[field];
+    if (raw === null || raw === undefined || String(raw).trim() === "") continue;
+    const text = String(raw).trim().toUpperCase();
+    let n = Number(text);
+    if (SHEET_LAYOUT_COLUMN_FIELDS.has(field) && /^[A-Z]{1,3}$/.test(text)) {
+      n = window.XLSX.utils.decode_col(text) + 1;
+    }
+    if (!Number.isInteger(n) || n < 1) {
+      const what = SHEET_LAYOUT_COLUMN_FIELDS.has(field) ? "a column letter or number" : "a row number";
+      throw new ValidationError(`${SHEET_LAYOUT_LABELS[field]} must be ${what} (got "${raw}").`);
+    }
+    out[field] = n;
+  }
 
-function getSearchBoundsForKind({ kind, colSection, colLecture, maxCol1 }) {
-  if (!colSection) return { startCol1: 1, endCol1: maxCol1, kind: "unknown" };
-  if (kind === "section") {
-    return { startCol1: colSection, endCol1: colLecture ? colLecture - 1 : maxCol1, kind: "section" };
+  if (out.nameCol2 !== null && out.nameCol === null) {
+    throw new ValidationError("Set the first name column before the second one.");
   }
-  if (kind === "lecture") {
-    if (!colLecture) return { startCol1: 1, endCol1: 0, kind: "lecture" }; // empty range
-    // Based on actual Excel structure analysis: lecture week columns (W1, W2, W3...) start
-    // at the same column where "Attendance Lecture" header is found in row 1.
-    // Section week columns end at colLecture - 1, so lecture starts at colLecture.
-    return { startCol1: colLecture, endCol1: maxCol1, kind: "lecture" };
+  if (out.idCol !== null && (out.idCol === out.nameCol || out.idCol === out.nameCol2)) {
+    throw new ValidationError("The ID column cannot also be a name column.");
   }
-  // unknown: scan everything, but keep kind as unknown
-  return { startCol1: 1, endCol1: maxCol1, kind: "unknown" };
+  if (out.headerRow !== null && out.firstDataRow !== null && out.firstDataRow <= out.headerRow) {
+    throw new ValidationError("The first data row must come after the header row.");
+  }
+  if (out.firstDataRow !== null && out.lastDataRow !== null && out.lastDataRow < out.firstDataRow) {
+    throw new ValidationError("The last data row cannot come before the first data row.");
+  }
+  return out;
 }
 
-export function listColumnOptions(workbook, scope) {
-  assertXlsxLoaded();
-  if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
-
-  const scopeMode = scope?.mode === "single" ? "single" : "multi";
-  const selectedSheet = String(scope?.sheetName || "");
-  const sheetNames =
-    scopeMode === "single"
-      ? [selectedSheet].filter(Boolean)
-      : workbook.SheetNames.slice();
-
-  if (sheetNames.length === 0) throw new ValidationError("No sheets selected.");
+/**
+ * Human-readable override summary for reports, e.g. "ID B, name A+C, header row 3, data rows 4-40".
+ * @param {SheetLayout} layout
+ * @returns {string}
+ */
+export function describeSheetLayout(layout) {
+  const l = normalizeSheetLayout(layout);
+  const col = (n) => window.XLSX.utils.encode_col(n - 1);
+  const parts = [];
+  if (l.idCol !== null) parts.push(`ID ${col(l.idCol)}`);
+  if (l.nameCol !== null) parts.push(`name ${col(l.nameCol)}${l.nameCol2 !== null ? `+${col(l.nameCol2)}` : ""}`);
+  if (l.headerRow !== null) parts.push(`header row ${l.headerRow}`);
+  if (l.firstDataRow !== null || l.lastDataRow !== null) {
+    parts.push(`data rows ${l.firstDataRow ?? "auto"}-${l.lastDataRow ?? "auto"}`);
+  }
+  return parts.length ? parts.join(", ") : "detected";
+}
 
-  /** @type {Map<string, ColumnOption>} */
-  const byKey = new Map();
+/** @param {SheetLayout|null|undefined} layout */
+function hasSheetLayoutOverride(layout) {
+  return Boolean(layout) && SHEET_LAYOUT_FIELDS.some((f) => layout[f] !== null && layout[f] !== undefined);
+}
 
-  for (const sheetName of sheetNames) {
-    const ws = workbook.Sheets[sheetName];
-    if (!ws) continue;
-    const range = getSheetRange(ws);
-    if (!range) continue;
+/**
+ * Pattern-based ID column fallback used when target IDs did not pin the column down.
+ * Returns column 2 (the original template assumption) when nothing looks like IDs.
+ */
+function fallbackIdColumn(ws, nameCol, nameCol2, idProfile, startRow1 = 2) {
+  const range = getSheetRange(ws);
+  if (range) {
     const maxCol1 = range.e.c + 1;
+    const maxRow1 = Math.min(range.e.r + 1, startRow1 + 50); // Scan first 50 data rows
 
-    const { colSection, colLecture } = detectLectureSectionBounds(ws);
+    // Look for a column that contains emails or numeric IDs (excluding name columns)
+    for (let c = 1; c <= maxCol1; c++) {
+      if (c === nameCol || c === nameCol2) continue; // Skip name columns
 
-    /** @type {Array<'section'|'lecture'|'unknown'>} */
-    const kindsToScan = colSection ? ["section", "lecture"] : ["unknown"];
+      let idLikeCount = 0;
+      let totalRows = 0;
 
-    // First, collect all headers by their text (case-insensitive) to merge row 1 with rows 2-5
-    /** @type {Map<string, { headerText: string, kind: string, locations: Array }>} */
-    const byHeaderText = new Map();
+      for (let r = startRow1; r <= maxRow1; r++) {
+        const value = cellValue(ws, r, c);
+        totalRows++;
+        // Email with an ID username, or a plain ID
+        if (extractStudentId(value, idProfile)) idLikeCount++;
+      }
+
+      // If >50% of rows look like IDs, use this column
+      if (totalRows > 0 && idLikeCount / totalRows > 0.5) return c;
+    }
+  }
+  // Last resort: fallback to column 2 (original assumption)
+  return 2;
+}
+
+/**
+ * Detect the sheet layout and apply a manual override on top of it. Overridden fields are
+ * used as-is; the rest are detected with the override in mind (e.g. data rows are searched
+ * in the overridden ID column, below the overridden header row).
+ * @param {object} ws
+ * @param {SheetLayout|null} override
+ * @param {Set<string>|null} targetIdsSet
+ * @param {StudentIdProfile} idProfile
+ * @returns {{ detected: SheetLayout, effective: SheetLayout }}
+ */
+function resolveSheetLayout(ws, override = null, targetIdsSet = null, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
+  const o = override || {};
+  const scanFrom = o.firstDataRow ?? (o.headerRow ? o.headerRow + 1 : 2);
+
+  const found = detectIdAndNameColumns(ws, targetIdsSet, idProfile, scanFrom);
+  const detectedIdCol = found.idCol || fallbackIdColumn(ws, found.nameCol, found.nameCol2, idProfile, scanFrom);
+  const detectedFirst = findFirstDataRow(ws, scanFrom, detectedIdCol, idProfile);
+  /** @type {SheetLayout} */
+  const detected = {
+    idCol: detectedIdCol,
+    nameCol: found.nameCol,
+    nameCol2: found.nameCol2,
+    headerRow: Math.max(1, detectedFirst - 1),
+    firstDataRow: detectedFirst,
+    lastDataRow: findLastDataRow(ws, detectedFirst, detectedIdCol, idProfile),
+  };
+  if (!hasSheetLayoutOverride(override)) return { detected, effective: { ...detected } };
+
+  const idCol = o.idCol ?? detected.idCol;
+  // A single overridden name column means "just this one" unless a second is given too
+  const nameCol = o.nameCol ?? detected.nameCol;
+  const nameCol2 = o.nameCol != null ? o.nameCol2 ?? null : detected.nameCol2;
+  const firstDataRow = o.firstDataRow ?? findFirstDataRow(ws, scanFrom, idCol, idProfile);
+  /** @type {SheetLayout} */
+  const effective = {
+    idCol,
+    nameCol,
+    nameCol2,
+    headerRow: o.headerRow ?? Math.max(1, firstDataRow - 1),
+    firstDataRow,
+    lastDataRow: o.lastDataRow ?? findLastDataRow(ws, firstDataRow, idCol, idProfile),
+  };
+  return { detected, effective };
+}
+
+/**
+ * Detected and effective layout for every sheet in scope, for the wizard's layout step.
+ * @param {any} workbook
+ * @param {{mode?: string, sheetName?: string}} scope
+ * @param {StudentIdProfile} [idProfile]
+ * @param {Record<string, SheetLayout>} [layouts] - overrides keyed by sheet name
+ * @returns {SheetLayoutInfo[]}
+ */
+export function describeSheetLayouts(workbook, scope, idProfile = DEFAULT_STUDENT_ID_PROFILE, layouts = {}) {
+  assertXlsxLoaded();
+  if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
+  const sheetNames =
+    scope?.mode === "single"
+      ? [String(scope?.sheetName || "")].filter(Boolean)
+      : workbook.SheetNames.slice();
+
+  /** @type {SheetLayoutInfo[]} */
+  const out = [];
+  for (const sheetName of sheetNames) {
+    const ws = workbook.Sheets[sheetName];
+    if (!ws || !getSheetRange(ws)) continue;
+    const override = normalizeSheetLayout(layouts?.[sheetName]);
+    const { detected, effective } = resolveSheetLayout(ws, override, null, idProfile);
+    out.push({ sheet: sheetName, detected, override, effective });
+  }
+  return out;
+}
+
+/**
+ * A band of columns opened by a row-1 header such as "Attendance Section". The band runs
+ * from that column up to the next detected band (or the last column).
+ * @typedef {Object} ColumnGroup
+ * @property {string} kind        // stable id used in column keys (`${kind}::${headerPath}`)
+ * @property {string} label       // shown in the UI
+ * @property {string[]} keywords  // row-1 texts that open the band (case/diacritics-insensitive, partial match)
+ */
+
+/**
+ * @typedef {Object} ColumnBand
+ * @property {string} kind
+ * @property {string} label
+ * @property {number} startCol1
+ * @property {number} endCol1
+ */
+
+/** @type {ReadonlyArray<Readonly<ColumnGroup>>} */
+export const DEFAULT_COLUMN_GROUPS = Object.freeze([
+  Object.freeze({ kind: "section", label: "Section", keywords: Object.freeze(["attendance section", "حضور السكشن"]) }),
+  Object.freeze({ kind: "lecture", label: "Lecture", keywords: Object.freeze(["attendance lecture", "حضور المحاضرة"]) }),
+]);
+
+/**
+ * Validate a column group list. `kind` defaults to the lower-cased label; keywords may be a
+ * comma-separated string (Arabic comma accepted).
+ * @param {any} list
+ * @returns {ColumnGroup[]}
+ */
+export function normalizeColumnGroups(list) {
+  if (!Array.isArray(list)) throw new ValidationError("Column groups must be a list.");
+  /** @type {ColumnGroup[]} */
+  const out = [];
+  const kinds = new Set();
+  const keywordOwners = new Map();
+  for (const item of list) {
+    const label = String(item?.label ?? item?.kind ?? "").trim();
+    const kind = String(item?.kind || label).trim().toLowerCase();
+    const rawKeywords = Array.isArray(item?.keywords) ? item.keywords : String(item?.keywords ?? "").split(/[,،\n]/);
+    const keywords = rawKeywords.map((k) => String(k).trim()).filter(Boolean);
+    if (!label && !keywords.length) continue;
+    if (!label) throw new ValidationError("Every column group needs a name.");
+    if (kind === "unknown" || kind.includes("::")) throw new ValidationError(`"${label}" cannot be used as a column group name.`);
+    if (kinds.has(kind)) throw new ValidationError(`Column group "${label}" is listed twice.`);
+    if (!keywords.length) throw new ValidationError(`Column group "${label}" needs at least one row-1 keyword.`);
+    for (const k of keywords) {
+      const norm = normalizePersonName(k);
+      if (!norm) throw new ValidationError(`Keyword "${k}" has no letters or digits.`);
+      if (keywordOwners.has(norm)) throw new ValidationError(`Keyword "${k}" is used by both "${keywordOwners.get(norm)}" and "${label}".`);
+      keywordOwners.set(norm, label);
+    }
+    kinds.add(kind);
+    out.push({ kind, label, keywords });
+  }
+  if (!out.length) throw new ValidationError("Add at least one column group.");
+  return out;
+}
+
+/**
+ * Column groups from the older two-keyword setting (`{section, lecture}`) kept in saved
+ * reports and template profiles; each keyword is added to the default group's list.
+ * @param {any} keywords
+ * @returns {ColumnGroup[]}
+ */
+export function columnGroupsFromBoundaryKeywords(keywords) {
+  return normalizeColumnGroups(
+    DEFAULT_COLUMN_GROUPS.map((g) => {
+      const legacy = String(keywords?.[g.kind] ?? "").trim();
+      const extra = legacy && !g.keywords.some((k) => k.toLowerCase() === legacy.toLowerCase()) ? [legacy] : [];
+      return { ...g, keywords: [...extra, ...g.keywords] };
+    })
+  );
+}
+
+/**
+ * @param {string} kind
+ * @param {ColumnGroup[]} [columnGroups]
+ * @returns {string}
+ */
+export function columnGroupLabel(kind, columnGroups = DEFAULT_COLUMN_GROUPS) {
+  if (!kind || kind === "unknown") return "Unknown";
+  return columnGroups.find((g) => g.kind === kind)?.label || kind;
+}
+
+/**
+ * Find the bands of one sheet: each group starts at the first row-1 cell containing one of
+ * its keywords (first group wins a shared cell) and ends where the next band starts.
+ * Groups absent from the sheet are left out.
+ * @param {object} ws
+ * @param {ColumnGroup[]} [columnGroups]
+ * @returns {ColumnBand[]} sorted by column
+ */
+export function detectColumnGroups(ws, columnGroups = DEFAULT_COLUMN_GROUPS) {
+  const range = getSheetRange(ws);
+  if (!range) return [];
+  const maxCol1 = range.e.c + 1;
+
+  /** @type {Array<string>} */
+  const row1 = [];
+  for (let c = 1; c <= maxCol1; c++) row1[c] = normalizePersonName(cellValue(ws, 1, c) ?? "");
+
+  const taken = new Set();
+  const starts = [];
+  for (const group of columnGroups) {
+    const keywords = group.keywords.map(normalizePersonName).filter(Boolean);
+    for (let c = 1; c <= maxCol1; c++) {
+      if (taken.has(c) || !row1[c]) continue;
+      if (keywords.some((k) => row1[c].includes(k))) {
+        taken.add(c);
+        starts.push({ kind: group.kind, label: group.label, startCol1: c });
+        break;
+      }
+    }
+  }
+  starts.sort((x, y) => x.startCol1 - y.startCol1);
+  return starts.map((band, i) => ({
+    ...band,
+    endCol1: i + 1 < starts.length ? starts[i + 1].startCol1 - 1 : maxCol1,
+  }));
+}
+
+const HEADER_PATH_SEP = " > ";
+
+/**
+ * Texts of the multi-column merged cells above (row1, col1), top row first: the parents in a
+ * header path such as "Lab > W3". A merged cell opening a column band is left out since the
+ * band is already part of the column key. So are banners across the sheet (a section title
+ * merged over the ID/name columns or the whole used width): they differ per sheet and would
+ * split one lab or week column into a key per sheet.
+ * @param {object} ws
+ * @param {number} row1
+ * @param {number} col1
+ * @param {ColumnBand[]} bands
+ * @param {number[]} rosterCols1 - ID and name columns (1-based)
+ * @returns {string[]}
+ */
+function mergedHeaderParents(ws, row1, col1, bands, rosterCols1) {
+  const merges = Array.isArray(ws?.["!merges"]) ? ws["!merges"] : [];
+  const range = getSheetRange(ws);
+  const parents = [];
+  for (const m of merges) {
+    if (m.e.c <= m.s.c) continue; // vertical-only merges do not group columns
+    if (m.e.r + 1 >= row1 || col1 - 1 < m.s.c || col1 - 1 > m.e.c) continue;
+    if (m.s.r === 0 && bands.some((band) => band.startCol1 === m.s.c + 1)) continue;
+    if (range && m.s.c <= range.s.c && m.e.c >= range.e.c) continue;
+    if (rosterCols1.some((c1) => c1 - 1 >= m.s.c && c1 - 1 <= m.e.c)) continue;
+    const text = String(cellValue(ws, m.s.r + 1, m.s.c + 1) ?? "").trim();
+    if (text) parents.push({ row: m.s.r, text });
+  }
+  return parents.sort((a, b) => a.row - b.row).map((p) => p.text);
+}
+
+/**
+ * Header cells of rows 1-5 as column options. Cells under a merged group header are keyed by
+ * their path ("Lab > W3"), so equal sub-headers of different groups stay apart.
+ * @param {any} workbook
+ * @param {{mode?: string, sheetName?: string}} scope
+ * @param {StudentIdProfile} [idProfile]
+ * @param {Record<string, SheetLayout>} [layouts] - manual layout overrides keyed by sheet name;
+ *   an overridden header row (or first data row) fixes how far down headers are read
+ * @param {ColumnGroup[]} [columnGroups] - column bands (section, lecture, lab ...) found via row-1 keywords
+ */
+export function listColumnOptions(workbook, scope, idProfile = DEFAULT_STUDENT_ID_PROFILE, layouts = {}, columnGroups = DEFAULT_COLUMN_GROUPS) {
+  assertXlsxLoaded();
+  if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
+
+  const scopeMode = scope?.mode === "single" ? "single" : "multi";
+  const selectedSheet = String(scope?.sheetName || "");
+  const sheetNames =
+    scopeMode === "single"
+      ? [selectedSheet].filter(Boolean)
+      : workbook.SheetNames.slice();
+
+  if (sheetNames.length === 0) throw new ValidationError("No sheets selected.");
+
+  /** @type {Map<string, ColumnOption>} */
+  const byKey = new Map();
+
+  for (const sheetName of sheetNames) {
+    const ws = workbook.Sheets[sheetName];
+    if (!ws) continue;
+    const range = getSheetRange(ws);
+    if (!range) continue;
+    const maxCol1 = range.e.c + 1;
+
+    const bands = detectColumnGroups(ws, columnGroups);
+    const layout = normalizeSheetLayout(layouts?.[sheetName]);
+    const lastHeaderRow = layout.headerRow ?? (layout.firstDataRow !== null ? layout.firstDataRow - 1 : null);
+    const stopIdCol = layout.idCol ?? 2;
+    // Detected name columns are a guess on short header blocks, so only overridden ones count
+    const rosterCols1 = [resolveSheetLayout(ws, layout, null, idProfile).effective.idCol, layout.nameCol, layout.nameCol2].filter(
+      (c1) => Number.isFinite(c1) && c1 > 0
+    );
+
+    // Without any band the whole width is scanned as "unknown"
+    /** @type {Array<{kind: string, startCol1: number, endCol1: number}>} */
+    const kindsToScan = bands.length ? bands : [{ kind: "unknown", startCol1: 1, endCol1: maxCol1 }];
+
+    // First, collect all headers by their path (case-insensitive) to merge row 1 with rows 2-5
+    /** @type {Map<string, { headerText: string, headerPath: string, kind: string, locations: Array }>} */
+    const byHeaderPath = new Map();
 
     // Scan row 1 first (always "unknown" kind)
     for (let c = 1; c <= maxCol1; c++) {
@@ -671,47 +1619,48 @@ export function listColumnOptions(workbook, scope) {
       const colLetter = window.XLSX.utils.encode_col(c - 1);
       const loc = { sheet: sheetName, header_row: 1, col1: c, col_letter: colLetter };
       
-      if (!byHeaderText.has(headerLower)) {
-        byHeaderText.set(headerLower, {
+      if (!byHeaderPath.has(headerLower)) {
+        byHeaderPath.set(headerLower, {
           headerText,
+          headerPath: headerText, // nothing sits above row 1
           kind: "unknown",
           locations: [loc],
         });
       } else {
-        byHeaderText.get(headerLower).locations.push(loc);
+        byHeaderPath.get(headerLower).locations.push(loc);
       }
     }
 
     // Then scan rows 2-5 with detected kinds
-    for (const kind of kindsToScan) {
-      const { startCol1, endCol1 } = getSearchBoundsForKind({ kind, colSection, colLecture, maxCol1 });
+    for (const { kind, startCol1, endCol1 } of kindsToScan) {
       if (endCol1 < startCol1) continue;
 
-      for (let r = 2; r <= 5; r++) {
-        // stop early if we reached data rows (ID-like in col B)
-        const idCheck = normalizeId(cellValue(ws, r, 2));
-        if (idCheck && /^\d+$/.test(idCheck) && idCheck.length > 5) break;
+      for (let r = 2; r <= (lastHeaderRow ?? 5); r++) {
+        // stop early if we reached data rows (ID-like in col B, or the overridden ID column)
+        if (lastHeaderRow === null && extractStudentId(cellValue(ws, r, stopIdCol), idProfile)) break;
 
         for (let c = startCol1; c <= endCol1; c++) {
           const raw = cellValue(ws, r, c);
           const headerText = String(raw ?? "").trim();
           if (!headerText) continue;
-          const headerLower = headerText.toLowerCase();
+          const headerPath = [...mergedHeaderParents(ws, r, c, bands, rosterCols1), headerText].join(HEADER_PATH_SEP);
+          const pathLower = headerPath.toLowerCase();
           const colLetter = window.XLSX.utils.encode_col(c - 1);
           const loc = { sheet: sheetName, header_row: r, col1: c, col_letter: colLetter };
 
-          if (!byHeaderText.has(headerLower)) {
-            byHeaderText.set(headerLower, {
+          if (!byHeaderPath.has(pathLower)) {
+            byHeaderPath.set(pathLower, {
               headerText,
+              headerPath,
               kind,
               locations: [loc],
             });
           } else {
-            const entry = byHeaderText.get(headerLower);
+            const entry = byHeaderPath.get(pathLower);
             entry.locations.push(loc);
             // Upgrade from unknown to detected kind if found in rows 2-5
             // Note: We'll split by column ranges in the final conversion step,
-            // so we don't need to worry about section vs lecture conflicts here
+            // so we don't need to worry about conflicts between bands here
             if (entry.kind === "unknown" && kind !== "unknown") {
               entry.kind = kind;
             }
@@ -720,198 +1669,67 @@ export function listColumnOptions(workbook, scope) {
       }
     }
 
-    // Now convert to byKey format, splitting locations by their actual column ranges
-    // This ensures that headers appearing in both section and lecture areas get separate entries
-    for (const [headerLower, entry] of byHeaderText) {
-      if (!colSection || !colLecture) {
-        // No section/lecture boundaries detected, use entry as-is
-        const key = `${entry.kind}::${entry.headerText}`;
-        if (!byKey.has(key)) {
-          byKey.set(key, {
-            key,
-            headerText: entry.headerText,
-            kind: entry.kind,
-            occurrences: entry.locations.length,
-            locations: entry.locations,
-          });
-        } else {
-          const opt = byKey.get(key);
-          opt.occurrences += entry.locations.length;
-          opt.locations.push(...entry.locations);
-        }
-        continue;
-      }
-
-      // Split locations by section vs lecture column ranges
-      const sectionLocations = [];
-      const lectureLocations = [];
-      const unknownLocations = [];
-
+    // Now convert to byKey format, splitting locations by the band their column falls in.
+    // This ensures that headers appearing in several bands (W1 under Section and Lecture) get separate entries
+    for (const entry of byHeaderPath.values()) {
+      /** @type {Map<string, Array>} */
+      const locationsByKind = new Map();
       for (const loc of entry.locations) {
-        // Determine which range this location falls into
-        // Section: colSection to colLecture - 1
-        // Lecture: colLecture to maxCol1
-        if (loc.col1 >= colSection && loc.col1 < colLecture) {
-          sectionLocations.push(loc);
-        } else if (loc.col1 >= colLecture) {
-          lectureLocations.push(loc);
-        } else {
-          unknownLocations.push(loc);
-        }
+        // No bands detected: keep the entry's own kind
+        const kind = bands.length
+          ? bands.find((band) => loc.col1 >= band.startCol1 && loc.col1 <= band.endCol1)?.kind || "unknown"
+          : entry.kind;
+        if (!locationsByKind.has(kind)) locationsByKind.set(kind, []);
+        locationsByKind.get(kind).push(loc);
       }
 
-      // Create separate entries for section and lecture if they have locations
-      if (sectionLocations.length > 0) {
-        const key = `section::${entry.headerText}`;
+      for (const [kind, locations] of locationsByKind) {
+        const key = `${kind}::${entry.headerPath}`;
         if (!byKey.has(key)) {
           byKey.set(key, {
             key,
             headerText: entry.headerText,
-            kind: "section",
-            occurrences: sectionLocations.length,
-            locations: sectionLocations,
+            headerPath: entry.headerPath,
+            kind,
+            kindLabel: columnGroupLabel(kind, columnGroups),
+            occurrences: locations.length,
+            locations,
           });
         } else {
           const opt = byKey.get(key);
-          opt.occurrences += sectionLocations.length;
-          opt.locations.push(...sectionLocations);
-        }
-      }
-
-      if (lectureLocations.length > 0) {
-        const key = `lecture::${entry.headerText}`;
-        if (!byKey.has(key)) {
-          byKey.set(key, {
-            key,
-            headerText: entry.headerText,
-            kind: "lecture",
-            occurrences: lectureLocations.length,
-            locations: lectureLocations,
-          });
-        } else {
-          const opt = byKey.get(key);
-          opt.occurrences += lectureLocations.length;
-          opt.locations.push(...lectureLocations);
-        }
-      }
-
-      // Handle unknown locations (outside both ranges)
-      if (unknownLocations.length > 0) {
-        const key = `unknown::${entry.headerText}`;
-        if (!byKey.has(key)) {
-          byKey.set(key, {
-            key,
-            headerText: entry.headerText,
-            kind: "unknown",
-            occurrences: unknownLocations.length,
-            locations: unknownLocations,
-          });
-        } else {
-          const opt = byKey.get(key);
-          opt.occurrences += unknownLocations.length;
-          opt.locations.push(...unknownLocations);
+          opt.occurrences += locations.length;
+          opt.locations.push(...locations);
         }
       }
     }
   }
 
   return Array.from(byKey.values()).sort((a, b) => {
-    const k1 = `${a.kind}::${a.headerText}`.toLowerCase();
-    const k2 = `${b.kind}::${b.headerText}`.toLowerCase();
+    const k1 = a.key.toLowerCase();
+    const k2 = b.key.toLowerCase();
     return k1.localeCompare(k2);
   });
 }
 
-function buildStudentIndexForSheet(ws, targetIdsSet = null) {
+function buildStudentIndexForSheet(ws, targetIdsSet = null, idProfile = DEFAULT_STUDENT_ID_PROFILE, layoutOverride = null) {
   const range = getSheetRange(ws);
   if (!range) return { byId: new Map(), rows: [] };
-  const maxRow1 = range.e.r + 1;
 
   /** @type {Map<string, Array<{row1:number, id:string, name:string}>>} */
   const byId = new Map();
   /** @type {Array<{row1:number, id:string, name:string}>>} */
   const rows = [];
 
-  // Detect ID and name columns dynamically (once, before the loop)
-  const { idCol, nameCol, nameCol2 } = detectIdAndNameColumns(ws, targetIdsSet);
-  
-  // Smart fallback: if ID column not detected, try to find a column with email/numeric patterns
-  let finalIdCol = idCol;
-  if (!finalIdCol) {
-    const range = getSheetRange(ws);
-    if (range) {
-      const maxCol1 = range.e.c + 1;
-      const maxRow1 = Math.min(range.e.r + 1, 52); // Scan first 50 data rows
-      
-      // Look for a column that contains emails or numeric IDs (excluding name columns)
-      for (let c = 1; c <= maxCol1; c++) {
-        if (c === nameCol || c === nameCol2) continue; // Skip name columns
-        
-        let idLikeCount = 0;
-        let totalRows = 0;
-        
-        for (let r = 2; r <= maxRow1; r++) {
-          const value = cellValue(ws, r, c);
-          totalRows++;
-          if (value !== null && value !== undefined) {
-            const normalized = normalizeId(value);
-            if (normalized) {
-              // Check for email with numeric username or pure numeric ID
-              if (normalized.includes("@")) {
-                const username = normalized.split("@")[0];
-                if (/^\d+$/.test(username) && username.length > 5) {
-                  idLikeCount++;
-                }
-              } else if (/^\d+$/.test(normalized) && normalized.length > 5) {
-                idLikeCount++;
-              }
-            }
-          }
-        }
-        
-        // If >50% of rows look like IDs, use this column
-        if (totalRows > 0 && idLikeCount / totalRows > 0.5) {
-          finalIdCol = c;
-          break;
-        }
-      }
-    }
-    
-    // Last resort: fallback to column 2 (original assumption)
-    if (!finalIdCol) {
-      finalIdCol = 2;
-    }
-  }
+  // Detect ID and name columns dynamically (once, before the loop); a manual layout wins
+  const { effective } = resolveSheetLayout(ws, layoutOverride, targetIdsSet, idProfile);
+  const { idCol: finalIdCol, nameCol, nameCol2, firstDataRow, lastDataRow } = effective;
 
-  for (let r = 2; r <= maxRow1; r++) {
+  for (let r = firstDataRow; r <= lastDataRow; r++) {
     const rawId = cellValue(ws, r, finalIdCol);
     
-    // Extract ID, handling email format
-    let sid = null;
-    if (rawId !== null && rawId !== undefined) {
-      const normalized = normalizeId(rawId);
-      
-      if (normalized) {
-        // Check if it contains "@" (email format)
-        if (normalized.includes("@")) {
-          const username = normalized.split("@")[0];
-          if (targetIdsSet && targetIdsSet.has(username)) {
-            sid = username;
-          } else if (!targetIdsSet && /^\d+$/.test(username) && username.length > 5) {
-            // Pattern-based: if username is numeric and long enough, use it
-            sid = username;
-          }
-        } else {
-          // Direct match
-          if (targetIdsSet && targetIdsSet.has(normalized)) {
-            sid = normalized;
-          } else if (!targetIdsSet && /^\d+$/.test(normalized) && normalized.length > 5) {
-            // Pattern-based: pure numeric ID
-            sid = normalized;
-          }
-        }
-      }
-    }
+    // Extract ID (email usernames included). Target IDs only steer column detection; the whole
+    // roster is indexed so name and near-miss matching can see every student.
+    const sid = extractStudentId(rawId, idProfile);
     
     if (!sid) continue;
     
@@ -936,7 +1754,13 @@ function buildStudentIndexForSheet(ws, targetIdsSet = null) {
   return { byId, rows };
 }
 
-export function buildStudentSearchRows(workbook, scope) {
+/**
+ * @param {any} workbook
+ * @param {{mode?: string, sheetName?: string}} scope
+ * @param {StudentIdProfile} [idProfile]
+ * @param {Record<string, SheetLayout>} [layouts] - manual layout overrides keyed by sheet name
+ */
+export function buildStudentSearchRows(workbook, scope, idProfile = DEFAULT_STUDENT_ID_PROFILE, layouts = {}) {
   assertXlsxLoaded();
   if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
   const scopeMode = scope?.mode === "single" ? "single" : "multi";
@@ -951,61 +1775,741 @@ export function buildStudentSearchRows(workbook, scope) {
   for (const sheetName of sheetNames) {
     const ws = workbook.Sheets[sheetName];
     if (!ws) continue;
-    const index = buildStudentIndexForSheet(ws);
+    const index = buildStudentIndexForSheet(ws, null, idProfile, normalizeSheetLayout(layouts?.[sheetName]));
     for (const r of index.rows) out.push({ sheet: sheetName, row1: r.row1, id: r.id, name: r.name });
   }
   return out;
 }
 
-export function parseGradesText(text) {
-  if (typeof text !== "string") throw new FileError("Grades file content is invalid");
-  const lines = text.replace(/\r\n/g, "\n").split("\n");
-  /** @type {Array<{ id: string, grade: string }>} */
-  const rows = [];
-  /** @type {Array<{ type: "id", id: string, grade: string } | { type: "title", title: string }>} */
+/**
+ * Week tags work as in parseStudentIdsText: `# W3 lecture` titles and `id,W3,grade` lines.
+ * @param {string} text
+ * @param {StudentIdProfile} [idProfile]
+ * @param {{ withNames?: boolean }} [options] - withNames: also accept `id,name,grade` and
+ *   `name,grade` lines; section titles must then start with `#`
+ */
+export function parseGradesText(text, idProfile = DEFAULT_STUDENT_ID_PROFILE, options = {}) {
+  if (typeof text !== "string") throw new FileError("Grades file content is invalid");
+  const withNames = Boolean(options.withNames);
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  /** @type {Array<{ id: string, grade: string, name?: string, week?: string, group?: string }>} */
+  const rows = [];
+  /** @type {Array<{ type: "id", id: string, grade: string, name?: string, week?: string, group?: string } | { type: "title", title: string, week?: string, group?: string }>} */
+  const orderedEntries = [];
+  let currentWeek = null; // week tag of the last week-tagged title
+
+  const pushTitle = (title) => {
+    const tag = parseWeekTag(title);
+    if (tag) currentWeek = tag;
+    orderedEntries.push(tag ? { type: "title", title, week: tag.week, ...(tag.group ? { group: tag.group } : {}) } : { type: "title", title });
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) {
+      // Empty line resets delimiter context (same as parseStudentIdsText)
+      continue;
+    }
+    if (withNames && line.startsWith("#")) {
+      pushTitle(line.replace(/^#+\s*/, ""));
+      continue;
+    }
+    
+    const parts = line.split(",").map((p) => p.trim());
+    if (parts.length < 2) {
+      // No comma - this is a delimiter/title line
+      pushTitle(line);
+      continue;
+    }
+    
+    // Check if first part is a valid ID under the active ID profile
+    const sid = extractStudentId(parts[0], idProfile);
+    let name = "";
+    let gradeParts = parts.slice(1);
+    const lineWeek = sid && parts.length >= 3 ? parseWeekTag(parts[1]) : null;
+    if (!sid) {
+      if (!withNames) {
+        // Not a valid ID, treat this line as a delimiter/title
+        pushTitle(line);
+        continue;
+      }
+      name = parts[0]; // name,grade
+    } else if (lineWeek) {
+      gradeParts = parts.slice(2); // id,W3,grade
+    } else if (withNames && parts.length >= 3) {
+      name = parts[1]; // id,name,grade
+      gradeParts = parts.slice(2);
+    }
+    
+    const grade = normalizeGradeText(gradeParts.join(",")); // allow commas in grade text
+    if (!grade) {
+      // Valid ID but no grade - this is an error
+      throw new FileError(`Missing grade for ${sid ? `ID '${sid}'` : `'${name}'`}`);
+    }
+    
+    const entry = { type: "id", id: sid || "", grade };
+    const row = { id: sid || "", grade };
+    if (name) {
+      entry.name = name;
+      row.name = name;
+    }
+    const target = lineWeek ? { week: lineWeek.week, group: lineWeek.group || currentWeek?.group || "" } : currentWeek;
+    if (target) {
+      entry.week = row.week = target.week;
+      if (target.group) entry.group = row.group = target.group;
+    }
+    rows.push(row);
+    orderedEntries.push(entry);
+  }
+
+  if (rows.length === 0) throw new FileError("No valid grade rows found.");
+  
+  return {
+    rows,
+    orderedEntries,
+    idCounts: countInputIds(orderedEntries),
+  };
+}
+
+/**
+ * @typedef {Object} GradeTable
+ * @property {string} idHeader   // header of the ID column
+ * @property {string} nameHeader // header of the name column ("" = none)
+ * @property {string[]} headers  // score column names from the header line (ID / name columns excluded)
+ * @property {Array<{ id: string, name: string, values: string[] }>} rows  // values follow `headers`
+ */
+
+const GRADE_TABLE_NAME_HEADER_RE = /^(?:full\s*)?(?:student\s*)?name$|^الاسم$|^اسم/i;
+
+/**
+ * Parse a score table exported by a quiz platform: a header line `id,quiz1,quiz2,midterm` and one
+ * line per student. Tab-separated exports work too, quoted cells may hold the separator, and a `name`
+ * column after the ID is kept for the report. Lines whose first cell is not an ID are skipped.
+ * @param {string} text
+ * @param {StudentIdProfile} [idProfile]
+ * @returns {GradeTable}
+ */
+export function parseGradeTableText(text, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
+  if (typeof text !== "string") throw new FileError("Grades file content is invalid");
+  const lines = text.replace(/\r\n/g, "\n").split("\n").filter((l) => l.trim());
+  if (lines.length < 2) throw new FileError("Score table needs a header line and at least one student line.");
+  const sep = lines[0].includes("\t") ? "\t" : ",";
+  // Quoted cells may hold the separator ("Doe, Jane")
+  const split = (line) => splitDelimitedLine(line, sep);
+
+  const header = split(lines[0]);
+  if (header.length < 2) throw new FileError("Score table header needs the ID column and at least one score column.");
+  const nameCol = header.length > 2 && GRADE_TABLE_NAME_HEADER_RE.test(header[1]) ? 1 : -1;
+  const first = nameCol === 1 ? 2 : 1;
+  const headers = header.slice(first);
+  if (headers.some((h) => !h)) throw new FileError("Every score column in the header line needs a name.");
+
+  const rows = [];
+  for (const line of lines.slice(1)) {
+    const cells = split(line);
+    const id = extractStudentId(cells[0] || "", idProfile);
+    if (!id) continue;
+    rows.push({ id, name: nameCol === 1 ? cells[1] || "" : "", values: headers.map((_, i) => normalizeGradeText(cells[first + i] ?? "")) });
+  }
+  if (!rows.length) throw new FileError("No student lines found under the score table header.");
+  return { idHeader: header[0], nameHeader: nameCol === 1 ? header[1] : "", headers, rows };
+}
+
+/**
+ * Match score table headers to workbook columns by header text (case, spaces and punctuation
+ * ignored): an exact header path or header wins, then a workbook header containing the name
+ * ("Quiz 1 (10 pts)" for "quiz1"). Unmatched headers map to "" (not imported).
+ * @param {string[]} headers
+ * @param {ColumnOption[]} options - from listColumnOptions
+ * @returns {Record<string, string>} header -> ColumnOption key
+ */
+export function matchGradeTableColumns(headers, options) {
+  const norm = (t) => String(t || "").toLowerCase().replace(/[\s_\-.:>()]+/g, "");
+  const opts = (options || []).map((o) => ({ key: o.key, path: norm(o.headerPath), text: norm(o.headerText) }));
+  /** @type {Record<string, string>} */
+  const out = {};
+  for (const h of headers || []) {
+    const n = norm(h);
+    const match =
+      opts.find((o) => o.path === n) ||
+      opts.find((o) => o.text === n) ||
+      (n.length > 1 ? opts.find((o) => o.text.includes(n)) : null);
+    out[h] = match?.key || "";
+  }
+  return out;
+}
+
+/**
+ * Grade rows for computeEditorPreview: one per student per mapped column with a score; each row
+ * carries its ColumnOption key in `column`.
+ * @param {GradeTable} table
+ * @param {Record<string, string>} mapping - header -> ColumnOption key ("" = skip)
+ */
+export function gradeTableToRows(table, mapping) {
+  const mapped = (table?.headers || []).map((h, i) => ({ i, key: String(mapping?.[h] || "") })).filter((m) => m.key);
+  if (!mapped.length) throw new ValidationError("Map at least one score column to a workbook column.");
+  const rows = [];
+  /** @type {Array<{ type: "id", id: string, grade: string, name?: string, column: string }>} */
+  const orderedEntries = [];
+  for (const r of table.rows) {
+    for (const m of mapped) {
+      const grade = r.values[m.i];
+      if (!grade) continue; // empty cell: nothing to write for this column
+      const row = { id: r.id, grade, column: m.key, ...(r.name ? { name: r.name } : {}) };
+      rows.push(row);
+      orderedEntries.push({ type: "id", ...row });
+    }
+  }
+  if (!rows.length) throw new FileError("The mapped score columns are empty.");
+  return { rows, orderedEntries, idCounts: countInputIds(orderedEntries) };
+}
+
+/**
+ * @typedef {Object} InputTable
+ * @property {string[]} headers  // header row cells, "Column C" when the file has no header row
+ * @property {string[][]} rows   // data rows as text, as wide as `headers`
+ */
+
+/**
+ * @typedef {Object} InputTableColumns
+ * @property {number} idCol     // 0-based column index in the InputTable; -1 = none
+ * @property {number} nameCol
+ * @property {number} valueCol  // attendance code/value or grade
+ * @property {number} groupCol  // section delimiter: rows are grouped under its values
+ */
+
+/**
+ * Read an uploaded input spreadsheet. CSV text is read as text so IDs keep leading zeros and
+ * UTF-8 names survive; other files go through readWorkbookFromArrayBuffer.
+ * @param {string|ArrayBuffer} data
+ */
+export function readInputWorkbook(data) {
+  assertXlsxLoaded();
+  if (typeof data !== "string") return readWorkbookFromArrayBuffer(data);
+  try {
+    return window.XLSX.read(data, { type: "string", raw: true });
+  } catch (e) {
+    throw new FileError(`Could not read the CSV file: ${e?.message || String(e)}`);
+  }
+}
+
+/**
+ * Rows of one sheet of an input file. The first non-empty row is the header row unless it
+ * already holds a student ID.
+ * @param {any} workbook
+ * @param {string} sheetName
+ * @param {StudentIdProfile} [idProfile]
+ * @returns {InputTable}
+ */
+export function readInputTable(workbook, sheetName, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
+  assertXlsxLoaded();
+  const ws = workbook?.Sheets?.[sheetName];
+  if (!ws) throw new FileError(`Sheet "${sheetName}" was not found in the input file.`);
+  const raw = window.XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, defval: "", blankrows: false });
+  const lines = raw
+    .map((r) => r.map((c) => normalizeDigits(String(c ?? "")).trim()))
+    .filter((r) => r.some(Boolean));
+  if (!lines.length) throw new FileError(`Sheet "${sheetName}" of the input file is empty.`);
+  const width = Math.max(...lines.map((r) => r.length));
+  const pad = (r) => Array.from({ length: width }, (_, i) => r[i] ?? "");
+  const hasHeader = !lines[0].some((c) => extractStudentId(c, idProfile));
+  const headers = hasHeader
+    ? pad(lines[0]).map((h, i) => h || `Column ${window.XLSX.utils.encode_col(i)}`)
+    : Array.from({ length: width }, (_, i) => `Column ${window.XLSX.utils.encode_col(i)}`);
+  return { headers, rows: (hasHeader ? lines.slice(1) : lines).map(pad) };
+}
+
+const INPUT_VALUE_HEADER_RE = /grade|score|mark|points?|total|result|value|status|درجة|الدرجة|النتيجة/i;
+
+/**
+ * Pre-select input columns: the ID column holds the most student IDs, name and value columns
+ * are recognized by their header ("Name", "Score", "Grade" ...). The group column is left for
+ * the user to choose.
+ * @param {InputTable} table
+ * @param {StudentIdProfile} [idProfile]
+ * @returns {InputTableColumns}
+ */
+export function guessInputTableColumns(table, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
+  const headers = table?.headers || [];
+  const sample = (table?.rows || []).slice(0, 200);
+  let idCol = -1;
+  let best = 0;
+  headers.forEach((_, i) => {
+    const hits = sample.filter((r) => extractStudentId(r[i], idProfile)).length;
+    if (hits > best) {
+      best = hits;
+      idCol = i;
+    }
+  });
+  const nameCol = headers.findIndex((h, i) => i !== idCol && GRADE_TABLE_NAME_HEADER_RE.test(h.trim()));
+  const valueCol = headers.findIndex((h, i) => i !== idCol && i !== nameCol && INPUT_VALUE_HEADER_RE.test(h));
+  return { idCol, nameCol, valueCol, groupCol: -1 };
+}
+
+/**
+ * Turn an input table into the structure the text parsers return, so the rest of the preview
+ * path does not care where the input came from. Group column values become section titles
+ * (first-appearance order, rows grouped under them), with the same week tags and attendance
+ * value titles as `.txt` input. Attendance: the value column holds a code (`L`) or the value
+ * written; grades: it is required and rows with an empty grade are skipped.
+ * @param {InputTable} table
+ * @param {InputTableColumns} columns
+ * @param {string} taskType
+ * @param {{ idProfile?: StudentIdProfile, attendanceValues?: AttendanceValue[] }} [options]
+ */
+export function inputTableToEntries(table, columns, taskType, options = {}) {
+  const idProfile = options.idProfile || DEFAULT_STUDENT_ID_PROFILE;
+  const attendanceValues = Array.isArray(options.attendanceValues) ? options.attendanceValues : null;
+  const isAttendance = taskType === "attendance";
+  const { idCol, nameCol, valueCol, groupCol } = columns || {};
+  if (!(idCol >= 0)) throw new ValidationError("Choose the student ID column of the input file.");
+  if (!isAttendance && !(valueCol >= 0)) throw new ValidationError("Choose the grade column of the input file.");
+
+  /** @type {Map<string, string[][]>} */
+  const groups = new Map();
+  for (const r of table?.rows || []) {
+    const g = groupCol >= 0 ? r[groupCol] || "" : "";
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(r);
+  }
+
+  const orderedEntries = [];
+  const rows = [];
+  const idsSet = new Set();
+  const sectionIdCounts = {};
+  let sectionId = 0;
+  for (const [title, groupRows] of groups) {
+    const tag = title ? parseWeekTag(title) : null;
+    const sectionCode = title && attendanceValues ? findAttendanceValue(attendanceValues, title)?.code || "" : "";
+    if (title) {
+      sectionId += 1;
+      sectionIdCounts[sectionId] = {};
+      orderedEntries.push(tag ? { type: "title", title, week: tag.week, ...(tag.group ? { group: tag.group } : {}) } : { type: "title", title });
+    }
+    for (const r of groupRows) {
+      const id = extractStudentId(r[idCol], idProfile) || "";
+      const name = nameCol >= 0 ? r[nameCol] || "" : "";
+      if (!id && !name) continue;
+      const rawValue = valueCol >= 0 ? normalizeGradeText(r[valueCol]) : "";
+      const entry = { type: "id", id };
+      if (name) entry.name = name;
+      if (isAttendance) {
+        // A status column holds codes (`L`) or their titles (`Late`)
+        const hit = rawValue && attendanceValues ? findAttendanceValue(attendanceValues, rawValue) : null;
+        if (hit || sectionCode) entry.code = hit?.code || sectionCode;
+        else if (rawValue) entry.value = rawValue;
+      } else {
+        if (!rawValue) continue; // no grade for this student
+        entry.grade = rawValue;
+      }
+      if (tag) {
+        entry.week = tag.week;
+        if (tag.group) entry.group = tag.group;
+      }
+      if (title) {
+        entry.section = sectionId;
+        if (id) sectionIdCounts[sectionId][id] = (sectionIdCounts[sectionId][id] || 0) + 1;
+      }
+      orderedEntries.push(entry);
+      if (id) idsSet.add(id);
+      if (!isAttendance) {
+        const { type, section, ...row } = entry;
+        rows.push(row);
+      }
+    }
+  }
+
+  if (!orderedEntries.some((e) => e.type === "id")) {
+    throw new FileError(`No student rows found in the input file. Expected IDs: ${describeStudentIdProfile(idProfile)}.`);
+  }
+  const idCounts = countInputIds(orderedEntries);
+  return isAttendance
+    ? { orderedEntries, targetIdsSet: idsSet, totalLoadedUnique: idsSet.size, idCounts, sectionIdCounts }
+    : { rows, orderedEntries, idCounts };
+}
+
+// -----------------------------
+// Meeting attendance reports (Teams / Zoom)
+// -----------------------------
+
+/**
+ * @typedef {Object} MeetingReportOptions
+ * @property {number} minMinutes     // participants in the meeting at least this long are present
+ * @property {number} reviewMinutes  // those up to this many minutes short are listed for review
+ */
+
+/** @type {Readonly<MeetingReportOptions>} */
+export const DEFAULT_MEETING_REPORT_OPTIONS = Object.freeze({ minMinutes: 30, reviewMinutes: 5 });
+
+const MEETING_NAME_HEADER_RE = /^(?:full\s*)?name\b|^participant(?:\s*name)?$|^display\s*name$/i;
+const MEETING_EMAIL_HEADER_RE = /e-?mail|\bupn\b/i;
+const MEETING_DURATION_HEADER_RE = /duration/i;
+const MEETING_JOIN_HEADER_RE = /join/i;
+const MEETING_LEAVE_HEADER_RE = /leave/i;
+
+/**
+ * @param {any} raw
+ * @returns {MeetingReportOptions}
+ */
+export function normalizeMeetingReportOptions(raw) {
+  const num = (v, fallback) => {
+    const n = Number(normalizeDigits(String(v ?? "").trim()));
+    return String(v ?? "").trim() !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    minMinutes: num(raw?.minMinutes, DEFAULT_MEETING_REPORT_OPTIONS.minMinutes),
+    reviewMinutes: num(raw?.reviewMinutes, DEFAULT_MEETING_REPORT_OPTIONS.reviewMinutes),
+  };
+}
+
+/**
+ * @param {MeetingReportOptions} options
+ */
+export function describeMeetingReportOptions(options) {
+  const { minMinutes, reviewMinutes } = normalizeMeetingReportOptions(options);
+  const review = reviewMinutes > 0 ? `, ${Math.max(0, minMinutes - reviewMinutes)}+ min listed for review` : "";
+  return `present at ${minMinutes}+ min${review}`;
+}
+
+// Quoted cells may hold the separator ("Ali, Ahmed") and doubled quotes
+function splitDelimitedLine(line, sep) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && !cell.trim()) quoted = true;
+    else if (ch === sep) {
+      cells.push(cell.trim());
+      cell = "";
+    } else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Minutes from a report duration: Teams `1h 5m 30s`, clock time `01:05:30` / `45:10`, or a bare
+ * number (minutes, or seconds when the header says so, as in Zoom exports).
+ * @param {string} text
+ * @param {string} [header]
+ * @returns {number|null}
+ */
+export function parseMeetingDuration(text, header = "") {
+  const t = normalizeDigits(String(text ?? "")).trim().toLowerCase();
+  if (!t) return null;
+  if (/^\d+(?:\.\d+)?$/.test(t)) return /sec/i.test(header) ? Number(t) / 60 : Number(t);
+  const clock = /^(\d+):(\d{1,2})(?::(\d{1,2}))?$/.exec(t);
+  if (clock) {
+    return clock[3] !== undefined
+      ? Number(clock[1]) * 60 + Number(clock[2]) + Number(clock[3]) / 60
+      : Number(clock[1]) + Number(clock[2]) / 60;
+  }
+  let minutes = 0;
+  let found = false;
+  for (const m of t.matchAll(/(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|min|mins|minutes?|s|sec|secs|seconds?)\b/g)) {
+    const n = Number(m[1]);
+    const unit = m[2][0];
+    minutes += unit === "h" ? n * 60 : unit === "m" ? n : n / 60;
+    found = true;
+  }
+  return found ? minutes : null;
+}
+
+/**
+ * Parse a Teams or Zoom participant report into attendance input. The first table with a name
+ * column and a duration (or join and leave times) is read; metadata lines above it and other
+ * tables below it are ignored. Student IDs come from the email username like roster emails
+ * (`extractStudentId`), else from an ID inside the display name; other participants are kept by
+ * name for name matching. Rejoins are summed per student.
+ *
+ * Students with at least `minMinutes` form the first section. Those up to `reviewMinutes` short
+ * form a second section marked `review` (with `minutes`) so they can be checked by hand; everyone
+ * else is left out. Entries also carry `minutes`.
+ * @param {string} text - decoded report (UTF-16 files must be decoded first)
+ * @param {StudentIdProfile} [idProfile]
+ * @param {Partial<MeetingReportOptions>} [options]
+ * @returns {ParsedStudentIds & { meetingSummary: { participants: number, present: number, review: number, below: number } }}
+ */
+export function parseMeetingReport(text, idProfile = DEFAULT_STUDENT_ID_PROFILE, options = {}) {
+  if (typeof text !== "string") throw new FileError("Meeting report content is invalid");
+  const { minMinutes, reviewMinutes } = normalizeMeetingReportOptions(options);
+  const lines = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n");
+
+  let header = null;
+  let sep = ",";
+  let start = -1;
+  for (let i = 0; i < lines.length && !header; i++) {
+    const s = lines[i].includes("\t") ? "\t" : ",";
+    const cells = splitDelimitedLine(lines[i], s);
+    const find = (re) => cells.findIndex((c) => re.test(c));
+    const cols = {
+      name: find(MEETING_NAME_HEADER_RE),
+      email: find(MEETING_EMAIL_HEADER_RE),
+      duration: find(MEETING_DURATION_HEADER_RE),
+      join: find(MEETING_JOIN_HEADER_RE),
+      leave: find(MEETING_LEAVE_HEADER_RE),
+    };
+    if (cols.name < 0 || (cols.duration < 0 && (cols.join < 0 || cols.leave < 0))) continue;
+    header = { ...cols, durationHeader: cells[cols.duration] || "" };
+    sep = s;
+    start = i + 1;
+  }
+  if (!header) {
+    throw new FileError("No participant table found. Expected a Teams or Zoom attendance report with a name column and a duration or join/leave times.");
+  }
+
+  /** @type {Map<string, { id: string, name: string, minutes: number }>} */
+  const participants = new Map();
+  for (const line of lines.slice(start)) {
+    if (!line.trim()) break; // the table ends at the first blank line
+    const cells = splitDelimitedLine(line, sep);
+    if (cells.length < 2) break;
+    const name = cells[header.name] || "";
+    let minutes = header.duration >= 0 ? parseMeetingDuration(cells[header.duration], header.durationHeader) : null;
+    if (minutes === null && header.join >= 0 && header.leave >= 0) {
+      const joined = Date.parse(cells[header.join]);
+      const left = Date.parse(cells[header.leave]);
+      if (Number.isFinite(joined) && Number.isFinite(left) && left >= joined) minutes = (left - joined) / 60000;
+    }
+    if (minutes === null) continue;
+    const id =
+      extractStudentId(header.email >= 0 ? cells[header.email] : "", idProfile) ||
+      name.split(/[\s,;()[\]|-]+/).map((part) => extractStudentId(part, idProfile)).find(Boolean) ||
+      "";
+    const key = id || normalizePersonName(name);
+    if (!key) continue;
+    const p = participants.get(key) || { id, name, minutes: 0 };
+    p.minutes += minutes;
+    participants.set(key, p);
+  }
+
+  const orderedEntries = [];
+  const sectionIdCounts = {};
+  const idsSet = new Set();
+  const reviewFrom = Math.max(0, minMinutes - reviewMinutes);
+  const sections = [
+    { title: `Attended ${minMinutes}+ min`, test: (m) => m >= minMinutes, review: false },
+    { title: `Review: ${reviewFrom}+ min, under ${minMinutes}`, test: (m) => m >= reviewFrom && m < minMinutes, review: true },
+  ];
+  const summary = { participants: participants.size, present: 0, review: 0, below: 0 };
+  for (const section of sections) {
+    const members = Array.from(participants.values()).filter((p) => section.test(p.minutes));
+    if (!members.length) continue;
+    const sectionId = Object.keys(sectionIdCounts).length + 1;
+    sectionIdCounts[sectionId] = {};
+    orderedEntries.push({ type: "title", title: section.title });
+    for (const p of members) {
+      const entry = { type: "id", id: p.id, section: sectionId, minutes: Math.round(p.minutes) };
+      if (p.name) entry.name = p.name;
+      if (section.review) entry.review = true;
+      orderedEntries.push(entry);
+      if (p.id) {
+        idsSet.add(p.id);
+        sectionIdCounts[sectionId][p.id] = (sectionIdCounts[sectionId][p.id] || 0) + 1;
+      }
+    }
+    summary[section.review ? "review" : "present"] = members.length;
+  }
+  summary.below = summary.participants - summary.present - summary.review;
+
+  if (!orderedEntries.length) {
+    throw new FileError(`No participant stayed ${reviewFrom}+ minutes (${summary.participants} in the report).`);
+  }
+  return {
+    orderedEntries,
+    targetIdsSet: idsSet,
+    totalLoadedUnique: idsSet.size,
+    idCounts: countInputIds(orderedEntries),
+    sectionIdCounts,
+    meetingSummary: summary,
+  };
+}
+
+// -----------------------------
+// YaqeenScan exports
+// -----------------------------
+
+/**
+ * @typedef {Object} YaqeenScanSubmission
+ * @property {string} id
+ * @property {string} name          // name the student typed on their phone
+ * @property {string} time          // submission time as exported
+ * @property {number|null} minute   // minutes after midnight; null when the time is not readable
+ */
+
+/**
+ * @typedef {Object} YaqeenScanExport
+ * @property {string} course        // from the file name, underscores as spaces
+ * @property {string} date          // YYYY-MM-DD from the file name; '' when missing
+ * @property {YaqeenScanSubmission[]} submissions  // export order
+ */
+
+/**
+ * @typedef {Object} YaqeenScanOptions
+ * @property {string} sessionStart       // "HH:MM"; '' = the first submission
+ * @property {string|number} lateAfterMinutes  // '' = nobody is late
+ * @property {string} lateCode           // attendance value code written for late students
+ */
+
+const YAQEENSCAN_FILE_RE = /^(.+?)_(\d{4}-\d{2}-\d{2})\.(?:csv|xlsx)$/i;
+const YAQEENSCAN_TIME_HEADER_RE = /time|submitted|timestamp|الوقت/i;
+
+/** Submitted names scoring below this against the workbook name are flagged (`name_mismatch`). */
+export const NAME_MISMATCH_THRESHOLD = 0.7;
+
+/**
+ * Minutes after midnight of the last clock time in a text ("09:05", "9:05:12 PM",
+ * "2026-10-19 09:05:12").
+ * @param {any} text
+ * @returns {number|null}
+ */
+export function parseClockMinutes(text) {
+  const matches = [...normalizeDigits(String(text ?? "")).matchAll(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?/gi)];
+  const m = matches[matches.length - 1];
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const suffix = String(m[4] || "").toLowerCase();
+  if (suffix.startsWith("p") && hours < 12) hours += 12;
+  if (suffix.startsWith("a") && hours === 12) hours = 0;
+  if (hours > 23 || Number(m[2]) > 59) return null;
+  return hours * 60 + Number(m[2]) + Number(m[3] || 0) / 60;
+}
+
+/**
+ * @param {number} minutes - after midnight
+ * @returns {string} "HH:MM"
+ */
+export function formatClockMinutes(minutes) {
+  const whole = Math.floor(minutes);
+  return `${String(Math.floor(whole / 60) % 24).padStart(2, "0")}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Read a YaqeenScan export (`Course_Name_YYYY-MM-DD.csv` / `.xlsx`): the ID column is the one
+ * holding student IDs, the name column is found by its header and the submission time column by
+ * "time"/"submitted" in its header.
+ * @param {any} workbook - from readInputWorkbook
+ * @param {string} fileName
+ * @param {StudentIdProfile} [idProfile]
+ * @returns {YaqeenScanExport}
+ */
+export function readYaqeenScanExport(workbook, fileName, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
+  const table = readInputTable(workbook, workbook?.SheetNames?.[0] || "", idProfile);
+  const { idCol, nameCol } = guessInputTableColumns(table, idProfile);
+  const timeCol = table.headers.findIndex((h, i) => i !== idCol && YAQEENSCAN_TIME_HEADER_RE.test(h));
+  if (idCol < 0 || timeCol < 0) {
+    throw new FileError("This is not a YaqeenScan export: expected student ID, name and submission time columns.");
+  }
+  const submissions = [];
+  for (const row of table.rows) {
+    const id = extractStudentId(row[idCol], idProfile);
+    if (!id) continue;
+    submissions.push({ id, name: nameCol >= 0 ? row[nameCol] : "", time: row[timeCol], minute: parseClockMinutes(row[timeCol]) });
+  }
+  if (!submissions.length) throw new FileError(`No submissions found in the YaqeenScan export. Expected IDs: ${describeStudentIdProfile(idProfile)}.`);
+  const file = YAQEENSCAN_FILE_RE.exec(String(fileName || "").trim());
+  return {
+    course: file ? file[1].replace(/_/g, " ").trim() : String(fileName || "").replace(/\.[^.]+$/, ""),
+    date: file ? file[2] : "",
+    submissions,
+  };
+}
+
+/**
+ * Attendance entries from a YaqeenScan export. With a late cutoff, students who submitted more
+ * than `lateAfterMinutes` after the session start go into a "Late" section with `lateCode`;
+ * everyone else is on time. Entries keep the submitted name for the proxy check
+ * (`flagNameMismatches`).
+ * @param {YaqeenScanExport} scan
+ * @param {Partial<YaqeenScanOptions> & { attendanceValues?: AttendanceValue[] }} [options]
+ * @returns {ParsedStudentIds & { lateCutoff: string }}  // lateCutoff "HH:MM", '' without one
+ */
+export function yaqeenScanToEntries(scan, options = {}) {
+  const submissions = Array.isArray(scan?.submissions) ? scan.submissions : [];
+  if (!submissions.length) throw new FileError("The YaqeenScan export has no submissions.");
+  const lateText = String(options.lateAfterMinutes ?? "").trim();
+  const lateAfter = lateText === "" ? null : Number(normalizeDigits(lateText));
+  if (lateAfter !== null && !(Number.isFinite(lateAfter) && lateAfter >= 0)) {
+    throw new ValidationError("Late after must be a number of minutes.");
+  }
+
+  let cutoff = null;
+  let lateCode = "";
+  if (lateAfter !== null) {
+    const startText = String(options.sessionStart || "").trim();
+    const times = submissions.map((s) => s.minute).filter((m) => m !== null);
+    const start = startText ? parseClockMinutes(startText) : times.length ? Math.floor(Math.min(...times)) : null;
+    if (start === null) throw new ValidationError("Enter the session start time (HH:MM); the export has no readable submission times.");
+    cutoff = start + lateAfter;
+    const values = Array.isArray(options.attendanceValues) ? options.attendanceValues : DEFAULT_ATTENDANCE_VALUES;
+    const hit = findAttendanceValue(values, options.lateCode, { codesOnly: true });
+    if (!hit) throw new ValidationError(`Late code "${options.lateCode || ""}" is not one of the attendance values.`);
+    lateCode = hit.code;
+  }
+
   const orderedEntries = [];
-
-  for (const rawLine of lines) {
-    const line = rawLine.trim();
-    if (!line) {
-      // Empty line resets delimiter context (same as parseStudentIdsText)
-      continue;
-    }
-    
-    const parts = line.split(",").map((p) => p.trim());
-    if (parts.length < 2) {
-      // No comma - this is a delimiter/title line
-      orderedEntries.push({ type: "title", title: line });
-      continue;
-    }
-    
-    const sid = normalizeId(parts[0]);
-    // Check if first part is a valid ID (numeric, 6+ digits)
-    if (!sid || !/^\d+$/.test(sid) || sid.length <= 5) {
-      // Not a valid ID, treat this line as a delimiter/title
-      orderedEntries.push({ type: "title", title: line });
-      continue;
-    }
-    
-    const grade = parts.slice(1).join(",").trim(); // allow commas in grade text
-    if (!grade) {
-      // Valid ID but no grade - this is an error
-      throw new FileError(`Missing grade for ID '${sid}'`);
+  const sectionIdCounts = {};
+  const idsSet = new Set();
+  const isLate = (s) => cutoff !== null && s.minute !== null && s.minute > cutoff;
+  const sections = cutoff === null
+    ? [{ title: [scan.course, scan.date].filter(Boolean).join(" ") || "YaqeenScan", late: false }]
+    : [
+        { title: `On time (until ${formatClockMinutes(cutoff)})`, late: false },
+        { title: `Late (after ${formatClockMinutes(cutoff)})`, late: true },
+      ];
+  for (const section of sections) {
+    const members = submissions.filter((s) => isLate(s) === section.late);
+    if (!members.length) continue;
+    const sectionId = Object.keys(sectionIdCounts).length + 1;
+    sectionIdCounts[sectionId] = {};
+    orderedEntries.push({ type: "title", title: section.title });
+    for (const s of members) {
+      const entry = { type: "id", id: s.id, section: sectionId, time: s.time };
+      if (s.name) entry.name = s.name;
+      if (section.late) entry.code = lateCode;
+      orderedEntries.push(entry);
+      idsSet.add(s.id);
+      sectionIdCounts[sectionId][s.id] = (sectionIdCounts[sectionId][s.id] || 0) + 1;
     }
-    
-    const entry = { type: "id", id: sid, grade };
-    rows.push({ id: sid, grade });
-    orderedEntries.push(entry);
   }
-
-  if (rows.length === 0) throw new FileError("No valid grade rows found.");
-  
   return {
-    rows,
     orderedEntries,
+    targetIdsSet: idsSet,
+    totalLoadedUnique: idsSet.size,
+    idCounts: countInputIds(orderedEntries),
+    sectionIdCounts,
+    lateCutoff: cutoff === null ? "" : formatClockMinutes(cutoff),
   };
 }
 
+/**
+ * Flag rows matched by ID whose input name does not resemble the workbook name: with
+ * self-service check-in (YaqeenScan) that hints at a proxy submission. Sets `name_mismatch`
+ * and adds a note; other rows are left alone.
+ * @param {EditorPreviewRow[]} previewRows
+ * @param {number} [threshold]
+ * @returns {number} rows flagged
+ */
+export function flagNameMismatches(previewRows, threshold = NAME_MISMATCH_THRESHOLD) {
+  let flagged = 0;
+  for (const row of previewRows || []) {
+    if (!row.input_name || !row.student_name || !row.input_id || row.match_status === "notFound" || row.match_status === "absent") continue;
+    const score = nameSimilarity(normalizePersonName(row.input_name), normalizePersonName(row.student_name));
+    if (score >= threshold) continue;
+    row.name_mismatch = true;
+    row.note = [row.note, `Submitted name "${row.input_name}" does not match the workbook name: possible proxy submission.`].filter(Boolean).join(" ");
+    flagged += 1;
+  }
+  return flagged;
+}
+
 export function computeEditorPreview({
   workbook,
   scope,
@@ -1015,19 +2519,31 @@ export function computeEditorPreview({
   orderedAttendanceIds,
   attendanceIdsSet,
   gradesRows,
+  attendanceRows = null,
+  idProfile = DEFAULT_STUDENT_ID_PROFILE,
+  nameMatchThreshold = NAME_MATCH_THRESHOLD,
+  overwritePolicy = "overwrite",
+  accumulateDuplicates = "sum",
+  markAbsent = false,
+  absentValue = 0,
+  attendanceValues = DEFAULT_ATTENDANCE_VALUES,
+  layouts = {},
+  columnGroups = DEFAULT_COLUMN_GROUPS,
+  gradeRules = [],
 }) {
   assertXlsxLoaded();
   if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
 
-  const opts = listColumnOptions(workbook, scope);
+  const opts = listColumnOptions(workbook, scope, idProfile, layouts, columnGroups);
   let selected = opts.find((o) => o.key === columnKey) || null;
 
-  // If exact key match not found, try to find by header text (handles row 1 vs rows 2-5 key mismatch)
+  // If exact key match not found, try to find by header path, then text (handles row 1 vs rows 2-5
+  // key mismatch and keys saved before header paths)
   if (!selected && columnKey) {
     const keyParts = String(columnKey).split("::");
     if (keyParts.length === 2) {
       const headerText = keyParts[1];
-      selected = opts.find((o) => o.headerText === headerText) || null;
+      selected = opts.find((o) => o.headerPath === headerText) || opts.find((o) => o.headerText === headerText) || null;
     }
   }
 
@@ -1049,8 +2565,8 @@ export function computeEditorPreview({
   }
 
   const task = String(taskType || "").toLowerCase();
-  if (task !== "attendance" && task !== "grade") {
-    throw new ValidationError("Task type must be Attendance or Grade.");
+  if (task !== "attendance" && task !== "grade" && task !== "accumulate") {
+    throw new ValidationError("Task type must be Attendance, Grade or Accumulate.");
   }
 
   const inputList =
@@ -1083,19 +2599,41 @@ export function computeEditorPreview({
     const ws = workbook.Sheets[sheetName];
     if (!ws) continue;
     // Build student index with target IDs for better ID column detection
-    const targetIdsForDetection = attendanceIdsSet || (task === "grade" && gradesRows ? new Set(gradesRows.map(r => r.id)) : null);
-    studentIndexBySheet.set(sheetName, buildStudentIndexForSheet(ws, targetIdsForDetection));
-  }
-
-  // For each sheet where the selected header exists, create mapping entry and use its column for edits.
-  for (const loc of locations) {
-    columnMap.push({
-      sheet: loc.sheet,
-      header_text: selected.headerText,
-      kind: selected.kind,
-      header_row: loc.header_row,
-      col_letter: loc.col_letter,
-    });
+    const targetIdsForDetection = attendanceIdsSet || (task !== "attendance" && gradesRows ? new Set(gradesRows.map(r => r.id).filter(Boolean)) : null);
+    studentIndexBySheet.set(sheetName, buildStudentIndexForSheet(ws, targetIdsForDetection, idProfile, normalizeSheetLayout(layouts?.[sheetName])));
+  }
+
+  // Target columns: the selected one, plus one per week tag in the input (`# W3 lecture`,
+  // `id,W3,value`) found in the tagged group (default: the selected column's group), plus the
+  // column key of each score-table row (parseGradeTableText)
+  /** @type {Map<string, { opt: ColumnOption, locations: Array<any>, used: boolean, roster: Array<any>|null }>} */
+  const targets = new Map([[selected.key, { opt: selected, locations, used: false, roster: null }]]);
+  const multiTarget = Boolean((task === "attendance" ? attendanceRows : gradesRows)?.some?.((x) => x?.week || x?.column));
+  // Week headers repeat across groups (section W1, lecture W1), so rows name the group too
+  function targetHeader(opt) {
+    return opt.kindLabel && opt.kind !== "unknown" ? `${opt.kindLabel} ${opt.headerPath}` : opt.headerPath;
+  }
+
+  function resolveTarget(item) {
+    if (item.column) {
+      const opt = opts.find((o) => o.key === item.column);
+      if (!opt) return { target: null, label: String(item.column).split("::").slice(1).join("::"), reason: "Mapped column was not found in the workbook headers." };
+      if (!targets.has(opt.key)) targets.set(opt.key, { opt, locations: opt.locations, used: false, roster: null });
+      return { target: targets.get(opt.key), label: targetHeader(opt) };
+    }
+    if (!item.week) return { target: targets.get(selected.key), label: targetHeader(selected) };
+    const groupText = String(item.group || "").trim().toLowerCase();
+    const group = groupText
+      ? columnGroups.find((g) => g.kind === groupText || g.label.toLowerCase() === groupText)
+      : columnGroups.find((g) => g.kind === selected.kind);
+    const label = `${group?.label || item.group || "Unknown"} ${item.week}`;
+    if (groupText && !group) return { target: null, label, reason: `Unknown column group "${item.group}".` };
+    const kind = group?.kind || selected.kind;
+    const weekNum = Number(String(item.week).replace(/\D/g, ""));
+    const opt = opts.find((o) => o.kind === kind && Number(WEEK_HEADER_RE.exec(o.headerText)?.[1]) === weekNum);
+    if (!opt) return { target: null, label, reason: `No ${label} column in the selected scope.` };
+    if (!targets.has(opt.key)) targets.set(opt.key, { opt, locations: opt.locations, used: false, roster: null });
+    return { target: targets.get(opt.key), label: targetHeader(opt) };
   }
 
   // Helper for old value
@@ -1107,40 +2645,174 @@ export function computeEditorPreview({
   }
 
   // Build ordered input entries: for attendance we want caller-provided ordered list; if we got Set, order is insertion.
+  // Attendance rows may carry a name (`id,name` / name-only input lines).
   const orderedInput =
-    task === "grade"
-      ? (gradesRows || []).map((x) => ({ id: x.id, grade: x.grade }))
-      : inputList.map((id) => ({ id, grade: null }));
+    task !== "attendance"
+      ? (gradesRows || []).map((x) => ({ id: x.id, grade: x.grade, name: x.name || "", week: x.week || "", group: x.group || "", column: x.column || "" }))
+      : Array.isArray(attendanceRows) && attendanceRows.length
+        ? attendanceRows.map((x) => ({
+            id: x.id || "",
+            grade: null,
+            name: x.name || "",
+            code: x.code || "",
+            value: x.value ?? "",
+            week: x.week || "",
+            group: x.group || "",
+          }))
+        : inputList.map((id) => ({ id, grade: null, name: "" }));
+
+  // Roster rows of a target's column locations, for name and near-miss ID suggestions and absent
+  // marking; built on first use
+  /** @returns {Array<{ sheetName: string, row1: number, id: string, name: string, normName: string, col1: number, colLetter: string }>} */
+  function getRosterCandidates(target) {
+    if (!target.roster) {
+      const rosterCandidates = [];
+      target.roster = rosterCandidates;
+      for (const loc of target.locations) {
+        for (const r of studentIndexBySheet.get(loc.sheet)?.rows || []) {
+          rosterCandidates.push({
+            sheetName: loc.sheet,
+            row1: r.row1,
+            id: r.id,
+            name: r.name,
+            normName: normalizePersonName(r.name),
+            col1: loc.col1,
+            colLetter: loc.col_letter,
+          });
+        }
+      }
+    }
+    return target.roster;
+  }
+
+  function findNameSuggestion(target, inputName) {
+    const normInput = normalizePersonName(inputName);
+    if (!normInput) return null;
+    const hits = [];
+    for (const cand of getRosterCandidates(target)) {
+      if (!cand.normName) continue;
+      const score = nameSimilarity(normInput, cand.normName);
+      if (score >= nameMatchThreshold) hits.push({ candidate: cand, score });
+    }
+    if (!hits.length) return null;
+    hits.sort((a, b) => b.score - a.score);
+    // Other roster names scoring almost as well make the suggestion less certain
+    const similarCount = hits.filter((h) => hits[0].score - h.score <= 0.03).length - 1;
+    return { ...hits[0], similarCount };
+  }
+
+  /** @returns {IdSuggestion[]} */
+  function findIdSuggestions(target, inputId) {
+    // Short IDs get one edit at most, otherwise almost everything would be "close"
+    const maxDistance = inputId.length >= 6 ? ID_SUGGESTION_MAX_DISTANCE : 1;
+    const out = [];
+    for (const cand of getRosterCandidates(target)) {
+      if (!cand.id || Math.abs(cand.id.length - inputId.length) > maxDistance) continue;
+      const distance = editDistance(inputId, cand.id, maxDistance);
+      if (distance > 0 && distance <= maxDistance) {
+        out.push({ student_id: cand.id, student_name: cand.name || "", sheet: cand.sheetName, row_index1: cand.row1, distance });
+      }
+    }
+    // Stable sort keeps sheet/row order among equally close IDs
+    out.sort((a, b) => a.distance - b.distance);
+    return out.slice(0, MAX_ID_SUGGESTIONS);
+  }
 
   let idx = 0;
   for (const item of orderedInput) {
     idx += 1;
     const sid = String(item.id || "").trim();
-    const desiredValue = task === "attendance" ? 1 : String(item.grade);
-
-    // Find match across sheets where column exists (priority: same sheet order as locations)
-    let matched = null;
-    let matchedSheet = "";
-    let ambiguous = false;
-    for (const loc of locations) {
-      const sheetName = loc.sheet;
-      const index = studentIndexBySheet.get(sheetName);
-      const hits = index?.byId?.get(sid) || [];
-      if (hits.length === 1) {
-        matched = { sheetName, row1: hits[0].row1, name: hits[0].name, col1: loc.col1, colLetter: loc.col_letter };
-        matchedSheet = sheetName;
-        break;
+    const attendanceValue =
+      task === "attendance" ? findAttendanceValue(attendanceValues, item.code, { codesOnly: true }) || attendanceValues[0] : null;
+    const { target, label: targetLabel, reason: targetReason } = resolveTarget(item);
+    // Grades are checked against the rule of the row's own column
+    const gradeCheck = task === "grade" ? checkGradeValue(item.grade, findGradeRule(gradeRules, target?.opt.key || selected.key)) : null;
+    const desiredValue =
+      task === "attendance"
+        ? item.value !== "" && item.value != null ? toNumberOrNull(item.value) ?? item.value : attendanceValue?.value ?? 1
+        : gradeCheck ? gradeCheck.value : String(item.grade);
+    const pushInputRow = (row) => {
+      previewRows.push(row);
+      if (gradeCheck) applyGradeCheckToRow(row, gradeCheck);
+    };
+    const targetFields = multiTarget ? { target_key: target?.opt.key || "", target_header: targetLabel } : {};
+
+    if (!target) {
+      pushInputRow({
+        index: idx,
+        input_id: sid,
+        sheet: "",
+        row_index1: null,
+        student_id: sid,
+        student_name: "",
+        cell: "",
+        col_letter: "",
+        old_value: "",
+        new_value: desiredValue,
+        ...(attendanceValue ? { attendance_code: attendanceValue.code } : {}),
+        match_status: "notFound",
+        note: targetReason,
+        ...(item.name ? { input_name: String(item.name).trim() } : {}),
+        ...targetFields,
+      });
+      continue;
+    }
+    target.used = true;
+
+    // Every roster row holding the ID in the target column's sheets (sheet order of locations);
+    // the first is shown, and more than one makes the row ambiguous
+    /** @type {MatchCandidate[]} */
+    const candidates = [];
+    for (const loc of target.locations) {
+      const hits = sid ? studentIndexBySheet.get(loc.sheet)?.byId?.get(sid) || [] : [];
+      for (const hit of hits) {
+        const addr = window.XLSX.utils.encode_cell({ r: hit.row1 - 1, c: loc.col1 - 1 });
+        candidates.push({
+          sheet: loc.sheet,
+          row_index1: hit.row1,
+          student_name: hit.name || "",
+          cell: addr,
+          col_letter: loc.col_letter,
+          old_value: getCellDisplay(workbook.Sheets[loc.sheet], addr),
+        });
       }
-      if (hits.length > 1) {
-        ambiguous = true;
-        matched = { sheetName, row1: hits[0].row1, name: hits[0].name, col1: loc.col1, colLetter: loc.col_letter };
-        matchedSheet = sheetName;
-        break;
+    }
+    const matched = candidates[0] || null;
+    const ambiguous = candidates.length > 1;
+
+    const inputName = String(item.name || "").trim();
+    if (!matched && inputName) {
+      // Fallback: fuzzy name match against the roster; needs one-click acceptance in the preview
+      const suggestion = findNameSuggestion(target, inputName);
+      if (suggestion) {
+        const cand = suggestion.candidate;
+        const addr = window.XLSX.utils.encode_cell({ r: cand.row1 - 1, c: cand.col1 - 1 });
+        const pct = Math.round(suggestion.score * 100);
+        const others = suggestion.similarCount > 0 ? ` ${suggestion.similarCount} other similar name(s) — verify.` : "";
+        pushInputRow({
+          index: idx,
+          input_id: sid,
+          sheet: cand.sheetName,
+          row_index1: cand.row1,
+          student_id: cand.id,
+          student_name: cand.name || "",
+          cell: addr,
+          col_letter: cand.colLetter,
+          old_value: getCellDisplay(workbook.Sheets[cand.sheetName], addr),
+          new_value: desiredValue,
+          ...(attendanceValue ? { attendance_code: attendanceValue.code } : {}),
+          match_status: "suggested",
+          note: `${sid ? "ID not found; " : ""}name match ${pct}% for "${inputName}". Accept to apply.${others}`,
+          input_name: inputName,
+          suggestion_score: suggestion.score,
+          ...targetFields,
+        });
+        continue;
       }
     }
 
     if (!matched) {
-      previewRows.push({
+      const row = {
         index: idx,
         input_id: sid,
         sheet: "",
@@ -1151,96 +2823,531 @@ export function computeEditorPreview({
         col_letter: "",
         old_value: "",
         new_value: desiredValue,
+        ...(attendanceValue ? { attendance_code: attendanceValue.code } : {}),
         match_status: "notFound",
-        note: "ID not found in selected scope.",
-      });
+        note: sid ? "ID not found in selected scope." : `No roster name close to "${inputName}".`,
+        ...targetFields,
+      };
+      if (inputName) row.input_name = inputName;
+      if (sid) {
+        const idSuggestions = findIdSuggestions(target, sid);
+        if (idSuggestions.length) {
+          row.id_suggestions = idSuggestions;
+          row.note += ` Close IDs: ${idSuggestions.map((x) => x.student_id).join(", ")} — pick one in Fix.`;
+        }
+      }
+      pushInputRow(row);
       continue;
     }
 
-    const ws = workbook.Sheets[matchedSheet];
-    const addr = window.XLSX.utils.encode_cell({ r: matched.row1 - 1, c: matched.col1 - 1 });
-    const oldVal = getCellDisplay(ws, addr);
-    previewRows.push({
+    const sheetCount = new Set(candidates.map((c) => c.sheet)).size;
+    pushInputRow({
       index: idx,
       input_id: sid,
-      sheet: matched.sheetName,
-      row_index1: matched.row1,
+      sheet: matched.sheet,
+      row_index1: matched.row_index1,
       student_id: sid,
-      student_name: matched.name || "",
-      cell: addr,
-      col_letter: matched.colLetter,
-      old_value: oldVal,
+      student_name: matched.student_name,
+      cell: matched.cell,
+      col_letter: matched.col_letter,
+      old_value: matched.old_value,
       new_value: desiredValue,
+      ...(attendanceValue ? { attendance_code: attendanceValue.code } : {}),
       match_status: ambiguous ? "ambiguous" : "matched",
-      note: ambiguous ? "Duplicate ID detected in sheet; please verify match." : "",
+      note: ambiguous
+        ? `ID found ${candidates.length} times${sheetCount > 1 ? ` in ${sheetCount} sheets` : " in the sheet"}; choose the right row in Resolve.`
+        : "",
+      ...(ambiguous ? { candidates } : {}),
+      ...(inputName ? { input_name: inputName } : {}),
+      ...targetFields,
     });
   }
 
+  // Without week tags the selected column is the target even when nothing matched
+  if (!multiTarget) targets.get(selected.key).used = true;
+  const usedTargets = Array.from(targets.values()).filter((t) => t.used);
+
+  if (task === "attendance" && markAbsent) {
+    // Everyone on the roster of each target column who is not in that column's input gets the absent
+    // value. Only empty cells are marked: a filled cell is never overwritten by an absent mark.
+    const value = toNumberOrNull(absentValue) ?? String(absentValue ?? "").trim();
+    for (const target of usedTargets) {
+      const targetRows = multiTarget ? previewRows.filter((r) => r.target_key === target.opt.key) : previewRows;
+      const inputIds = new Set(targetRows.map((r) => String(r.input_id || "").trim()).filter(Boolean));
+      const takenRows = new Set(targetRows.filter((r) => r.cell).map((r) => `${r.sheet}!${r.row_index1}`));
+      for (const cand of getRosterCandidates(target)) {
+        if (!cand.id || inputIds.has(cand.id) || takenRows.has(`${cand.sheetName}!${cand.row1}`)) continue;
+        takenRows.add(`${cand.sheetName}!${cand.row1}`);
+        const addr = window.XLSX.utils.encode_cell({ r: cand.row1 - 1, c: cand.col1 - 1 });
+        const oldValue = getCellDisplay(workbook.Sheets[cand.sheetName], addr);
+        if (String(oldValue).trim() !== "") continue;
+        idx += 1;
+        previewRows.push({
+          index: idx,
+          input_id: "",
+          sheet: cand.sheetName,
+          row_index1: cand.row1,
+          student_id: cand.id,
+          student_name: cand.name || "",
+          cell: addr,
+          col_letter: cand.colLetter,
+          old_value: oldValue,
+          new_value: value,
+          match_status: "absent",
+          note: "Not in the input list; marked absent.",
+          ...(multiTarget ? { target_key: target.opt.key, target_header: targetHeader(target.opt) } : {}),
+        });
+      }
+    }
+  }
+
+  // For each sheet where a target header exists, create mapping entry and use its column for edits.
+  for (const { opt, locations: targetLocations } of usedTargets) {
+    for (const loc of targetLocations) {
+      columnMap.push({
+        sheet: loc.sheet,
+        header_text: opt.headerText,
+        header_path: opt.headerPath,
+        key: opt.key,
+        kind: opt.kind,
+        header_row: loc.header_row,
+        col_letter: loc.col_letter,
+      });
+    }
+  }
+
+  if (task === "accumulate") {
+    // Input values are deltas added to the cell; the overwrite policy does not apply
+    for (const row of previewRows) {
+      row.accumulate = { base: null, delta: toNumberOrNull(row.new_value), total: null };
+    }
+    recomputeAccumulatedRows(previewRows, accumulateDuplicates);
+    return { preview_rows: previewRows, column_map: columnMap, selected_column: selected };
+  }
+
+  // Target cells that already hold a different value: apply the run's overwrite policy
+  for (const row of previewRows) {
+    if (!row.cell || row.grade_error) continue;
+    const decision = resolveOverwrite(row.old_value, row.new_value, overwritePolicy);
+    if (!decision) continue;
+    row.conflict = decision.conflict;
+    row.new_value = decision.value;
+    row.note = row.note ? `${row.note} ${decision.note}` : decision.note;
+    if (row.match_status === "matched") row.match_status = "conflict";
+  }
+
   return { preview_rows: previewRows, column_map: columnMap, selected_column: selected };
 }
 
-export function applyEditorEdits(workbook, previewRows, highlightEnabled = false, highlightColor = "#FFFF00") {
-  assertXlsxLoaded();
-  if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
-  const rows = Array.isArray(previewRows) ? previewRows : [];
+/**
+ * Default highlight colour per match status. Statuses without their own entry use `matched`.
+ * @type {Readonly<Record<'matched'|'manuallyFixed'|'ambiguous', string>>}
+ */
+export const DEFAULT_HIGHLIGHT_COLORS = Object.freeze({
+  matched: "#FFFF00", // yellow
+  manuallyFixed: "#9FE2BF", // green
+  ambiguous: "#F4B183", // orange
+});
 
-  // Convert hex color to RGB format for SheetJS (strip # if present)
-  let rgbColor = null;
-  if (highlightEnabled && highlightColor) {
-    const hex = String(highlightColor).trim();
-    const cleanHex = hex.startsWith("#") ? hex.slice(1) : hex;
-    // Validate hex format (6 characters, all hex digits)
-    if (/^[0-9A-Fa-f]{6}$/.test(cleanHex)) {
-      rgbColor = cleanHex.toUpperCase();
-    } else {
-      // Fall back to default yellow if invalid
-      rgbColor = "FFFF00";
+/**
+ * Convert a highlight color ("#RRGGBB" or "RRGGBB") to the RGB hex SheetJS expects.
+ * Invalid input falls back to yellow.
+ * @param {string} highlightColor
+ * @returns {string}
+ */
+export function toHighlightRgb(highlightColor) {
+  const hex = String(highlightColor || "").trim();
+  const cleanHex = hex.startsWith("#") ? hex.slice(1) : hex;
+  // Validate hex format (6 characters, all hex digits)
+  if (/^[0-9A-Fa-f]{6}$/.test(cleanHex)) return cleanHex.toUpperCase();
+  return "FFFF00";
+}
+
+/**
+ * Pick the highlight RGB for a preview row's match status.
+ * @param {string|Record<string, string>} highlightColors - one colour for all, or a per-status map
+ * @param {string} matchStatus
+ * @returns {string} RRGGBB
+ */
+export function highlightRgbForStatus(highlightColors, matchStatus) {
+  if (typeof highlightColors === "string") return toHighlightRgb(highlightColors);
+  const colors = { ...DEFAULT_HIGHLIGHT_COLORS, ...(highlightColors || {}) };
+  return toHighlightRgb(colors[matchStatus] || colors.matched);
+}
+
+// -----------------------------
+// Overwrite policy (target cell already has a value)
+// -----------------------------
+/** @type {ReadonlyArray<OverwritePolicy>} */
+export const OVERWRITE_POLICIES = Object.freeze(["overwrite", "skipNonEmpty", "keepHigher", "keepLower", "add"]);
+
+const OVERWRITE_POLICY_LABELS = {
+  overwrite: "overwrite",
+  skipNonEmpty: "skip non-empty cells",
+  keepHigher: "keep the higher value",
+  keepLower: "keep the lower value",
+  add: "add to the existing value",
+};
+
+/**
+ * @param {any} policy
+ * @returns {OverwritePolicy}
+ */
+export function normalizeOverwritePolicy(policy) {
+  return OVERWRITE_POLICIES.includes(policy) ? policy : "overwrite";
+}
+
+/**
+ * @param {OverwritePolicy} policy
+ * @returns {string}
+ */
+export function describeOverwritePolicy(policy) {
+  return OVERWRITE_POLICY_LABELS[normalizeOverwritePolicy(policy)];
+}
+
+function toNumberOrNull(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const text = normalizeGradeText(value);
+  if (!text) return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function isSameCellValue(a, b) {
+  const na = toNumberOrNull(a);
+  const nb = toNumberOrNull(b);
+  if (na !== null && nb !== null) return na === nb;
+  return String(a ?? "").trim() === String(b ?? "").trim();
+}
+
+/**
+ * Decide what to write when the target cell may already hold a value.
+ * Returns null when there is nothing to decide (empty cell, or same value).
+ * @param {string|number} existing
+ * @param {string|number} input
+ * @param {OverwritePolicy} policy
+ * @returns {{ conflict: OverwriteConflict, value: string|number, note: string }|null}
+ */
+export function resolveOverwrite(existing, input, policy) {
+  const mode = normalizeOverwritePolicy(policy);
+  if (existing === null || existing === undefined || String(existing).trim() === "") return null;
+  if (isSameCellValue(existing, input)) return null;
+
+  const oldNum = toNumberOrNull(existing);
+  const newNum = toNumberOrNull(input);
+  const numeric = oldNum !== null && newNum !== null;
+  const make = (resolution, write, value, note) => ({
+    conflict: { policy: mode, existing, input, resolution, write },
+    value,
+    note,
+  });
+
+  if (mode === "overwrite") return make("overwritten", true, input, `Existing value ${existing} will be overwritten.`);
+  if (mode === "skipNonEmpty") return make("kept", false, existing, `Cell already has ${existing}; skipped.`);
+  if (!numeric) {
+    return make("unresolved", false, input, `Cannot ${describeOverwritePolicy(mode)}: ${existing} / ${input} is not numeric. Edit or discard.`);
+  }
+  if (mode === "add") {
+    // Round away binary noise such as 0.1 + 0.2
+    const sum = Math.round((oldNum + newNum) * 1e9) / 1e9;
+    return make("added", true, sum, `${existing} + ${input} = ${sum}.`);
+  }
+  const keepOld = mode === "keepHigher" ? oldNum >= newNum : oldNum <= newNum;
+  return keepOld
+    ? make("kept", false, existing, `Existing value ${existing} kept (${describeOverwritePolicy(mode)}).`)
+    : make("replaced", true, input, `Existing value ${existing} replaced (${describeOverwritePolicy(mode)}).`);
+}
+
+/**
+ * Note for an ambiguous ID written to all of its rows, e.g. "Ambiguous ID written to all 3 rows
+ * (1 kept by the overwrite policy).".
+ * @param {MatchCandidate[]} candidates - with `skip` set by the overwrite policy
+ */
+export function describeWriteToAllNote(candidates) {
+  const skipped = candidates.filter((c) => c.skip).length;
+  return `Ambiguous ID written to all ${candidates.length} rows${skipped ? ` (${skipped} kept by the overwrite policy)` : ""}.`;
+}
+
+/**
+ * Decide the overwrite policy again for rows whose `old_value` changed, e.g. after
+ * `rebindPreviewRows`. Each row goes back to its input value first, so the decision is made
+ * against the cell's current value; rows written to all candidates re-check every candidate.
+ * Absent rows are never written over a filled cell. Accumulate rows (see `recomputeAccumulatedRows`),
+ * invalid grades and explicitly edited values are left alone.
+ * @param {EditorPreviewRow[]} previewRows - updated in place
+ * @param {OverwritePolicy} overwritePolicy
+ */
+export function reapplyOverwritePolicy(previewRows, overwritePolicy) {
+  for (const row of previewRows || []) {
+    if (row.accumulate || !row.cell || row.grade_error) continue;
+    if (row.conflict?.resolution === "edited") continue;
+    const previous = row.conflict;
+    const inputValue = previous ? previous.input : row.new_value;
+    delete row.conflict;
+    row.new_value = inputValue;
+    if (row.resolution === "all" && Array.isArray(row.candidates)) {
+      for (const c of row.candidates) {
+        const decision = resolveOverwrite(c.old_value, inputValue, overwritePolicy);
+        c.new_value = decision ? decision.value : inputValue;
+        c.skip = decision ? !decision.conflict.write : false;
+      }
+      row.note = describeWriteToAllNote(row.candidates);
+    } else if (previous) {
+      // The earlier decision's note is reproducible from the conflict it left behind
+      const oldNote = resolveOverwrite(previous.existing, previous.input, previous.policy)?.note;
+      if (oldNote && row.note) row.note = row.note.replace(oldNote, "").trim();
+    }
+    // Absent marks only fill empty cells, whatever the run's policy
+    const decision = resolveOverwrite(row.old_value, inputValue, row.match_status === "absent" ? "skipNonEmpty" : overwritePolicy);
+    if (decision) {
+      row.conflict = decision.conflict;
+      row.new_value = decision.value;
+      row.note = row.note ? `${row.note} ${decision.note}` : decision.note;
+    }
+    if (row.match_status === "matched" && decision) row.match_status = "conflict";
+    else if (row.match_status === "conflict" && !decision) row.match_status = "matched";
+  }
+}
+
+// -----------------------------
+// Accumulate task (input value is added to the cell)
+// -----------------------------
+/** How duplicate IDs are handled in accumulate runs: add every delta, or flag them. */
+export const ACCUMULATE_DUPLICATE_MODES = Object.freeze(["sum", "conflict"]);
+
+/**
+ * (Re)compute `accumulate` totals for accumulate-task rows, in input order. Rows writing the same
+ * cell chain their deltas (the last one holds the full sum) unless `duplicates` is "conflict".
+ * Empty cells count as 0. Call again after discarding, fixing or editing rows.
+ * @param {EditorPreviewRow[]} previewRows
+ * @param {'sum'|'conflict'} [duplicates]
+ */
+export function recomputeAccumulatedRows(previewRows, duplicates = "sum") {
+  /** @type {Map<string, EditorPreviewRow[]>} */
+  const byCell = new Map();
+  for (const row of previewRows || []) {
+    if (!row?.accumulate) continue;
+    delete row.conflict;
+    if (row.match_status === "conflict") row.match_status = "matched";
+    row.accumulate.base = null;
+    row.accumulate.total = null;
+    if (row.accumulate.delta !== null) row.new_value = row.accumulate.delta;
+    if (row.discarded || !row.sheet || !row.cell) continue;
+    if (row.match_status === "notFound" || row.match_status === "suggested") continue;
+    const key = `${row.sheet}!${row.cell}`;
+    if (!byCell.has(key)) byCell.set(key, []);
+    byCell.get(key).push(row);
+  }
+
+  const flag = (row, reason) => {
+    row.conflict = { policy: "add", existing: row.old_value, input: row.accumulate.delta ?? row.new_value, resolution: "unresolved", write: false, reason };
+    if (row.match_status === "matched") row.match_status = "conflict";
+  };
+
+  for (const rows of byCell.values()) {
+    rows.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+    if (duplicates === "conflict" && rows.length > 1) {
+      for (const row of rows) flag(row, `Same student appears ${rows.length} times in the input; keep one (discard the others) or switch duplicates to sum.`);
+      continue;
+    }
+    const old = rows[0].old_value;
+    let running = old === null || old === undefined || String(old).trim() === "" ? 0 : toNumberOrNull(old);
+    for (const row of rows) {
+      const { delta } = row.accumulate;
+      if (running === null) {
+        flag(row, `Existing value ${old} is not numeric; edit the cell or discard the row.`);
+        continue;
+      }
+      if (delta === null) {
+        flag(row, `Input value ${row.new_value} is not numeric.`);
+        continue;
+      }
+      // Round away binary noise such as 0.1 + 0.2
+      const total = Math.round((running + delta) * 1e9) / 1e9;
+      row.accumulate.base = running;
+      row.accumulate.total = total;
+      row.new_value = total;
+      running = total;
     }
   }
+}
+
+/**
+ * Order of the grouped preview and reports: sheet, then target column, then row.
+ * @param {EditorPreviewRow} a
+ * @param {EditorPreviewRow} b
+ */
+export function compareGroupedPreviewRows(a, b) {
+  const s = String(a.sheet || "").localeCompare(String(b.sheet || ""));
+  if (s !== 0) return s;
+  const colA = String(a.col_letter || "");
+  const colB = String(b.col_letter || "");
+  if (colA !== colB) return colA.length - colB.length || colA.localeCompare(colB);
+  return (a.row_index1 ?? 0) - (b.row_index1 ?? 0);
+}
 
+/**
+ * Cell writes implied by the preview: one entry per row that has a resolved sheet + cell.
+ * Shared by the SheetJS writer (`applyEditorEdits`) and the round-trip package writer so
+ * both export paths always touch exactly the same cells.
+ * @param {EditorPreviewRow[]} previewRows - caller filters discarded rows beforehand
+ * @returns {Array<{ sheet: string, cell: string, value: string|number|boolean, row: EditorPreviewRow }>}
+ */
+export function listEditorCellEdits(previewRows) {
+  const rows = Array.isArray(previewRows) ? previewRows : [];
+  const edits = [];
   for (const row of rows) {
-    if (!row || row.match_status === "notFound") continue;
+    // Not-found rows have no target; suggestions are only written once accepted
+    if (!row || row.match_status === "notFound" || row.match_status === "suggested") continue;
+    // Grades that broke their column rule must be corrected or discarded first
+    if (row.match_status === "invalid" || row.grade_error) continue;
     const sheetName = String(row.sheet || "");
     const addr = String(row.cell || "");
     if (!sheetName || !addr) continue;
-    const ws = workbook.Sheets[sheetName];
+    // Overwrite policy decided to leave the existing value alone (or could not decide)
+    if (!row.conflict || row.conflict.write) edits.push({ sheet: sheetName, cell: addr, value: row.new_value, row });
+    // An ambiguous ID resolved to all of its rows writes the other candidates too (each was
+    // checked against the overwrite policy when resolved)
+    if (row.resolution === "all") {
+      for (const c of row.candidates || []) {
+        if (c.skip || (c.sheet === sheetName && c.cell === addr)) continue;
+        edits.push({ sheet: c.sheet, cell: c.cell, value: c.new_value ?? row.new_value, row });
+      }
+    }
+  }
+  return edits;
+}
+
+/**
+ * One line per candidate for dialogs and reports: "S1 row 3: Ahmed Ali (E3 = 1)".
+ * @param {MatchCandidate} candidate
+ */
+export function describeMatchCandidate(candidate) {
+  const current = candidate.old_value === "" || candidate.old_value == null ? "empty" : candidate.old_value;
+  return `${candidate.sheet} row ${candidate.row_index1}: ${candidate.student_name || "(no name)"} (${candidate.cell} = ${current})`;
+}
+
+/**
+ * Re-read `old_value` of every preview row (and of its ambiguous candidates) from a workbook,
+ * e.g. the one attached to a report loaded from JSON. A cell whose value differs from the one
+ * the report recorded is listed in the row's `drift`; a row whose sheet is gone keeps its
+ * recorded value. Earlier `drift` is replaced.
+ * @param {any} workbook
+ * @param {EditorPreviewRow[]} previewRows - updated in place
+ * @returns {{checked: number, drifted: number, missingSheets: string[]}}
+ */
+export function rebindPreviewRows(workbook, previewRows) {
+  const missingSheets = new Set();
+  let checked = 0;
+  let drifted = 0;
+  const reread = (target, drift) => {
+    if (!target?.sheet || !target.cell) return;
+    checked++;
+    const ws = workbook?.Sheets?.[target.sheet];
+    const recorded = target.old_value ?? "";
+    if (!ws) {
+      missingSheets.add(String(target.sheet));
+      drift.push({ sheet: target.sheet, cell: target.cell, recorded, current: "", sheetMissing: true });
+      return;
+    }
+    const v = ws[target.cell]?.v;
+    const current = v === null || v === undefined ? "" : v;
+    if (String(current).trim() !== String(recorded).trim()) {
+      drift.push({ sheet: target.sheet, cell: target.cell, recorded, current });
+    }
+    target.old_value = current;
+  };
+
+  for (const row of previewRows || []) {
+    delete row.drift;
+    /** @type {CellDrift[]} */
+    const drift = [];
+    reread(row, drift);
+    for (const c of Array.isArray(row.candidates) ? row.candidates : []) {
+      // the shown candidate is the row's own cell, already checked
+      if (c.sheet === row.sheet && c.cell === row.cell) c.old_value = row.old_value;
+      else reread(c, drift);
+    }
+    if (drift.length) {
+      row.drift = drift;
+      drifted++;
+    }
+  }
+  return { checked, drifted, missingSheets: Array.from(missingSheets).sort() };
+}
+
+/**
+ * @param {CellDrift} drift
+ */
+export function describeCellDrift(drift) {
+  const show = (v) => (v === "" || v == null ? "empty" : v);
+  if (drift.sheetMissing) return `${drift.sheet}!${drift.cell}: sheet not in the workbook`;
+  return `${drift.sheet}!${drift.cell}: was ${show(drift.recorded)}, now ${show(drift.current)}`;
+}
+
+/**
+ * Write preview values into a SheetJS workbook. Existing cells are updated in place so their
+ * number format (`z`), comments (`c`) and style (`s`) survive; the highlight fill is layered
+ * on top of the current style instead of replacing it.
+ * @param {any} workbook
+ * @param {EditorPreviewRow[]} previewRows
+ * @param {boolean} [highlightEnabled]
+ * @param {string|Record<string, string>} [highlightColors] - one colour, or per match status
+ */
+export function applyEditorEdits(workbook, previewRows, highlightEnabled = false, highlightColors = DEFAULT_HIGHLIGHT_COLORS) {
+  assertXlsxLoaded();
+  if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
+
+  for (const edit of listEditorCellEdits(previewRows)) {
+    const addr = edit.cell;
+    const ws = workbook.Sheets[edit.sheet];
     if (!ws) continue;
 
-    const val = row.new_value;
-    // Create or update cell
+    const val = edit.value;
     const cellType =
       typeof val === "number"
         ? "n"
         : typeof val === "boolean"
           ? "b"
           : "s";
-    
-    // Create cell object with value
-    const cell = { t: cellType, v: val };
-    
-    // Apply highlight color if enabled
-    if (highlightEnabled && rgbColor) {
+
+    // Update the existing cell (or create one); drop the formula and cached display text only.
+    const cell = ws[addr] && typeof ws[addr] === "object" ? ws[addr] : {};
+    cell.t = cellType;
+    cell.v = val;
+    delete cell.w;
+    delete cell.f;
+    delete cell.F;
+    delete cell.h;
+    delete cell.r;
+
+    if (highlightEnabled) {
+      const rgbColor = highlightRgbForStatus(highlightColors, edit.row?.match_status);
+      // Only the writer's style shape (font/border/fill/...) can be merged; the reader's
+      // fill-only shape ({ patternType, fgColor }) is ignored by the writer anyway.
+      const current = cell.s && typeof cell.s === "object" && !("patternType" in cell.s) ? cell.s : {};
       cell.s = {
+        ...current,
         fill: {
           patternType: "solid",
-          fgColor: { rgb: rgbColor }
-        }
+          fgColor: { rgb: rgbColor },
+        },
       };
     }
-    
+
     ws[addr] = cell;
   }
 
   return workbook;
 }
 
-function findHeaderColumn(ws, targetText, startCol1, endCol1, availableWeeksSet, idCol = 2) {
+function findHeaderColumn(ws, targetText, startCol1, endCol1, availableWeeksSet, idCol = 2, idProfile = DEFAULT_STUDENT_ID_PROFILE, lastHeaderRow = null) {
   // Scan rows 2-5. Stop if we hit data row (detected ID column contains ID-like number).
+  // A manual header row replaces both the 5-row limit and the data-row stop.
   const targetLower = String(targetText).toLowerCase();
 
-  for (let r = 2; r <= 5; r++) {
-    const idCheck = normalizeId(cellValue(ws, r, idCol));
-    if (idCheck && /^\d+$/.test(idCheck) && idCheck.length > 5) break;
+  for (let r = 2; r <= (lastHeaderRow ?? 5); r++) {
+    if (lastHeaderRow === null && extractStudentId(cellValue(ws, r, idCol), idProfile)) break;
 
     for (let c = startCol1; c <= endCol1; c++) {
       const raw = cellValue(ws, r, c);
@@ -1252,35 +3359,192 @@ function findHeaderColumn(ws, targetText, startCol1, endCol1, availableWeeksSet,
   return { headerRow: null, targetCol: null };
 }
 
-function findFirstDataRow(ws, startDataRow1, idCol = 2) {
+function findFirstDataRow(ws, startDataRow1, idCol = 2, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
   const range = getSheetRange(ws);
   if (!range) return startDataRow1;
   const maxRow1 = range.e.r + 1;
 
   const toRow = Math.min(startDataRow1 + 9, maxRow1);
   for (let r = startDataRow1; r <= toRow; r++) {
-    const testId = normalizeId(cellValue(ws, r, idCol));
-    if (testId && /^\d+$/.test(testId) && testId.length > 5) return r;
+    if (extractStudentId(cellValue(ws, r, idCol), idProfile)) return r;
   }
   return startDataRow1;
 }
 
-function findLastDataRow(ws, startDataRow1, idCol = 2) {
+function findLastDataRow(ws, startDataRow1, idCol = 2, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
   const range = getSheetRange(ws);
   if (!range) return startDataRow1;
   const maxRow1 = range.e.r + 1;
 
   for (let r = maxRow1; r >= Math.max(startDataRow1, 1); r--) {
-    const testId = normalizeId(cellValue(ws, r, idCol));
-    if (testId && /^\d+$/.test(testId) && testId.length > 5) return r;
+    if (extractStudentId(cellValue(ws, r, idCol), idProfile)) return r;
   }
   return maxRow1;
 }
 
+// -----------------------------
+// Week columns + semester calendar
+// -----------------------------
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Teaching weeks by date. Week 1 starts on `week1Start`; a calendar week containing one of
+ * the `holidays` is skipped, so the following week keeps the next number.
+ * @typedef {Object} SemesterCalendar
+ * @property {string} week1Start  // "YYYY-MM-DD", "" = no calendar
+ * @property {string[]} holidays  // "YYYY-MM-DD", any day of a skipped week
+ */
+
+/** @type {Readonly<SemesterCalendar>} */
+export const DEFAULT_SEMESTER_CALENDAR = Object.freeze({ week1Start: "", holidays: Object.freeze([]) });
+
+/**
+ * @param {string} text
+ * @returns {number|null} days since 1970-01-01 (UTC), null when not a valid date
+ */
+function isoDateToDay(text) {
+  const m = ISO_DATE_RE.exec(String(text || "").trim());
+  if (!m) return null;
+  const t = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const d = new Date(t);
+  if (d.getUTCMonth() !== Number(m[2]) - 1 || d.getUTCDate() !== Number(m[3])) return null;
+  return Math.round(t / DAY_MS);
+}
+
+/**
+ * Validate a semester calendar. Holidays may be a list or a comma/newline-separated string.
+ * @param {any} raw
+ * @returns {SemesterCalendar}
+ */
+export function normalizeSemesterCalendar(raw) {
+  const week1Start = String(raw?.week1Start ?? "").trim();
+  const startDay = week1Start ? isoDateToDay(week1Start) : null;
+  if (week1Start && startDay === null) throw new ValidationError("Week 1 start must be a date (YYYY-MM-DD).");
+
+  const rawHolidays = Array.isArray(raw?.holidays) ? raw.holidays : String(raw?.holidays ?? "").split(/[,،\n]/);
+  const holidays = [];
+  for (const h of rawHolidays.map((x) => String(x).trim()).filter(Boolean)) {
+    const day = isoDateToDay(h);
+    if (day === null) throw new ValidationError(`Holiday "${h}" must be a date (YYYY-MM-DD).`);
+    if (startDay !== null && day < startDay) throw new ValidationError(`Holiday ${h} is before week 1 starts.`);
+    if (!holidays.includes(h)) holidays.push(h);
+  }
+  holidays.sort();
+  return { week1Start, holidays };
+}
+
+/**
+ * Teaching week number for a date, or null without a calendar, before week 1 or in a
+ * holiday week.
+ * @param {SemesterCalendar} calendar
+ * @param {Date} [date] - local date, defaults to today
+ * @returns {number|null}
+ */
+export function semesterWeekForDate(calendar, date = new Date()) {
+  const startDay = isoDateToDay(calendar?.week1Start);
+  if (startDay === null) return null;
+  const day = Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+  if (day < startDay) return null;
+  const calendarWeek = Math.floor((day - startDay) / 7);
+  const holidayWeeks = new Set(
+    (calendar.holidays || []).map((h) => Math.floor((isoDateToDay(h) - startDay) / 7))
+  );
+  if (holidayWeeks.has(calendarWeek)) return null;
+  let skipped = 0;
+  for (const w of holidayWeeks) if (w < calendarWeek) skipped++;
+  return calendarWeek - skipped + 1;
+}
+
+/**
+ * @param {SemesterCalendar} calendar
+ * @returns {string}
+ */
+export function describeSemesterCalendar(calendar) {
+  if (!calendar?.week1Start) return "no semester calendar";
+  const holidays = calendar.holidays || [];
+  return `week 1 starts ${calendar.week1Start}${holidays.length ? `, weeks skipped for ${holidays.join(", ")}` : ""}`;
+}
+
+/**
+ * @typedef {Object} WeekColumn
+ * @property {number} number      // 3 for "W3"
+ * @property {string} key         // ColumnOption key
+ * @property {string} headerPath
+ * @property {number} filled      // student rows with a value in this column, all sheets
+ * @property {number} total       // student rows, all sheets
+ * @property {Array<{sheet: string, col_letter: string, filled: number, total: number}>} sheets
+ */
+
+/**
+ * Week columns (`W1`, `W2` ...) of one column group with how many student rows already hold
+ * a value, per sheet.
+ * @param {any} workbook
+ * @param {{mode?: string, sheetName?: string}} scope
+ * @param {string} kind - ColumnGroup kind
+ * @param {{idProfile?: StudentIdProfile, layouts?: Record<string, SheetLayout>, columnGroups?: ColumnGroup[]}} [options]
+ * @returns {WeekColumn[]} sorted by week number
+ */
+export function listWeekColumns(workbook, scope, kind, { idProfile = DEFAULT_STUDENT_ID_PROFILE, layouts = {}, columnGroups = DEFAULT_COLUMN_GROUPS } = {}) {
+  const opts = listColumnOptions(workbook, scope, idProfile, layouts, columnGroups);
+  /** @type {Map<string, Array<{row1: number}>>} */
+  const rowsBySheet = new Map();
+  const studentRows = (sheetName) => {
+    if (!rowsBySheet.has(sheetName)) {
+      const ws = workbook.Sheets[sheetName];
+      rowsBySheet.set(sheetName, buildStudentIndexForSheet(ws, null, idProfile, normalizeSheetLayout(layouts?.[sheetName])).rows);
+    }
+    return rowsBySheet.get(sheetName);
+  };
+
+  /** @type {WeekColumn[]} */
+  const out = [];
+  for (const opt of opts) {
+    const m = WEEK_HEADER_RE.exec(opt.headerText);
+    if (opt.kind !== kind || !m) continue;
+    const week = { number: Number(m[1]), key: opt.key, headerPath: opt.headerPath, filled: 0, total: 0, sheets: [] };
+    for (const loc of opt.locations) {
+      const ws = workbook.Sheets[loc.sheet];
+      const rows = studentRows(loc.sheet);
+      const filled = rows.filter((r) => String(cellValue(ws, r.row1, loc.col1) ?? "").trim() !== "").length;
+      week.sheets.push({ sheet: loc.sheet, col_letter: loc.col_letter, filled, total: rows.length });
+      week.filled += filled;
+      week.total += rows.length;
+    }
+    out.push(week);
+  }
+  return out.sort((a, b) => a.number - b.number || a.key.localeCompare(b.key));
+}
+
+/**
+ * Week to pre-select: the calendar's week for `date` when that column exists, otherwise
+ * the first week column with no values yet.
+ * @param {WeekColumn[]} weeks
+ * @param {SemesterCalendar} [calendar]
+ * @param {Date} [date]
+ * @returns {{week: WeekColumn, reason: 'calendar'|'empty'}|null}
+ */
+export function suggestWeekColumn(weeks, calendar = DEFAULT_SEMESTER_CALENDAR, date = new Date()) {
+  const current = semesterWeekForDate(calendar, date);
+  const byDate = current === null ? null : weeks.find((w) => w.number === current);
+  if (byDate) return { week: byDate, reason: "calendar" };
+  const empty = weeks.find((w) => w.filled === 0);
+  return empty ? { week: empty, reason: "empty" } : null;
+}
+
 // -----------------------------
 // Attendance processing
 // -----------------------------
-export function processAttendance(workbook, targetIdsSet, targetWeek, attendanceType) {
+/**
+ * @param {any} workbook
+ * @param {Set<string>} targetIdsSet
+ * @param {string} targetWeek
+ * @param {string} attendanceType - ColumnGroup kind or label, e.g. 'lecture' or 'section'
+ * @param {StudentIdProfile} [idProfile]
+ * @param {Record<string, SheetLayout>} [layouts] - manual layout overrides keyed by sheet name
+ * @param {ColumnGroup[]} [columnGroups] - column bands found via row-1 keywords
+ */
+export function processAttendance(workbook, targetIdsSet, targetWeek, attendanceType, idProfile = DEFAULT_STUDENT_ID_PROFILE, layouts = {}, columnGroups = DEFAULT_COLUMN_GROUPS) {
   assertXlsxLoaded();
   if (!workbook || !Array.isArray(workbook.SheetNames)) throw new ProcessingError("Invalid workbook.");
   if (!(targetIdsSet instanceof Set)) throw new ProcessingError("Invalid target IDs set.");
@@ -1290,74 +3554,51 @@ export function processAttendance(workbook, targetIdsSet, targetWeek, attendance
   const availableWeeks = new Set();
 
   const weekText = String(targetWeek).toUpperCase();
-  const typeLower = String(attendanceType || "").toLowerCase();
+  const typeLower = String(attendanceType || "").trim().toLowerCase();
+  const group =
+    columnGroups.find((g) => g.kind === typeLower || g.label.toLowerCase() === typeLower) ||
+    columnGroups.find((g) => typeLower && typeLower.includes(g.kind));
+  if (!group) {
+    throw new ValidationError(`Attendance type must be one of: ${columnGroups.map((g) => g.kind).join(", ")}.`);
+  }
 
   for (const sheetName of workbook.SheetNames) {
     const ws = workbook.Sheets[sheetName];
     if (!ws) continue;
 
-    const { colSection, colLecture } = detectLectureSectionBounds(ws);
-    if (!colSection) continue;
+    const band = detectColumnGroups(ws, columnGroups).find((b) => b.kind === group.kind);
+    if (!band) continue;
 
-    // Detect ID and name columns dynamically for this sheet
-    const { idCol, nameCol, nameCol2 } = detectIdAndNameColumns(ws, targetIdsSet);
-    const finalIdCol = idCol || 2; // fallback to original assumption
+    // Detect ID and name columns dynamically for this sheet; a manual layout wins
+    const layout = normalizeSheetLayout(layouts?.[sheetName]);
+    const { idCol, nameCol, nameCol2 } = detectIdAndNameColumns(ws, targetIdsSet, idProfile);
+    const finalIdCol = layout.idCol ?? (idCol || 2); // fallback to original assumption
+    const finalNameCol = layout.nameCol ?? nameCol;
+    const finalNameCol2 = layout.nameCol !== null ? layout.nameCol2 : nameCol2;
+    const lastHeaderRow = layout.headerRow ?? (layout.firstDataRow !== null ? layout.firstDataRow - 1 : null);
 
-    let startSearch = 0;
-    let endSearch = 0;
     const range = getSheetRange(ws);
     if (!range) continue;
-    const maxCol1 = range.e.c + 1;
 
-    if (typeLower.includes("section")) {
-      startSearch = colSection;
-      endSearch = colLecture ? colLecture - 1 : maxCol1;
-    } else if (typeLower.includes("lecture")) {
-      if (!colLecture) continue;
-      // Based on actual Excel structure analysis: lecture week columns (W1, W2, W3...) start
-      // at the same column where "Attendance Lecture" header is found in row 1.
-      // Section week columns end at colLecture - 1, so lecture starts at colLecture.
-      startSearch = colLecture;
-      endSearch = maxCol1;
-    } else {
-      throw new ValidationError("Attendance type must be 'lecture' or 'section'.");
-    }
+    // Week columns (W1, W2, ...) start at the column holding the group's row-1 keyword
+    // and run up to the next band
+    const startSearch = band.startCol1;
+    const endSearch = band.endCol1;
 
-    const { headerRow, targetCol } = findHeaderColumn(ws, weekText, startSearch, endSearch, availableWeeks, finalIdCol);
+    const { headerRow, targetCol } = findHeaderColumn(ws, weekText, startSearch, endSearch, availableWeeks, finalIdCol, idProfile, lastHeaderRow);
     if (!targetCol) continue;
 
-    const startDataRow = headerRow + 1;
-    const firstDataRow = findFirstDataRow(ws, startDataRow, finalIdCol);
-    const lastDataRow = findLastDataRow(ws, startDataRow, finalIdCol);
+    const startDataRow = layout.firstDataRow ?? (lastHeaderRow ?? headerRow) + 1;
+    const firstDataRow = layout.firstDataRow ?? findFirstDataRow(ws, startDataRow, finalIdCol, idProfile);
+    const lastDataRow = layout.lastDataRow ?? findLastDataRow(ws, startDataRow, finalIdCol, idProfile);
 
     // Scan rows using detected ID and name columns
-    const maxRow1 = range.e.r + 1;
+    const maxRow1 = layout.lastDataRow ?? range.e.r + 1;
     for (let rowIdx = startDataRow; rowIdx <= maxRow1; rowIdx++) {
       const rawId = cellValue(ws, rowIdx, finalIdCol);
       
       // Extract ID, handling email format
-      let currId = null;
-      if (rawId !== null && rawId !== undefined) {
-        const normalized = normalizeId(rawId);
-        
-        if (normalized) {
-          // Check if it contains "@" (email format)
-          if (normalized.includes("@")) {
-            const username = normalized.split("@")[0];
-            if (targetIdsSet && targetIdsSet.has(username)) {
-              currId = username;
-            }
-          } else {
-            // Direct match
-            if (targetIdsSet && targetIdsSet.has(normalized)) {
-              currId = normalized;
-            } else if (!targetIdsSet && /^\d+$/.test(normalized) && normalized.length > 5) {
-              // Pattern-based: pure numeric ID
-              currId = normalized;
-            }
-          }
-        }
-      }
+      const currId = extractStudentId(rawId, idProfile);
       
       if (!currId || !targetIdsSet.has(currId)) continue;
 
@@ -1365,14 +3606,14 @@ export function processAttendance(workbook, targetIdsSet, targetWeek, attendance
       
       // Build name from detected name column(s)
       let nameVal = "";
-      if (nameCol2 !== null) {
+      if (finalNameCol2 !== null) {
         // Concatenate two name columns
-        const name1 = String(cellValue(ws, rowIdx, nameCol) ?? "").trim();
-        const name2 = String(cellValue(ws, rowIdx, nameCol2) ?? "").trim();
+        const name1 = String(cellValue(ws, rowIdx, finalNameCol) ?? "").trim();
+        const name2 = String(cellValue(ws, rowIdx, finalNameCol2) ?? "").trim();
         nameVal = `${name1} ${name2}`.trim();
       } else {
         // Single name column
-        nameVal = String(cellValue(ws, rowIdx, nameCol) ?? "").trim();
+        nameVal = String(cellValue(ws, rowIdx, finalNameCol) ?? "").trim();
       }
       
       const cellAddr = window.XLSX.utils.encode_cell({ r: rowIdx - 1, c: targetCol - 1 });
@@ -0,0 +1,105 @@
+/**
+ * IndexedDB persistence (internal).
+ *
+ * One database for the app; each feature owns an object store listed in STORES
+ * (store name -> key path). Adding a store means bumping DB_VERSION so
+ * `onupgradeneeded` creates it in browsers that already have the database.
+ */
+
+import { ProcessingError } from "../attendance.js";
+
+const DB_NAME = "yaqeen";
+const DB_VERSION = 2;
+const STORES = {
+  templateProfiles: "name",
+  sessions: "id",
+};
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new ProcessingError("Browser storage (IndexedDB) is not available here."));
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, keyPath] of Object.entries(STORES)) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null; // allow a retry (e.g. after private mode is turned off)
+      reject(new ProcessingError(`Could not open browser storage: ${req.error?.message || "unknown error"}`));
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Run one request in its own transaction; resolves with the request result once committed.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return await new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    const fail = () => reject(new ProcessingError(`Browser storage error: ${tx.error?.message || req.error?.message || "unknown error"}`));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = fail;
+    tx.onabort = fail;
+  });
+}
+
+/**
+ * @param {string} storeName
+ * @returns {Promise<any[]>}
+ */
+export function storeGetAll(storeName) {
+  return runRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<any>} the record, or undefined when there is none
+ */
+export function storeGet(storeName, key) {
+  return runRequest(storeName, "readonly", (store) => store.get(key));
+}
+
+/**
+ * Insert or replace a record (keyed by the store's key path).
+ * @param {string} storeName
+ * @param {any} record
+ */
+export function storePut(storeName, record) {
+  return runRequest(storeName, "readwrite", (store) => store.put(record));
+}
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ */
+export function storeDelete(storeName, key) {
+  return runRequest(storeName, "readwrite", (store) => store.delete(key));
+}
+
+/**
+ * Empty every store (the "wipe all local data" control); the database itself stays.
+ */
+export async function storeClearAll() {
+  for (const name of Object.keys(STORES)) {
+    await runRequest(name, "readwrite", (store) => store.clear());
+  }
+}
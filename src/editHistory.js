@@ -0,0 +1,119 @@
+/**
+ * Preview edit history (internal).
+ *
+ * Every Fix, Accept, Wrong, Discard, Resolve or grade edit on the preview is recorded as one
+ * step: a label and a before/after copy of each row it changed, keyed by the preview index.
+ * Undo puts the "before" copies back, redo the "after" copies, so a step also restores any
+ * neighbouring rows it moved (accumulate totals). The history travels in the JSON report.
+ */
+
+/**
+ * @typedef {import('../attendance.js').EditorPreviewRow} EditorPreviewRow
+ */
+
+/**
+ * @typedef {Object} EditHistoryStep
+ * @property {string} label       // e.g. "Row 14: manually fixed to 692400243 on Sheet S3"
+ * @property {string} at          // ISO timestamp
+ * @property {Array<{index: number, before: EditorPreviewRow, after: EditorPreviewRow}>} changes
+ */
+
+/**
+ * @typedef {Object} EditHistory
+ * @property {EditHistoryStep[]} steps
+ * @property {number} position    // steps before this are applied; the rest can be redone
+ */
+
+/** Oldest steps are dropped past this, so the report JSON stays a sensible size. */
+export const EDIT_HISTORY_LIMIT = 200;
+
+/**
+ * @returns {EditHistory}
+ */
+export function createEditHistory() {
+  return { steps: [], position: 0 };
+}
+
+function copyRow(row) {
+  return JSON.parse(JSON.stringify(row));
+}
+
+/**
+ * Run `mutate` on the preview rows and record what it changed as one step. Steps that were
+ * undone are dropped. Nothing is recorded when no row changed.
+ * @param {EditHistory} history
+ * @param {EditorPreviewRow[]} rows
+ * @param {string} label
+ * @param {() => void} mutate
+ * @returns {EditHistoryStep|null}
+ */
+export function recordPreviewEdit(history, rows, label, mutate) {
+  const before = new Map(rows.map((r) => [Number(r.index), JSON.stringify(r)]));
+  mutate();
+  const changes = [];
+  for (const row of rows) {
+    const index = Number(row.index);
+    const after = JSON.stringify(row);
+    if (before.get(index) === after) continue;
+    changes.push({ index, before: JSON.parse(before.get(index)), after: JSON.parse(after) });
+  }
+  if (!changes.length) return null;
+  const step = { label: String(label), at: new Date().toISOString(), changes };
+  history.steps.splice(history.position);
+  history.steps.push(step);
+  if (history.steps.length > EDIT_HISTORY_LIMIT) history.steps.splice(0, history.steps.length - EDIT_HISTORY_LIMIT);
+  history.position = history.steps.length;
+  return step;
+}
+
+function applyStep(rows, step, side) {
+  const byIndex = new Map(rows.map((r, i) => [Number(r.index), i]));
+  for (const change of step.changes) {
+    const i = byIndex.get(Number(change.index));
+    if (i !== undefined) rows[i] = copyRow(change[side]);
+  }
+}
+
+/**
+ * @param {EditHistory} history
+ * @param {EditorPreviewRow[]} rows - replaced in place
+ * @returns {EditHistoryStep|null} the step undone
+ */
+export function undoPreviewEdit(history, rows) {
+  if (history.position <= 0) return null;
+  history.position -= 1;
+  const step = history.steps[history.position];
+  applyStep(rows, step, "before");
+  return step;
+}
+
+/**
+ * @param {EditHistory} history
+ * @param {EditorPreviewRow[]} rows - replaced in place
+ * @returns {EditHistoryStep|null} the step redone
+ */
+export function redoPreviewEdit(history, rows) {
+  if (history.position >= history.steps.length) return null;
+  const step = history.steps[history.position];
+  history.position += 1;
+  applyStep(rows, step, "after");
+  return step;
+}
+
+/**
+ * Validate a history read from a report JSON; anything unreadable becomes an empty history.
+ * @param {any} raw
+ * @returns {EditHistory}
+ */
+export function normalizeEditHistory(raw) {
+  const steps = [];
+  for (const s of Array.isArray(raw?.steps) ? raw.steps : []) {
+    const changes = (Array.isArray(s?.changes) ? s.changes : []).filter(
+      (c) => Number.isFinite(Number(c?.index)) && c.before && typeof c.before === "object" && c.after && typeof c.after === "object"
+    );
+    if (!changes.length) continue;
+    steps.push({ label: String(s.label ?? ""), at: String(s.at ?? ""), changes: changes.map((c) => ({ index: Number(c.index), before: c.before, after: c.after })) });
+  }
+  const position = Number.parseInt(String(raw?.position ?? steps.length), 10);
+  return { steps, position: Number.isFinite(position) ? Math.min(Math.max(position, 0), steps.length) : steps.length };
+}
@@ -18,4 +18,17 @@ export async function readFileAsText(file) {
   return await file.text();
 }
 
+/**
+ * Text of a file saved as UTF-8 or UTF-16 (Teams reports and Windows Notepad use UTF-16).
+ * The byte order mark decides; files without one are read as UTF-8.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export async function readFileAsUnicodeText(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const encoding =
+    bytes[0] === 0xff && bytes[1] === 0xfe ? "utf-16le" : bytes[0] === 0xfe && bytes[1] === 0xff ? "utf-16be" : "utf-8";
+  return new TextDecoder(encoding).decode(bytes);
+}
+
 
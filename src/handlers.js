@@ -11,8 +11,74 @@ import {
   computeEditorPreview,
   readWorkbookFromArrayBuffer,
   normalizeId,
+  normalizeDigits,
+  normalizeGradeText,
+  normalizeStudentIdProfile,
+  describeStudentIdProfile,
+  describeAttendanceValues,
+  normalizeOverwritePolicy,
+  resolveOverwrite,
+  describeMatchCandidate,
+  describeWriteToAllNote,
+  describeCellDrift,
+  recomputeAccumulatedRows,
+  normalizeAttendanceValues,
+  describeSheetLayouts,
+  normalizeSheetLayout,
+  normalizeColumnGroups,
+  listWeekColumns,
+  suggestWeekColumn,
+  normalizeSemesterCalendar,
+  describeSemesterCalendar,
+  compareGroupedPreviewRows,
+  parseGradeTableText,
+  matchGradeTableColumns,
+  gradeTableToRows,
+  GRADE_ROUNDING_MODES,
+  normalizeGradeRules,
+  formatLetterGrades,
+  findGradeRule,
+  checkGradeValue,
+  applyGradeCheckToRow,
+  readInputWorkbook,
+  readInputTable,
+  guessInputTableColumns,
+  inputTableToEntries,
+  normalizeMeetingReportOptions,
+  parseMeetingReport,
+  readYaqeenScanExport,
+  yaqeenScanToEntries,
+  flagNameMismatches,
+  formatClockMinutes,
 } from "../attendance.js";
-import { readFileAsArrayBuffer, readFileAsText } from "./fileRead.js";
+import { readFileAsArrayBuffer, readFileAsText, readFileAsUnicodeText } from "./fileRead.js";
+import { downloadBlob } from "./dom.js";
+import {
+  buildTemplateProfile,
+  deleteTemplateProfile,
+  findBestTemplateProfile,
+  listTemplateProfiles,
+  parseTemplateProfilesJson,
+  saveTemplateProfile,
+  scoreTemplateProfile,
+  sheetLayoutsFromProfile,
+  templateProfilesToJson,
+} from "./templateProfiles.js";
+import { createEditHistory, recordPreviewEdit, redoPreviewEdit, undoPreviewEdit } from "./editHistory.js";
+import {
+  SESSION_LIMIT,
+  buildEditorSession,
+  deleteEditorSession,
+  describeEditorSession,
+  hasSessionContent,
+  listEditorSessions,
+  loadEditorSession,
+  newSessionId,
+  restoreSessionEditor,
+  saveEditorSession,
+  wipeLocalData,
+} from "./sessionStore.js";
+import { createInitialState } from "./state.js";
 import { createOcrHandlers } from "./handlers/ocrHandlers.js";
 import { createMergerHandlers } from "./handlers/mergerHandlers.js";
 import { createDownloadHandlers } from "./handlers/downloadHandlers.js";
@@ -31,8 +97,15 @@ import { createDownloadHandlers } from "./handlers/downloadHandlers.js";
 export function createHandlers({ els, state, setStatus, disableRun, switchView }) {
   let editorActiveFixIndex = null;
   let editorActiveGradeIndex = null;
+  let editorActiveResolveIndex = null;
   /** @type {Array<{sheet:string,row1:number,id:string,name:string}>} */
   let editorSearchRows = [];
+  /** Uploaded input spreadsheet (Spreadsheet / CSV method) and the table read from its chosen sheet */
+  let editorInputWorkbook = null;
+  /** @type {import('../attendance.js').InputTable|null} */
+  let editorInputTable = null;
+  /** @type {import('../attendance.js').YaqeenScanExport|null} */
+  let editorYaqeenScan = null;
 
   const ocr = createOcrHandlers({ els, state });
   const merger = createMergerHandlers({ els, state });
@@ -42,6 +115,8 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     setEditorStatus,
     ensureWorkbookLoadedForEditor,
     renderEditorPreview,
+    syncEditorUiFromState,
+    readCurrentInputText,
     switchView,
   });
 
@@ -122,41 +197,59 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
 
   /**
    * Build per-sheet formula payloads from preview rows.
-   * Includes only active rows that are matched/manually fixed and numeric values.
+   * Includes only active rows that are written to the workbook and have a non-empty value.
    * @returns {Array<{sheet:string,rowCount:number,skippedCount:number,googleFormula:string,excelFormula:string}>}
    */
   function buildOnlineSheetFormulas() {
     const ed = state.editor || {};
     const rows = Array.isArray(ed.previewRows) ? ed.previewRows : [];
-    const headerName = escapeFormulaString(ed.selectedColumn?.headerText || "Target");
+    const defaultHeader = ed.selectedColumn?.headerText || "Target";
+    // One formula per target column: week-tagged input can fill several columns of a sheet
     const bySheet = new Map();
     const targetColBySheet = new Map();
+    const headerByTarget = new Map();
     const colMap = Array.isArray(ed.columnMap) ? ed.columnMap : [];
     for (const loc of colMap) {
       const sheet = String(loc?.sheet || "").trim();
       const col = String(loc?.col_letter || "").trim().toUpperCase();
-      if (sheet && col) targetColBySheet.set(sheet, col);
-    }
-
-    for (const row of rows) {
-      const status = String(row?.match_status || "");
-      if (row?.discarded) continue;
-      if (!(status === "matched" || status === "manuallyFixed")) continue;
-      const sheet = String(row?.sheet || "").trim();
-      const rowIndex = Number(row?.row_index1);
-      const value = Number(row?.new_value);
-      if (!sheet || !Number.isFinite(rowIndex) || rowIndex < 1 || !Number.isFinite(value)) {
+      if (sheet && col && !targetColBySheet.has(sheet)) targetColBySheet.set(sheet, col);
+      if (sheet && col) headerByTarget.set(`${sheet}\t${col}`, loc.header_text || defaultHeader);
+    }
+
+    const addValue = (sheetName, colLetter, row1, raw) => {
+      const sheet = String(sheetName || "").trim();
+      const col = String(colLetter || targetColBySheet.get(sheet) || "").trim().toUpperCase();
+      const targetKey = `${sheet}\t${col}`;
+      const rowIndex = Number(row1);
+      // Numbers go in as-is; text values (e.g. an "E" attendance code) as string literals
+      const num = typeof raw === "number" ? raw : String(raw ?? "").trim() === "" ? NaN : Number(raw);
+      const value = Number.isFinite(num) ? num : String(raw ?? "").trim() ? `"${escapeFormulaString(raw)}"` : null;
+      if (!sheet || !Number.isFinite(rowIndex) || rowIndex < 1 || value === null) {
         const existing = bySheet.get(sheet || "(Unknown sheet)") || { pairs: new Map(), skipped: 0 };
         existing.skipped += 1;
         bySheet.set(sheet || "(Unknown sheet)", existing);
-        continue;
+        return;
       }
-      const existing = bySheet.get(sheet) || { pairs: new Map(), skipped: 0 };
+      const existing = bySheet.get(targetKey) || { pairs: new Map(), skipped: 0 };
       existing.pairs.set(rowIndex, value);
-      bySheet.set(sheet, existing);
+      bySheet.set(targetKey, existing);
+    };
+
+    for (const row of rows) {
+      const status = String(row?.match_status || "");
+      if (row?.discarded) continue;
+      if (!(status === "matched" || status === "manuallyFixed" || status === "conflict" || status === "absent")) continue;
+      if (!row.conflict || row.conflict.write) addValue(row.sheet, row.col_letter, row.row_index1, row.new_value);
+      // An ambiguous ID written to all of its rows fills the other candidates too, as the download does
+      if (row.resolution === "all") {
+        for (const c of row.candidates || []) {
+          if (c.skip || (c.sheet === row.sheet && c.cell === row.cell)) continue;
+          addValue(c.sheet, c.col_letter, c.row_index1, c.new_value ?? row.new_value);
+        }
+      }
     }
 
-    const sheets = Array.from(bySheet.keys()).filter((s) => s && s !== "(Unknown sheet)").sort((a, b) => a.localeCompare(b));
+    const targets = Array.from(bySheet.keys()).filter((s) => s && s !== "(Unknown sheet)").sort((a, b) => a.localeCompare(b));
     /** @type {import('xlsx').WorkBook|null} */
     let wbForFormulas = null;
     try {
@@ -166,11 +259,13 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     }
 
     const out = [];
-    for (const sheet of sheets) {
-      const info = bySheet.get(sheet);
+    for (const targetKey of targets) {
+      const [sheet, col] = targetKey.split("\t");
+      const info = bySheet.get(targetKey);
       const pairs = Array.from(info.pairs.entries()).sort((a, b) => a[0] - b[0]);
       if (!pairs.length) continue;
-      const targetCol = targetColBySheet.get(sheet) || "A";
+      const targetCol = col || "A";
+      const headerName = escapeFormulaString(headerByTarget.get(targetKey) || defaultHeader);
       const previewMaxRow = Math.max(1, ...pairs.map(([r]) => Number(r) || 1));
       const ws = wbForFormulas?.Sheets?.[sheet];
       const maxRow = ws ? getFormulaMaxRowForSheet(ws, targetCol, previewMaxRow) : previewMaxRow;
@@ -182,6 +277,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       const excelFormula = `=LET(_start,ROW(),_n,MAX(1,${maxRow}-_start+1),_rows,SEQUENCE(_n,,_start,1),_m,{${mapLiteral}},_hit,IFERROR(XLOOKUP(_rows,INDEX(_m,,1),INDEX(_m,,2)),""),_fallback,INDEX(${rangeRef},_rows),IF(_rows=_start,"${headerName}",IF(_hit<>"",_hit,_fallback)))`;
       out.push({
         sheet,
+        headerName: headerByTarget.get(targetKey) || defaultHeader,
         targetCol,
         maxRow,
         previewMaxRow,
@@ -202,7 +298,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       const empty = document.createElement("div");
       empty.className = "formulaPanel__empty";
       empty.textContent =
-        "No eligible rows for formulas yet. Eligible rows are matched/manually fixed and not discarded, with numeric values.";
+        "No eligible rows for formulas yet. Eligible rows are matched/manually fixed and not discarded, with a non-empty value.";
       els.editorFormulaPanels.appendChild(empty);
       return;
     }
@@ -213,7 +309,8 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
 
       const title = document.createElement("div");
       title.className = "formulaCard__title";
-      title.textContent = `${item.sheet} (${item.rowCount} target rows)`;
+      const several = formulas.filter((f) => f.sheet === item.sheet).length > 1;
+      title.textContent = `${item.sheet}${several ? ` — ${item.headerName} (${item.targetCol})` : ""} (${item.rowCount} target rows)`;
       card.appendChild(title);
 
       const targetNote = document.createElement("div");
@@ -228,7 +325,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       if (item.skippedCount > 0) {
         const note = document.createElement("div");
         note.className = "formulaCard__note";
-        note.textContent = `${item.skippedCount} row(s) were skipped because their new value is not numeric.`;
+        note.textContent = `${item.skippedCount} row(s) were skipped because their new value is empty.`;
         card.appendChild(note);
       }
 
@@ -277,6 +374,9 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
   /** Column option value encoding: key + location so dropdown and search stay in sync. Delimiter must not appear in sheet names. */
   const COLUMN_VALUE_SEP = "||";
 
+  /** Load File, Sheet Layout, Configure, Input Data, Generate Preview */
+  const WIZARD_STEP_COUNT = 5;
+
   /**
    * Deduplicate locations by (sheet, header_row, col_letter).
    * @param {Array<{ sheet: string, header_row: number, col_letter: string }>} locations
@@ -327,6 +427,40 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       els.editorSheet.innerHTML = `<option value="">(Load file first)</option>`;
     }
 
+    // student ID profile
+    const idProfile = ed.idProfile || {};
+    if (els.editorIdPattern) els.editorIdPattern.value = idProfile.pattern || "";
+    if (els.editorIdMinLength) els.editorIdMinLength.value = String(idProfile.minLength ?? "");
+    if (els.editorIdMaxLength) els.editorIdMaxLength.value = idProfile.maxLength ? String(idProfile.maxLength) : "";
+    if (els.editorIdPrefix) els.editorIdPrefix.value = idProfile.prefix || "";
+    if (els.editorIdAllowAlphanumeric) els.editorIdAllowAlphanumeric.checked = Boolean(idProfile.allowAlphanumeric);
+    if (els.editorIdEmailDomain) els.editorIdEmailDomain.value = idProfile.emailDomain || "";
+
+    // semester calendar (Weeks panel)
+    const calendar = ed.semesterCalendar || {};
+    if (els.editorSemesterStart) els.editorSemesterStart.value = calendar.week1Start || "";
+    if (els.editorSemesterHolidays && document.activeElement !== els.editorSemesterHolidays) {
+      els.editorSemesterHolidays.value = (calendar.holidays || []).join(", ");
+    }
+
+    // column groups (layout step)
+    if (els.editorColumnGroupsBody && !els.editorColumnGroupsBody.contains(document.activeElement)) {
+      renderColumnGroupsTable();
+    }
+
+    // highlight settings (Reports view; a template profile may change them)
+    if (els.highlightCheckbox) els.highlightCheckbox.checked = ed.highlightEnabled ?? true;
+    const colors = ed.highlightColors || {};
+    for (const [picker, status] of [
+      [els.highlightColorPicker, "matched"],
+      [els.highlightColorFixedPicker, "manuallyFixed"],
+      [els.highlightColorAmbiguousPicker, "ambiguous"],
+    ]) {
+      if (!picker) continue;
+      if (colors[status]) picker.value = colors[status];
+      picker.disabled = !(ed.highlightEnabled ?? true);
+    }
+
     // task
     if (els.editorTask) els.editorTask.value = ed.taskType;
 
@@ -334,10 +468,57 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     const method = ed.inputMethod || "file";
     if (els.editorInputMethodFile) els.editorInputMethodFile.checked = method === "file";
     if (els.editorInputMethodTextarea) els.editorInputMethodTextarea.checked = method === "textarea";
+    if (els.editorInputMethodSheet) els.editorInputMethodSheet.checked = method === "sheetFile";
+    if (els.editorInputMethodYaqeenScan) els.editorInputMethodYaqeenScan.checked = method === "yaqeenScan";
     if (els.editorInputMethodSearchPick) els.editorInputMethodSearchPick.checked = method === "searchPick";
     if (els.editorInputFileContainer) els.editorInputFileContainer.style.display = method === "file" ? "block" : "none";
     if (els.editorInputTextareaContainer) els.editorInputTextareaContainer.style.display = method === "textarea" ? "block" : "none";
+    if (els.editorInputSheetContainer) els.editorInputSheetContainer.style.display = method === "sheetFile" ? "block" : "none";
+    if (els.editorInputYaqeenScanContainer) els.editorInputYaqeenScanContainer.style.display = method === "yaqeenScan" ? "block" : "none";
+    syncYaqeenScanOptions();
     if (els.editorInputSearchPickContainer) els.editorInputSearchPickContainer.style.display = method === "searchPick" ? "block" : "none";
+    // search & pick already resolves students and spreadsheets have a name column, so the
+    // names option only matters for typed/uploaded text
+    const isText = method === "file" || method === "textarea";
+    if (els.editorNameMatchingContainer) els.editorNameMatchingContainer.style.display = isText ? "block" : "none";
+    if (els.editorNameMatching) els.editorNameMatching.checked = Boolean(ed.nameMatching);
+    // score tables are grade input read from a file or the text area
+    if (els.editorGradeTableContainer) {
+      els.editorGradeTableContainer.style.display = ed.taskType !== "attendance" && isText ? "block" : "none";
+    }
+    if (els.editorGradeTable) els.editorGradeTable.checked = Boolean(ed.gradeTable);
+    // meeting reports are attendance input read from a file or the text area
+    if (els.editorMeetingReportContainer) {
+      els.editorMeetingReportContainer.style.display = ed.taskType === "attendance" && isText ? "block" : "none";
+    }
+    if (els.editorMeetingReport) els.editorMeetingReport.checked = Boolean(ed.meetingReport);
+    const meetingOptions = normalizeMeetingReportOptions(ed.meetingReportOptions);
+    for (const [el, field] of [[els.editorMeetingMinMinutes, "minMinutes"], [els.editorMeetingReviewMinutes, "reviewMinutes"]]) {
+      if (!el) continue;
+      el.value = String(meetingOptions[field]);
+      el.disabled = !ed.meetingReport;
+    }
+    if (els.editorOverwritePolicy) els.editorOverwritePolicy.value = normalizeOverwritePolicy(ed.overwritePolicy);
+    // accumulate adds to the cell by definition; only the duplicate handling is configurable
+    const isAccumulate = ed.taskType === "accumulate";
+    if (els.editorOverwritePolicyContainer) els.editorOverwritePolicyContainer.style.display = isAccumulate ? "none" : "block";
+    if (els.editorAccumulateDuplicatesContainer) els.editorAccumulateDuplicatesContainer.style.display = isAccumulate ? "block" : "none";
+    if (els.editorAccumulateDuplicates) els.editorAccumulateDuplicates.value = ed.accumulateDuplicates || "sum";
+    if (els.editorMarkAbsentContainer) els.editorMarkAbsentContainer.style.display = ed.taskType === "attendance" ? "block" : "none";
+    if (els.editorAttendanceValuesPanel) els.editorAttendanceValuesPanel.style.display = ed.taskType === "attendance" ? "block" : "none";
+    if (els.editorGradeRulesPanel) els.editorGradeRulesPanel.style.display = ed.taskType === "grade" ? "block" : "none";
+    if (els.editorGradeRulesBody && !els.editorGradeRulesBody.contains(document.activeElement)) {
+      renderGradeRulesTable();
+    }
+    // Leave the table alone while it is being edited (it may hold draft rows)
+    if (els.editorAttendanceValuesBody && !els.editorAttendanceValuesBody.contains(document.activeElement)) {
+      renderAttendanceValuesTable();
+    }
+    if (els.editorMarkAbsent) els.editorMarkAbsent.checked = Boolean(ed.markAbsent);
+    if (els.editorAbsentValue) {
+      els.editorAbsentValue.value = String(ed.absentValue ?? "");
+      els.editorAbsentValue.disabled = !ed.markAbsent;
+    }
 
     if (els.btnEditorDownload) els.btnEditorDownload.disabled = !Array.isArray(ed.previewRows);
 
@@ -362,7 +543,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     const ed = state.editor;
 
     // Update step indicators
-    for (let i = 1; i <= 4; i++) {
+    for (let i = 1; i <= WIZARD_STEP_COUNT; i++) {
       const stepEl = document.querySelector(`.wizard__step[data-step="${i}"]`);
       if (stepEl) {
         stepEl.classList.remove("is-active", "is-complete");
@@ -375,7 +556,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     }
 
     // Show/hide panels
-    for (let i = 1; i <= 4; i++) {
+    for (let i = 1; i <= WIZARD_STEP_COUNT; i++) {
       const panelEl = document.querySelector(`.wizard__panel[data-panel="${i}"]`);
       if (panelEl) {
         panelEl.hidden = i !== step;
@@ -387,16 +568,16 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       els.btnWizardPrev.disabled = step === 1;
     }
     if (els.btnWizardNext) {
-      els.btnWizardNext.hidden = step === 4;
+      els.btnWizardNext.hidden = step === WIZARD_STEP_COUNT;
       els.btnWizardNext.disabled = !canProceedToNextStep(step);
     }
     if (els.btnWizardFinish) {
-      els.btnWizardFinish.hidden = step !== 4;
+      els.btnWizardFinish.hidden = step !== WIZARD_STEP_COUNT;
       els.btnWizardFinish.disabled = !canProceedToNextStep(step);
     }
 
-    // Update summary in step 4
-    if (step === 4) {
+    // Update summary in the last step
+    if (step === WIZARD_STEP_COUNT) {
       if (els.wizardSummaryFile) els.wizardSummaryFile.textContent = state.workbookName || "Not loaded";
       if (els.wizardSummaryMode) els.wizardSummaryMode.textContent = ed.scopeMode === "single" ? "Single-sheet" : "Multi-sheet";
       // For multi-sheet mode, always show "All sheets"; for single-sheet mode, show the selected sheet or "-"
@@ -407,30 +588,41 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       if (els.wizardSummaryColumn) {
         let columnText = "-";
         if (ed.selectedColumn?.headerText) {
-          columnText = ed.selectedColumn.headerText;
+          columnText = ed.selectedColumn.headerPath || ed.selectedColumn.headerText;
         } else if (ed.selectedColumnKey && ed.workbookLoaded) {
           try {
             const wb = ensureWorkbookLoadedForEditor();
             const scope = { mode: ed.scopeMode, sheetName: ed.selectedSheetName };
-            const opts = listColumnOptions(wb, scope);
+            const opts = listColumnOptions(wb, scope, state.editor.idProfile, state.editor.sheetLayouts, state.editor.columnGroups);
             const selected = opts.find((o) => o.key === ed.selectedColumnKey);
             if (selected) {
-              columnText = selected.headerText;
+              columnText = selected.headerPath;
             }
           } catch (e) {
-            // If lookup fails, try parsing the key (format: "kind::headerText")
+            // If lookup fails, try parsing the key (format: "kind::headerPath")
             const keyParts = String(ed.selectedColumnKey || "").split("::");
             if (keyParts.length >= 2) {
-              columnText = keyParts.slice(1).join("::"); // In case headerText contains "::"
+              columnText = keyParts.slice(1).join("::"); // In case headerPath contains "::"
             }
           }
         }
         els.wizardSummaryColumn.textContent = columnText;
       }
-      if (els.wizardSummaryTask) els.wizardSummaryTask.textContent = ed.taskType === "attendance" ? "Attendance input" : "Grade input";
+      if (els.wizardSummaryTask) {
+        els.wizardSummaryTask.textContent =
+          ed.taskType === "attendance" ? "Attendance input" : ed.taskType === "accumulate" ? "Accumulate (add to existing)" : "Grade input";
+      }
       if (els.wizardSummaryInput) {
         if (ed.inputMethod === "file") {
           els.wizardSummaryInput.textContent = ed.inputFileName || "-";
+        } else if (ed.inputMethod === "sheetFile") {
+          els.wizardSummaryInput.textContent = editorInputTable
+            ? `${ed.inputSheet.fileName} (${ed.inputSheet.sheetName}, ${editorInputTable.rows.length} rows)`
+            : "-";
+        } else if (ed.inputMethod === "yaqeenScan") {
+          els.wizardSummaryInput.textContent = editorYaqeenScan
+            ? `YaqeenScan: ${editorYaqeenScan.course} (${editorYaqeenScan.submissions.length} submissions)`
+            : "-";
         } else if (ed.inputMethod === "searchPick") {
           const n = Array.isArray(ed.chosenStudents) ? ed.chosenStudents.length : 0;
           els.wizardSummaryInput.textContent = n > 0 ? `Search & pick: ${n} students` : "-";
@@ -440,6 +632,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         }
       }
     }
+    scheduleSessionAutosave();
   }
 
   function canProceedToNextStep(step) {
@@ -449,20 +642,31 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         // Enable Next if there's a file ready to load (uploaded or URL provided)
         return Boolean(state.workbookArrayBuffer) || Boolean(els.editorSheetUrl?.value?.trim());
       case 2:
+        // Layout overrides are optional; auto-detection is used for anything left blank
+        return ed.workbookLoaded;
+      case 3:
         const needsSheet = ed.scopeMode === "single";
         return Boolean(ed.selectedColumnKey) && (!needsSheet || Boolean(ed.selectedSheetName));
-      case 3:
+      case 4:
         if (ed.inputMethod === "file") {
           return Boolean(els.editorInputTxt?.files?.[0]);
         }
         if (ed.inputMethod === "searchPick") {
           return Array.isArray(ed.chosenStudents) && ed.chosenStudents.length > 0;
         }
+        if (ed.inputMethod === "sheetFile") {
+          return Boolean(editorInputTable) && ed.inputSheet.columns.idCol >= 0;
+        }
+        if (ed.inputMethod === "yaqeenScan") {
+          return Boolean(editorYaqeenScan) && ed.taskType === "attendance";
+        }
         return Boolean(ed.inputTextContent && ed.inputTextContent.trim());
-      case 4:
+      case 5:
         return ed.workbookLoaded && Boolean(ed.selectedColumnKey) && (
           (ed.inputMethod === "file" && Boolean(els.editorInputTxt?.files?.[0])) ||
           (ed.inputMethod === "textarea" && Boolean(ed.inputTextContent && ed.inputTextContent.trim())) ||
+          (ed.inputMethod === "sheetFile" && Boolean(editorInputTable) && ed.inputSheet.columns.idCol >= 0) ||
+          (ed.inputMethod === "yaqeenScan" && Boolean(editorYaqeenScan) && ed.taskType === "attendance") ||
           (ed.inputMethod === "searchPick" && Array.isArray(ed.chosenStudents) && ed.chosenStudents.length > 0)
         );
       default:
@@ -485,8 +689,9 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       try {
         await handleEditorLoadFile();
         // Only proceed if loading was successful (workbookLoaded will be true)
-        if (state.editor.workbookLoaded && canProceedToNextStep(step) && step < 4) {
+        if (state.editor.workbookLoaded && canProceedToNextStep(step) && step < WIZARD_STEP_COUNT) {
           state.editor.wizardStep++;
+          renderSheetLayoutTable();
           updateWizardUI();
         }
       } catch (e) {
@@ -497,14 +702,15 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     }
     
     // For other steps, proceed normally
-    if (canProceedToNextStep(step) && step < 4) {
+    if (canProceedToNextStep(step) && step < WIZARD_STEP_COUNT) {
       state.editor.wizardStep++;
+      if (state.editor.wizardStep === 3) preselectSuggestedWeek();
       updateWizardUI();
     }
   }
 
   async function handleWizardFinish() {
-    // This is step 4 - generate preview and switch to Reports
+    // This is the last step - generate preview and switch to Reports
     await handleEditorBuildPreview();
   }
 
@@ -514,6 +720,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     const rows = Array.isArray(ed.previewRows) ? ed.previewRows : [];
     const mode = els.editorPreviewModeOrdered?.classList?.contains("is-active") ? "ordered" : "grouped";
     const sheetFilter = String(els.editorPreviewSheetFilter?.value || "");
+    const statusFilter = String(els.editorPreviewStatusFilter?.value || "");
 
     // Update summary
     if (els.summary) {
@@ -524,19 +731,40 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         const matched = rows.filter((r) => r.match_status === "matched" || r.match_status === "manuallyFixed").length;
         const notFound = rows.filter((r) => r.match_status === "notFound").length;
         const ambiguous = rows.filter((r) => r.match_status === "ambiguous").length;
-        els.summary.textContent = `Total: ${total} | Matched: ${matched} | Not Found: ${notFound} | Ambiguous: ${ambiguous}`;
+        const suggested = rows.filter((r) => r.match_status === "suggested").length;
+        const conflicts = rows.filter((r) => r.conflict).length;
+        const absent = rows.filter((r) => r.match_status === "absent").length;
+        const invalid = rows.filter((r) => r.match_status === "invalid" && !r.discarded).length;
+        const nameMismatches = rows.filter((r) => r.name_mismatch).length;
+        const drifted = rows.filter((r) => r.drift?.length).length;
+        els.summary.textContent =
+          `Total: ${total} | Matched: ${matched} | Not Found: ${notFound} | Ambiguous: ${ambiguous}` +
+          (suggested ? ` | Suggested: ${suggested}` : "") +
+          (conflicts ? ` | Conflicts: ${conflicts}` : "") +
+          (absent ? ` | Absent: ${absent}` : "") +
+          (invalid ? ` | Invalid grades: ${invalid} (edit or discard before downloading)` : "") +
+          (nameMismatches ? ` | Name mismatches: ${nameMismatches}` : "") +
+          (drifted ? ` | Drifted since the report: ${drifted}` : "");
       }
     }
 
     // simple ordering
     let out = rows.slice();
     if (sheetFilter) out = out.filter((r) => String(r.sheet || "") === sheetFilter);
+    // "conflict" also catches fixed/ambiguous rows whose target cell was already filled
+    if (statusFilter) {
+      out = out.filter((r) =>
+        statusFilter === "conflict"
+          ? Boolean(r.conflict)
+          : statusFilter === "nameMismatch"
+            ? Boolean(r.name_mismatch)
+            : statusFilter === "drifted"
+              ? Boolean(r.drift?.length)
+              : r.match_status === statusFilter
+      );
+    }
     if (mode === "grouped") {
-      out.sort((a, b) => {
-        const s = String(a.sheet || "").localeCompare(String(b.sheet || ""));
-        if (s !== 0) return s;
-        return (a.row_index1 ?? 0) - (b.row_index1 ?? 0);
-      });
+      out.sort(compareGroupedPreviewRows);
     } else {
       out.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
     }
@@ -591,8 +819,23 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         }
       }
     } else {
-      // Grouped mode or no orderedEntries - render normally
+      // Grouped mode or no orderedEntries - render normally. Week-tagged runs write several
+      // columns, so each sheet + target column gets a heading row
+      const multiColumn = mode === "grouped" && out.some((r) => r.target_key);
+      let currentGroup = null;
       for (const r of out) {
+        const group = `${r.sheet || "Not found"} — ${r.target_header || ""}`;
+        if (multiColumn && group !== currentGroup) {
+          currentGroup = group;
+          const tr = document.createElement("tr");
+          tr.classList.add("row--delimiter");
+          const td = document.createElement("td");
+          td.colSpan = 9;
+          td.textContent = r.col_letter ? `${group} (${r.col_letter})` : group;
+          td.className = "delimiter-cell";
+          tr.appendChild(td);
+          els.editorPreviewTableBody.appendChild(tr);
+        }
         renderPreviewRow(r, null);
       }
     }
@@ -600,6 +843,12 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     function renderPreviewRow(r, delimiter) {
       const tr = document.createElement("tr");
       if (r.match_status === "notFound" || r.match_status === "ambiguous") tr.classList.add("row--missing");
+      if (r.match_status === "suggested") tr.classList.add("row--suggested");
+      if (r.conflict) tr.classList.add("row--conflict");
+      if (r.match_status === "absent") tr.classList.add("row--absent");
+      if (r.match_status === "invalid") tr.classList.add("row--invalid");
+      if (r.name_mismatch) tr.classList.add("row--nameMismatch");
+      if (r.drift?.length) tr.classList.add("row--drifted");
       if (r.discarded) tr.classList.add("row--discarded");
       // Check for duplicate IDs - use input_id (from input file) not student_id (from workbook match)
       if (ed.idCounts && r.input_id) {
@@ -618,12 +867,21 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       tr.appendChild(td(r.index));
       tr.appendChild(td(r.student_id));
       tr.appendChild(td(r.student_name));
+      // an ambiguous ID written to all of its rows names the extra cells
+      const extraCells = r.resolution === "all" ? (r.candidates || []).filter((c) => !c.skip && !(c.sheet === r.sheet && c.cell === r.cell)) : [];
       tr.appendChild(td(r.sheet));
-      tr.appendChild(td(r.cell));
+      const cellTd = td(extraCells.length ? `${r.cell} +${extraCells.length}` : r.cell);
+      if (extraCells.length) cellTd.title = extraCells.map(describeMatchCandidate).join("\n");
+      tr.appendChild(cellTd);
       tr.appendChild(td(r.old_value));
-      tr.appendChild(td(r.new_value));
+      const acc = r.accumulate;
+      tr.appendChild(td(acc && acc.total !== null ? `${acc.base} + ${acc.delta} = ${acc.total}` : r.new_value));
       const statusTd = document.createElement("td");
-      statusTd.textContent = String(r.match_status || "");
+      statusTd.textContent =
+        String(r.match_status || "") + (r.name_mismatch ? " · name?" : "") + (r.drift?.length ? " · drifted" : "");
+      const driftText = (r.drift || []).map((d) => `Changed since the report: ${describeCellDrift(d)}.`).join(" ");
+      const statusTitle = [r.grade_error, r.note, r.conflict?.reason, driftText].filter(Boolean).join(" ");
+      if (statusTitle) statusTd.title = statusTitle;
       tr.appendChild(statusTd);
 
       // actions
@@ -633,13 +891,40 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       actionsTd.style.gap = "8px";
       actionsTd.style.justifyContent = "center";
 
+      if (r.match_status === "suggested" && !r.discarded) {
+        const btnAccept = document.createElement("button");
+        btnAccept.type = "button";
+        btnAccept.className = "btn btn--ghost";
+        btnAccept.textContent = "Accept";
+        btnAccept.title = r.note || "";
+        btnAccept.dataset.action = "accept";
+        btnAccept.dataset.index = String(r.index);
+        actionsTd.appendChild(btnAccept);
+      }
+
+      // Absent rows come from the roster itself: there is nothing to fix, only to discard
+      const isAbsent = r.match_status === "absent";
+      const candidateCount = Array.isArray(r.candidates) ? r.candidates.length : 0;
+      if (candidateCount > 1 && !r.discarded) {
+        const btnResolve = document.createElement("button");
+        btnResolve.type = "button";
+        btnResolve.className = "btn btn--ghost";
+        btnResolve.textContent = `Resolve (${candidateCount})`;
+        btnResolve.title = r.candidates.map(describeMatchCandidate).join("\n");
+        btnResolve.dataset.action = "resolve";
+        btnResolve.dataset.index = String(r.index);
+        actionsTd.appendChild(btnResolve);
+      }
+
       const btnFix = document.createElement("button");
       btnFix.type = "button";
       btnFix.className = "btn btn--ghost";
-      btnFix.textContent = "Fix";
+      const idSuggestionCount = Array.isArray(r.id_suggestions) && r.match_status === "notFound" ? r.id_suggestions.length : 0;
+      btnFix.textContent = idSuggestionCount ? `Fix (${idSuggestionCount})` : "Fix";
+      if (idSuggestionCount) btnFix.title = `${idSuggestionCount} close ID(s) in the sheet`;
       btnFix.dataset.action = "fix";
       btnFix.dataset.index = String(r.index);
-      actionsTd.appendChild(btnFix);
+      if (!isAbsent) actionsTd.appendChild(btnFix);
 
       const btnMarkWrong = document.createElement("button");
       btnMarkWrong.type = "button";
@@ -647,7 +932,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       btnMarkWrong.textContent = "Wrong";
       btnMarkWrong.dataset.action = "wrong";
       btnMarkWrong.dataset.index = String(r.index);
-      actionsTd.appendChild(btnMarkWrong);
+      if (!isAbsent) actionsTd.appendChild(btnMarkWrong);
 
       const btnDiscard = document.createElement("button");
       btnDiscard.type = "button";
@@ -657,11 +942,11 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       btnDiscard.dataset.index = String(r.index);
       actionsTd.appendChild(btnDiscard);
 
-      if (String(state.editor.taskType || "") === "grade") {
+      if (String(state.editor.taskType || "") !== "attendance") {
         const btnEdit = document.createElement("button");
         btnEdit.type = "button";
         btnEdit.className = "btn btn--ghost";
-        btnEdit.textContent = "Edit grade";
+        btnEdit.textContent = state.editor.taskType === "accumulate" ? "Edit points" : "Edit grade";
         btnEdit.dataset.action = "grade";
         btnEdit.dataset.index = String(r.index);
         actionsTd.appendChild(btnEdit);
@@ -701,6 +986,8 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     // Apply delimiter filter if one is selected
     applyDelimiterFilter();
     renderOnlineSheetFormulaPanel();
+    renderEditHistory();
+    scheduleSessionAutosave();
 
     // final report mapping box
     if (els.editorFinalReportBox) {
@@ -711,11 +998,11 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         const lines = [];
         lines.push("MODIFIED COLUMN MAPPING");
         lines.push("=======================");
-        lines.push(`Header: ${ed.selectedColumn?.headerText || ""}`);
+        lines.push(`Header: ${ed.selectedColumn?.headerPath || ed.selectedColumn?.headerText || ""}`);
         lines.push(`Kind: ${ed.selectedColumn?.kind || ""}`);
         lines.push("");
         for (const m of map) {
-          lines.push(`- Sheet: ${m.sheet} | Header Row: ${m.header_row} | Column: ${m.col_letter}`);
+          lines.push(`- Sheet: ${m.sheet} | Header: ${m.header_path || m.header_text || ""} | Header Row: ${m.header_row} | Column: ${m.col_letter}`);
         }
         els.editorFinalReportBox.value = lines.join("\n");
       }
@@ -785,6 +1072,10 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       const wb = ensureWorkbookLoadedForEditor();
       state.editor.workbookLoaded = true;
       state.editor.workbookSheetNames = wb.SheetNames.slice();
+      // Layout overrides are per sheet name; drop the ones this workbook does not have
+      state.editor.sheetLayouts = Object.fromEntries(
+        Object.entries(state.editor.sheetLayouts || {}).filter(([name]) => wb.SheetNames.includes(name))
+      );
 
       // initialize sheet selection if single mode
       if (state.editor.scopeMode === "single" && !state.editor.selectedSheetName) {
@@ -796,7 +1087,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         mode: state.editor.scopeMode,
         sheetName: state.editor.selectedSheetName,
       };
-      const opts = listColumnOptions(wb, scope);
+      const opts = listColumnOptions(wb, scope, state.editor.idProfile, state.editor.sheetLayouts, state.editor.columnGroups);
       
       // Store column options for search functionality
       state.editor.columnOptions = opts;
@@ -809,13 +1100,13 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         o0.textContent = "(Select column)";
         els.editorColumn.appendChild(o0);
         for (const opt of opts) {
-          const tag = opt.kind === "unknown" ? "Unknown" : opt.kind === "lecture" ? "Lecture" : "Section";
+          const tag = opt.kindLabel;
           const locs = deduplicateLocations(Array.isArray(opt.locations) ? opt.locations : []);
           for (const loc of locs) {
             const composite = `${opt.key}${COLUMN_VALUE_SEP}${loc.sheet}${COLUMN_VALUE_SEP}${loc.header_row}${COLUMN_VALUE_SEP}${loc.col_letter}`;
             const o = document.createElement("option");
             o.value = composite;
-            o.textContent = `${opt.headerText} — ${tag} — ${loc.sheet} (Row ${loc.header_row}, Col ${loc.col_letter})`;
+            o.textContent = `${opt.headerPath} — ${tag} — ${loc.sheet} (Row ${loc.header_row}, Col ${loc.col_letter})`;
             els.editorColumn.appendChild(o);
           }
         }
@@ -837,6 +1128,14 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       state.editor.chosenStudents = [];
       state.editor.selectedLocation = null;
       setEditorStatus("Workbook loaded. Select mode/sheet/column and upload the input file.", "ok");
+      // A saved template profile that fits this workbook is offered in Step 2, never applied silently
+      const suggestion = await suggestTemplateProfile();
+      if (suggestion) {
+        setEditorStatus(
+          `Workbook loaded. Template profile "${suggestion.profile.name}" matches ${suggestion.matchedSheets} of ${suggestion.totalSheets} sheets — apply it in the next step.`,
+          "ok"
+        );
+      }
       syncEditorUiFromState();
 
       // Don't auto-advance here - let handleWizardNext handle it
@@ -858,6 +1157,84 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     }
   }
 
+  /**
+   * Rebuild the target column dropdown from the workbook (scope, layouts and keywords may have
+   * changed), keeping the selected column when it still exists.
+   */
+  function refreshEditorColumnOptions() {
+    if (state.editor.workbookLoaded) {
+      editorSearchRows = [];
+      const wb = ensureWorkbookLoadedForEditor();
+      const scope = { mode: state.editor.scopeMode, sheetName: state.editor.selectedSheetName };
+      const opts = listColumnOptions(wb, scope, state.editor.idProfile, state.editor.sheetLayouts, state.editor.columnGroups);
+
+      // Store column options for search functionality
+      state.editor.columnOptions = opts;
+
+      if (els.editorColumn) {
+        els.editorColumn.innerHTML = "";
+        const o0 = document.createElement("option");
+        o0.value = "";
+        o0.textContent = "(Select column)";
+        els.editorColumn.appendChild(o0);
+        const ed = state.editor;
+        let selectedValue = "";
+        for (const opt of opts) {
+          const tag = opt.kindLabel;
+          const locs = deduplicateLocations(Array.isArray(opt.locations) ? opt.locations : []);
+          for (const loc of locs) {
+            const composite = `${opt.key}${COLUMN_VALUE_SEP}${loc.sheet}${COLUMN_VALUE_SEP}${loc.header_row}${COLUMN_VALUE_SEP}${loc.col_letter}`;
+            const o = document.createElement("option");
+            o.value = composite;
+            o.textContent = `${opt.headerPath} — ${tag} — ${loc.sheet} (Row ${loc.header_row}, Col ${loc.col_letter})`;
+            els.editorColumn.appendChild(o);
+            if (ed.selectedLocation && ed.selectedColumnKey === opt.key &&
+                ed.selectedLocation.sheet === loc.sheet &&
+                ed.selectedLocation.header_row === loc.header_row &&
+                ed.selectedLocation.col_letter === loc.col_letter) {
+              selectedValue = composite;
+            }
+            if (!selectedValue && ed.selectedColumnKey === opt.key && !ed.selectedLocation) {
+              selectedValue = composite; // first occurrence for this key
+            }
+          }
+        }
+        if (selectedValue && Array.from(els.editorColumn.options).some((opt) => opt.value === selectedValue)) {
+          els.editorColumn.value = selectedValue;
+        } else {
+          els.editorColumn.value = "";
+          if (!selectedValue && ed.selectedColumnKey) {
+            state.editor.selectedColumnKey = "";
+            state.editor.selectedLocation = null;
+          }
+        }
+      }
+      
+      // Enable column search and clear previous search when mode/sheet changes
+      if (els.editorColumnSearch) {
+        els.editorColumnSearch.disabled = false;
+        els.editorColumnSearch.value = "";
+      }
+      if (els.editorColumnSearchResults) {
+        els.editorColumnSearchResults.innerHTML = "";
+        els.editorColumnSearchResults.style.display = "none";
+      }
+      renderWeeksPanel();
+      renderGradeTableMapping();
+      renderGradeRulesTable();
+    } else {
+      // Disable column search if workbook not loaded
+      if (els.editorColumnSearch) {
+        els.editorColumnSearch.disabled = true;
+        els.editorColumnSearch.value = "";
+      }
+      if (els.editorColumnSearchResults) {
+        els.editorColumnSearchResults.innerHTML = "";
+        els.editorColumnSearchResults.style.display = "none";
+      }
+    }
+  }
+
   function handleEditorSelectionChanged() {
     try {
       const oldScopeMode = state.editor.scopeMode;
@@ -893,74 +1270,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       }
 
       // Rebuild columns if workbook is loaded
-      if (state.editor.workbookLoaded) {
-        editorSearchRows = [];
-        const wb = ensureWorkbookLoadedForEditor();
-        const scope = { mode: state.editor.scopeMode, sheetName: state.editor.selectedSheetName };
-        const opts = listColumnOptions(wb, scope);
-
-        // Store column options for search functionality
-        state.editor.columnOptions = opts;
-
-        if (els.editorColumn) {
-          els.editorColumn.innerHTML = "";
-          const o0 = document.createElement("option");
-          o0.value = "";
-          o0.textContent = "(Select column)";
-          els.editorColumn.appendChild(o0);
-          const ed = state.editor;
-          let selectedValue = "";
-          for (const opt of opts) {
-            const tag = opt.kind === "unknown" ? "Unknown" : opt.kind === "lecture" ? "Lecture" : "Section";
-            const locs = deduplicateLocations(Array.isArray(opt.locations) ? opt.locations : []);
-            for (const loc of locs) {
-              const composite = `${opt.key}${COLUMN_VALUE_SEP}${loc.sheet}${COLUMN_VALUE_SEP}${loc.header_row}${COLUMN_VALUE_SEP}${loc.col_letter}`;
-              const o = document.createElement("option");
-              o.value = composite;
-              o.textContent = `${opt.headerText} — ${tag} — ${loc.sheet} (Row ${loc.header_row}, Col ${loc.col_letter})`;
-              els.editorColumn.appendChild(o);
-              if (ed.selectedLocation && ed.selectedColumnKey === opt.key &&
-                  ed.selectedLocation.sheet === loc.sheet &&
-                  ed.selectedLocation.header_row === loc.header_row &&
-                  ed.selectedLocation.col_letter === loc.col_letter) {
-                selectedValue = composite;
-              }
-              if (!selectedValue && ed.selectedColumnKey === opt.key && !ed.selectedLocation) {
-                selectedValue = composite; // first occurrence for this key
-              }
-            }
-          }
-          if (selectedValue && Array.from(els.editorColumn.options).some((opt) => opt.value === selectedValue)) {
-            els.editorColumn.value = selectedValue;
-          } else {
-            els.editorColumn.value = "";
-            if (!selectedValue && ed.selectedColumnKey) {
-              state.editor.selectedColumnKey = "";
-              state.editor.selectedLocation = null;
-            }
-          }
-        }
-        
-        // Enable column search and clear previous search when mode/sheet changes
-        if (els.editorColumnSearch) {
-          els.editorColumnSearch.disabled = false;
-          els.editorColumnSearch.value = "";
-        }
-        if (els.editorColumnSearchResults) {
-          els.editorColumnSearchResults.innerHTML = "";
-          els.editorColumnSearchResults.style.display = "none";
-        }
-      } else {
-        // Disable column search if workbook not loaded
-        if (els.editorColumnSearch) {
-          els.editorColumnSearch.disabled = true;
-          els.editorColumnSearch.value = "";
-        }
-        if (els.editorColumnSearchResults) {
-          els.editorColumnSearchResults.innerHTML = "";
-          els.editorColumnSearchResults.style.display = "none";
-        }
-      }
+      refreshEditorColumnOptions();
       syncEditorUiFromState();
       updateWizardUI();
     } catch (e) {
@@ -968,120 +1278,1226 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     }
   }
 
-  function handleEditorTaskChanged() {
-    state.editor.taskType = String(els.editorTask?.value || "attendance");
-    if (state.editor.inputMethod === "searchPick") {
-      renderEditorChosenList();
+  /**
+   * Student ID profile fields changed: validate, store on the session and rescan the workbook
+   * (header/data-row detection and the search index depend on what counts as an ID).
+   */
+  function handleEditorIdProfileChanged() {
+    try {
+      const profile = normalizeStudentIdProfile({
+        pattern: els.editorIdPattern?.value,
+        minLength: els.editorIdMinLength?.value,
+        maxLength: els.editorIdMaxLength?.value,
+        prefix: els.editorIdPrefix?.value,
+        allowAlphanumeric: els.editorIdAllowAlphanumeric?.checked,
+        emailDomain: els.editorIdEmailDomain?.value,
+      });
+      state.editor.idProfile = profile;
+      editorSearchRows = [];
+      if (state.editor.workbookLoaded) handleEditorSelectionChanged();
+      renderSheetLayoutTable();
+      setEditorStatus(`Student ID format: ${describeStudentIdProfile(profile)}.`, "ok");
+    } catch (e) {
+      const msg = e instanceof ValidationError ? e.message : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
     }
-    syncEditorUiFromState();
   }
 
-  function handleEditorInputMethodChanged() {
-    const isFile = els.editorInputMethodFile?.checked;
-    const isSearchPick = els.editorInputMethodSearchPick?.checked;
-    state.editor.inputMethod = isSearchPick ? "searchPick" : (isFile ? "file" : "textarea");
-
-    if (!isSearchPick) {
-      state.editor.chosenStudents = [];
-    }
+  const SHEET_LAYOUT_INPUTS = [
+    ["idCol", true],
+    ["nameCol", true],
+    ["nameCol2", true],
+    ["headerRow", false],
+    ["firstDataRow", false],
+    ["lastDataRow", false],
+  ];
+
+  function formatLayoutValue(value, isColumn) {
+    if (value === null || value === undefined) return "";
+    return isColumn ? window.XLSX.utils.encode_col(value - 1) : String(value);
+  }
 
-    if (els.editorInputFileContainer) {
-      els.editorInputFileContainer.style.display = isFile ? "block" : "none";
+  /**
+   * Step 2: one row per sheet. Placeholders show what was detected, values are the overrides.
+   */
+  function renderSheetLayoutTable() {
+    const body = els.editorSheetLayoutBody;
+    if (!body) return;
+    body.innerHTML = "";
+    if (!state.editor.workbookLoaded) return;
+    let infos = [];
+    try {
+      const wb = ensureWorkbookLoadedForEditor();
+      infos = describeSheetLayouts(wb, { mode: "multi" }, state.editor.idProfile, state.editor.sheetLayouts);
+    } catch (e) {
+      setEditorStatus(e?.message || String(e), "error");
+      return;
     }
-    if (els.editorInputTextareaContainer) {
-      els.editorInputTextareaContainer.style.display = isSearchPick ? "none" : (isFile ? "none" : "block");
+    for (const info of infos) {
+      const tr = document.createElement("tr");
+      tr.dataset.sheet = info.sheet;
+      const nameCell = document.createElement("td");
+      nameCell.textContent = info.sheet;
+      tr.appendChild(nameCell);
+      for (const [field, isColumn] of SHEET_LAYOUT_INPUTS) {
+        const cell = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "text";
+        input.autocomplete = "off";
+        input.dataset.field = field;
+        const detected = formatLayoutValue(info.detected[field], isColumn);
+        input.placeholder = detected ? `auto: ${detected}` : "auto: none";
+        input.value = formatLayoutValue(info.override[field], isColumn);
+        cell.appendChild(input);
+        tr.appendChild(cell);
+      }
+      const actions = document.createElement("td");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn--ghost";
+      btn.textContent = "Reset";
+      btn.dataset.action = "reset";
+      btn.disabled = !state.editor.sheetLayouts?.[info.sheet];
+      actions.appendChild(btn);
+      tr.appendChild(actions);
+      body.appendChild(tr);
     }
-    if (els.editorInputSearchPickContainer) {
-      els.editorInputSearchPickContainer.style.display = isSearchPick ? "block" : "none";
+  }
+
+  // Overrides change which headers and students are found: rebuild columns and the search index
+  function applySheetLayoutChange(sheetName) {
+    editorSearchRows = [];
+    if (state.editor.workbookLoaded) handleEditorSelectionChanged();
+    renderSheetLayoutTable();
+    const layout = state.editor.sheetLayouts[sheetName];
+    setEditorStatus(layout ? `Layout override saved for "${sheetName}".` : `"${sheetName}" uses the detected layout.`, "ok");
+  }
+
+  function handleEditorSheetLayoutChanged(e) {
+    const tr = e?.target?.closest?.("tr[data-sheet]");
+    if (!tr) return;
+    const sheetName = tr.dataset.sheet;
+    const item = {};
+    for (const input of tr.querySelectorAll("input[data-field]")) item[input.dataset.field] = input.value;
+    try {
+      const layout = normalizeSheetLayout(item);
+      const layouts = { ...(state.editor.sheetLayouts || {}) };
+      if (Object.values(layout).some((v) => v !== null)) layouts[sheetName] = layout;
+      else delete layouts[sheetName];
+      state.editor.sheetLayouts = layouts;
+      applySheetLayoutChange(sheetName);
+    } catch (err) {
+      const msg = err instanceof ValidationError ? `${sheetName}: ${err.message}` : `Unexpected error: ${err?.message || String(err)}`;
+      setEditorStatus(msg, "error");
     }
+  }
 
-    if (isSearchPick) {
-      ensurePickSearchRows();
-      renderEditorChosenList();
-      if (els.editorPickSearch) els.editorPickSearch.value = "";
-      if (els.editorPickResults) els.editorPickResults.innerHTML = "";
+  function handleEditorSheetLayoutClick(e) {
+    const btn = e?.target?.closest?.("button[data-action='reset']");
+    const sheetName = btn?.closest("tr[data-sheet]")?.dataset.sheet;
+    if (!sheetName) return;
+    const layouts = { ...(state.editor.sheetLayouts || {}) };
+    delete layouts[sheetName];
+    state.editor.sheetLayouts = layouts;
+    applySheetLayoutChange(sheetName);
+  }
+
+  function renderColumnGroupsTable() {
+    const body = els.editorColumnGroupsBody;
+    if (!body) return;
+    body.innerHTML = "";
+    for (const g of state.editor.columnGroups || []) {
+      body.appendChild(createColumnGroupRow(g));
     }
+  }
 
-    syncEditorUiFromState();
-    updateWizardUI();
+  // The row keeps the group's kind so renaming it does not change existing column keys
+  function createColumnGroupRow(g) {
+    const tr = document.createElement("tr");
+    if (g?.kind) tr.dataset.kind = g.kind;
+    for (const [field, placeholder, value] of [
+      ["label", "e.g. Lab", g?.label],
+      ["keywords", "e.g. attendance lab, حضور المعمل", (g?.keywords || []).join(", ")],
+    ]) {
+      const cell = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "text";
+      input.autocomplete = "off";
+      input.dataset.field = field;
+      input.placeholder = placeholder;
+      input.value = String(value ?? "");
+      cell.appendChild(input);
+      tr.appendChild(cell);
+    }
+    const actions = document.createElement("td");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btn--ghost";
+    btn.textContent = "Remove";
+    btn.dataset.action = "remove";
+    actions.appendChild(btn);
+    tr.appendChild(actions);
+    return tr;
   }
 
-  function handleEditorInputChanged() {
-    const f = els.editorInputTxt?.files?.[0] || null;
-    state.editor.inputFileName = f ? f.name : "";
-    syncEditorUiFromState();
-    updateWizardUI();
+  // Read the table back into state; rows left completely empty are ignored
+  function handleEditorColumnGroupsChanged() {
+    const body = els.editorColumnGroupsBody;
+    if (!body) return;
+    const list = [];
+    for (const tr of body.querySelectorAll("tr")) {
+      const item = { kind: tr.dataset.kind || "" };
+      for (const input of tr.querySelectorAll("input[data-field]")) item[input.dataset.field] = input.value;
+      list.push(item);
+    }
+    try {
+      state.editor.columnGroups = normalizeColumnGroups(list);
+      if (state.editor.workbookLoaded) refreshEditorColumnOptions();
+      updateWizardUI();
+      setEditorStatus(`Column groups: ${state.editor.columnGroups.map((g) => g.label).join(", ")}.`, "ok");
+    } catch (e) {
+      const msg = e instanceof ValidationError ? e.message : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    }
   }
 
-  function handleEditorTextareaChanged() {
-    const textarea = els.editorInputTextarea;
-    if (!textarea) return;
+  function handleEditorColumnGroupsClick(e) {
+    const btn = e?.target?.closest?.("button[data-action='remove']");
+    if (!btn) return;
+    btn.closest("tr")?.remove();
+    handleEditorColumnGroupsChanged();
+  }
 
-    const content = String(textarea.value || "").trim();
-    state.editor.inputTextContent = content || null;
+  function handleEditorAddColumnGroup() {
+    const tr = createColumnGroupRow(null);
+    els.editorColumnGroupsBody?.appendChild(tr);
+    tr.querySelector("input")?.focus();
+  }
 
-    updateWizardUI();
+  // -----------------------------
+  // Weeks panel (Step 3)
+  // -----------------------------
+  function currentWeekKind() {
+    const groups = state.editor.columnGroups || [];
+    return groups.some((g) => g.kind === state.editor.weekKind) ? state.editor.weekKind : groups[0]?.kind || "";
   }
 
-  function ensurePickSearchRows() {
-    if (editorSearchRows.length > 0) return;
+  /**
+   * List the week columns of the chosen group with their fill counts.
+   * @returns {ReturnType<typeof suggestWeekColumn>} the week to pre-select, if any
+   */
+  function renderWeeksPanel() {
+    const ed = state.editor;
+    const kind = currentWeekKind();
+    if (els.editorWeekKind) {
+      els.editorWeekKind.innerHTML = "";
+      for (const g of ed.columnGroups || []) {
+        const o = document.createElement("option");
+        o.value = g.kind;
+        o.textContent = g.label;
+        els.editorWeekKind.appendChild(o);
+      }
+      els.editorWeekKind.value = kind;
+    }
+    const body = els.editorWeeksBody;
+    if (body) body.innerHTML = "";
+    if (!ed.workbookLoaded || !kind) {
+      if (els.editorWeekSuggestion) els.editorWeekSuggestion.textContent = "";
+      return null;
+    }
+
+    let weeks = [];
     try {
-      const wb = ensureWorkbookLoadedForEditor();
-      const ed = state.editor;
       const scope = { mode: ed.scopeMode, sheetName: ed.selectedSheetName };
-      editorSearchRows = buildStudentSearchRows(wb, scope);
+      weeks = listWeekColumns(ensureWorkbookLoadedForEditor(), scope, kind, {
+        idProfile: ed.idProfile,
+        layouts: ed.sheetLayouts,
+        columnGroups: ed.columnGroups,
+      });
     } catch (e) {
-      editorSearchRows = [];
+      // no sheet selected yet in single-sheet mode
+      if (!(e instanceof ValidationError)) throw e;
     }
+    const suggestion = suggestWeekColumn(weeks, ed.semesterCalendar);
+
+    for (const w of weeks) {
+      const tr = document.createElement("tr");
+      if (w.key === ed.selectedColumnKey) tr.className = "is-selected";
+      const cells = [
+        w.headerPath,
+        `${w.filled} / ${w.total}`,
+        w.sheets.map((x) => `${x.sheet} (${x.col_letter}): ${x.filled}/${x.total}`).join("; "),
+      ];
+      for (const text of cells) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      const actions = document.createElement("td");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn--ghost";
+      btn.textContent = w.key === ed.selectedColumnKey ? "Selected" : "Use";
+      btn.disabled = w.key === ed.selectedColumnKey;
+      btn.dataset.weekKey = w.key;
+      actions.appendChild(btn);
+      tr.appendChild(actions);
+      body?.appendChild(tr);
+    }
+
+    if (els.editorWeekSuggestion) {
+      els.editorWeekSuggestion.textContent = !weeks.length
+        ? "No week columns (W1, W2 ...) found in this group."
+        : suggestion
+          ? `Suggested: ${suggestion.week.headerPath} (${suggestion.reason === "calendar" ? "this week by the semester calendar" : "first empty week"}).`
+          : "Every week column already has values.";
+    }
+    return suggestion;
   }
 
-  function renderEditorChosenList() {
-    const container = els.editorChosenList;
-    const emptyEl = els.editorChosenListEmpty;
-    if (!container) return;
-    const chosen = state.editor.chosenStudents || [];
-    const taskType = state.editor.taskType || "attendance";
+  function selectWeekColumn(key) {
+    state.editor.selectedColumnKey = key;
+    state.editor.selectedLocation = null;
+    refreshEditorColumnOptions(); // re-renders the Weeks panel
+    syncEditorUiFromState();
+    updateWizardUI();
+  }
 
-    if (emptyEl) {
-      emptyEl.style.display = chosen.length === 0 ? "block" : "none";
-    }
+  /** Entering Step 3: pick the suggested week unless a column is already chosen. */
+  function preselectSuggestedWeek() {
+    const suggestion = renderWeeksPanel();
+    if (!suggestion || state.editor.selectedColumnKey) return;
+    selectWeekColumn(suggestion.week.key);
+    setEditorStatus(`Pre-selected ${suggestion.week.headerPath} (${suggestion.reason === "calendar" ? "this week" : "first empty week"}).`, "ok");
+  }
 
-    container.innerHTML = "";
-    chosen.forEach((s, index) => {
-      const row = document.createElement("div");
-      row.className = "chosenList__item";
-      row.dataset.index = String(index);
-      const id = String(s.id || "");
-      const name = String(s.name || "").trim() || "—";
-      const grade = taskType === "grade" ? String(s.grade ?? "").trim() : "";
-      const text = taskType === "grade" && grade
-        ? `${id} — ${name} — ${grade}`
-        : `${id} — ${name}`;
-      const span = document.createElement("span");
-      span.className = "chosenList__text";
-      span.textContent = text;
-      const btn = document.createElement("button");
-      btn.type = "button";
-      btn.className = "btn btn--ghost chosenList__remove";
-      btn.textContent = "Remove";
-      btn.dataset.index = String(index);
-      btn.setAttribute("aria-label", `Remove ${id} from list`);
-      row.appendChild(span);
-      row.appendChild(btn);
-      container.appendChild(row);
-    });
+  function handleEditorWeekKindChanged() {
+    state.editor.weekKind = String(els.editorWeekKind?.value || "");
+    const suggestion = renderWeeksPanel();
+    if (suggestion) selectWeekColumn(suggestion.week.key);
   }
 
-  function handleEditorPickSearchChanged() {
-    if (!els.editorPickSearch || !els.editorPickResults) return;
-    const q = String(els.editorPickSearch.value || "").trim().toLowerCase();
-    els.editorPickResults.innerHTML = "";
-    if (!q) return;
+  function handleEditorWeeksClick(e) {
+    const btn = e?.target?.closest?.("button[data-week-key]");
+    if (!btn) return;
+    selectWeekColumn(btn.dataset.weekKey);
+  }
 
-    ensurePickSearchRows();
-    if (editorSearchRows.length === 0) {
-      els.editorPickResults.innerHTML = '<div class="searchResults__empty">No student data. Load workbook and select sheet/column first.</div>';
-      return;
+  function handleEditorSemesterCalendarChanged() {
+    try {
+      state.editor.semesterCalendar = normalizeSemesterCalendar({
+        week1Start: els.editorSemesterStart?.value,
+        holidays: els.editorSemesterHolidays?.value,
+      });
+      setEditorStatus(`Semester calendar: ${describeSemesterCalendar(state.editor.semesterCalendar)}.`, "ok");
+      const suggestion = renderWeeksPanel();
+      if (suggestion?.reason === "calendar") selectWeekColumn(suggestion.week.key);
+    } catch (e) {
+      const msg = e instanceof ValidationError ? e.message : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    }
+  }
+
+  // -----------------------------
+  // Template profiles (saved in IndexedDB)
+  // -----------------------------
+  /** @type {import('./templateProfiles.js').TemplateProfile[]} */
+  let editorTemplateProfiles = [];
+  let editorSuggestedProfileName = "";
+
+  function renderTemplateProfiles() {
+    const select = els.editorTemplateProfileSelect;
+    if (select) {
+      const current = select.value;
+      select.innerHTML = "";
+      const o0 = document.createElement("option");
+      o0.value = "";
+      o0.textContent = editorTemplateProfiles.length ? "(Select profile)" : "(No saved profiles)";
+      select.appendChild(o0);
+      for (const profile of editorTemplateProfiles) {
+        const o = document.createElement("option");
+        o.value = profile.name;
+        o.textContent = `${profile.name} — ${profile.sheets.length} sheet pattern(s)`;
+        select.appendChild(o);
+      }
+      select.value = editorTemplateProfiles.some((p) => p.name === current) ? current : "";
+    }
+    const suggested = editorTemplateProfiles.find((p) => p.name === editorSuggestedProfileName) || null;
+    if (els.editorTemplateSuggestion) els.editorTemplateSuggestion.hidden = !suggested;
+    if (suggested && els.editorTemplateSuggestionText) {
+      const { matchedSheets, totalSheets } = scoreTemplateProfile(suggested, state.editor.workbookSheetNames);
+      els.editorTemplateSuggestionText.textContent =
+        `Saved template profile "${suggested.name}" matches ${matchedSheets} of ${totalSheets} sheets in this workbook.`;
+    }
+    if (els.btnEditorTemplateExport) els.btnEditorTemplateExport.disabled = editorTemplateProfiles.length === 0;
+  }
+
+  /**
+   * Reload saved profiles. Storage problems (private mode, blocked IndexedDB) leave the list
+   * empty and are reported only when `reportErrors` is set.
+   */
+  async function loadTemplateProfiles(reportErrors = false) {
+    try {
+      editorTemplateProfiles = await listTemplateProfiles();
+    } catch (e) {
+      editorTemplateProfiles = [];
+      if (reportErrors) setEditorStatus(e?.message || String(e), "error");
+    }
+    renderTemplateProfiles();
+  }
+
+  async function suggestTemplateProfile() {
+    await loadTemplateProfiles();
+    const best = findBestTemplateProfile(editorTemplateProfiles, state.editor.workbookSheetNames);
+    editorSuggestedProfileName = best ? best.profile.name : "";
+    renderTemplateProfiles();
+    return best;
+  }
+
+  /**
+   * Apply a profile to the loaded workbook: ID format, column groups, highlight settings, per-sheet
+   * layouts (by sheet-name pattern) and the default target column when it exists here.
+   */
+  function applyTemplateProfile(profile) {
+    const ed = state.editor;
+    ed.idProfile = { ...profile.idProfile };
+    ed.columnGroups = profile.columnGroups.map((g) => ({ ...g, keywords: [...g.keywords] }));
+    ed.highlightEnabled = profile.highlight.enabled;
+    ed.highlightColors = { ...profile.highlight.colors };
+    ed.sheetLayouts = sheetLayoutsFromProfile(profile, ed.workbookSheetNames);
+    if (profile.defaultColumn) {
+      ed.selectedColumnKey = profile.defaultColumn.key;
+      ed.selectedLocation = null;
+    }
+    editorSearchRows = [];
+    refreshEditorColumnOptions();
+    renderSheetLayoutTable();
+    syncEditorUiFromState();
+    updateWizardUI();
+
+    const layoutCount = Object.keys(ed.sheetLayouts).length;
+    const columnNote = !profile.defaultColumn
+      ? ""
+      : ed.selectedColumnKey
+        ? ` Target column: ${profile.defaultColumn.headerText}.`
+        : ` Its target column "${profile.defaultColumn.headerText}" was not found.`;
+    setEditorStatus(`Applied template profile "${profile.name}" (${layoutCount} sheet layout(s)).${columnNote}`, "ok");
+  }
+
+  function handleEditorTemplateApplySuggested() {
+    const profile = editorTemplateProfiles.find((p) => p.name === editorSuggestedProfileName);
+    if (!profile) return;
+    if (els.editorTemplateProfileSelect) els.editorTemplateProfileSelect.value = profile.name;
+    applyTemplateProfile(profile);
+  }
+
+  function handleEditorTemplateApply() {
+    const name = String(els.editorTemplateProfileSelect?.value || "");
+    const profile = editorTemplateProfiles.find((p) => p.name === name);
+    if (!profile) {
+      setEditorStatus("Select a saved template profile first.", "error");
+      return;
+    }
+    if (!state.editor.workbookLoaded) {
+      setEditorStatus("Load a workbook before applying a template profile.", "error");
+      return;
+    }
+    applyTemplateProfile(profile);
+  }
+
+  async function handleEditorTemplateSave() {
+    try {
+      const name = String(els.editorTemplateProfileName?.value || "").trim();
+      if (!name) throw new ValidationError("Enter a name for the template profile.");
+      const wb = ensureWorkbookLoadedForEditor();
+      if (editorTemplateProfiles.some((p) => p.name === name) && !window.confirm(`Replace the saved profile "${name}"?`)) return;
+      await saveTemplateProfile(buildTemplateProfile(name, wb, state.editor));
+      await loadTemplateProfiles(true);
+      if (els.editorTemplateProfileSelect) els.editorTemplateProfileSelect.value = name;
+      setEditorStatus(`Template profile "${name}" saved in this browser.`, "ok");
+    } catch (e) {
+      const msg =
+        e instanceof ValidationError || e instanceof ProcessingError || e instanceof FileError
+          ? e.message
+          : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    }
+  }
+
+  async function handleEditorTemplateDelete() {
+    const name = String(els.editorTemplateProfileSelect?.value || "");
+    if (!name) return;
+    if (!window.confirm(`Delete the template profile "${name}"?`)) return;
+    try {
+      await deleteTemplateProfile(name);
+      if (editorSuggestedProfileName === name) editorSuggestedProfileName = "";
+      await loadTemplateProfiles(true);
+      setEditorStatus(`Template profile "${name}" deleted.`, "ok");
+    } catch (e) {
+      setEditorStatus(e?.message || String(e), "error");
+    }
+  }
+
+  function handleEditorTemplateExport() {
+    if (!editorTemplateProfiles.length) return;
+    downloadBlob("yaqeen_template_profiles.json", templateProfilesToJson(editorTemplateProfiles), "application/json;charset=utf-8");
+  }
+
+  async function handleEditorTemplateImport() {
+    const file = els.editorTemplateImport?.files?.[0] || null;
+    if (!file) return;
+    try {
+      const profiles = parseTemplateProfilesJson(await readFileAsText(file));
+      for (const profile of profiles) await saveTemplateProfile(profile);
+      await loadTemplateProfiles(true);
+      if (state.editor.workbookLoaded) {
+        const best = findBestTemplateProfile(editorTemplateProfiles, state.editor.workbookSheetNames);
+        editorSuggestedProfileName = best ? best.profile.name : "";
+        renderTemplateProfiles();
+      }
+      setEditorStatus(`Imported ${profiles.length} template profile(s).`, "ok");
+    } catch (e) {
+      const msg =
+        e instanceof ValidationError || e instanceof ProcessingError || e instanceof FileError
+          ? e.message
+          : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    } finally {
+      els.editorTemplateImport.value = "";
+    }
+  }
+
+  // -----------------------------
+  // Session autosave (saved in IndexedDB)
+  // -----------------------------
+  /** Quiet time after the last change before the session is written */
+  const SESSION_AUTOSAVE_DELAY_MS = 1500;
+  /** Id this page saves under; resuming a saved session continues that one */
+  let editorSessionId = newSessionId();
+  let editorSessionTimer = null;
+  /** Off after "wipe all local data", so nothing is written again before the page reloads */
+  let editorSessionAutosave = true;
+
+  function scheduleSessionAutosave() {
+    if (!editorSessionAutosave) return;
+    clearTimeout(editorSessionTimer);
+    editorSessionTimer = setTimeout(() => void saveSessionNow(), SESSION_AUTOSAVE_DELAY_MS);
+  }
+
+  async function saveSessionNow() {
+    clearTimeout(editorSessionTimer);
+    editorSessionTimer = null;
+    if (!editorSessionAutosave || !hasSessionContent(state)) return;
+    try {
+      // A file input cannot be refilled by script, so the uploaded input's text is saved instead
+      const inputText = state.editor.inputMethod === "file" ? await readCurrentInputText() : null;
+      await saveEditorSession(buildEditorSession(editorSessionId, state, inputText));
+    } catch (e) {
+      // Best effort (private mode, storage full): the work in this tab is unaffected
+      console.warn("Session autosave failed:", e);
+    }
+  }
+
+  function handleSessionVisibilityChanged() {
+    if (document.visibilityState === "hidden" && editorSessionTimer) void saveSessionNow();
+  }
+
+  async function renderSessionList() {
+    if (!els.sessionList) return [];
+    let sessions = [];
+    try {
+      sessions = await listEditorSessions();
+    } catch (e) {
+      if (els.sessionDialogInfo) els.sessionDialogInfo.textContent = e?.message || String(e);
+    }
+    els.sessionList.innerHTML = "";
+    if (!sessions.length) {
+      els.sessionList.innerHTML = '<div class="searchResults__empty">No saved sessions in this browser.</div>';
+    }
+    for (const session of sessions) {
+      const item = document.createElement("div");
+      item.className = "searchResults__item sessionList__item";
+      item.dataset.sessionId = session.id;
+      const main = document.createElement("div");
+      main.className = "searchResults__main";
+      const line1 = document.createElement("div");
+      line1.textContent = describeEditorSession(session);
+      const meta = document.createElement("div");
+      meta.className = "searchResults__meta";
+      const savedAt = new Date(session.saved_at);
+      meta.textContent = `Saved ${Number.isNaN(savedAt.getTime()) ? "-" : savedAt.toLocaleString()}${session.id === editorSessionId ? " · this tab" : ""}`;
+      main.appendChild(line1);
+      main.appendChild(meta);
+      const actions = document.createElement("div");
+      actions.className = "sessionList__actions";
+      for (const [action, label] of [["resume", "Resume"], ["delete", "Delete"]]) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = action === "resume" ? "btn btn--primary" : "btn btn--ghost";
+        btn.dataset.sessionAction = action;
+        btn.textContent = label;
+        actions.appendChild(btn);
+      }
+      item.appendChild(main);
+      item.appendChild(actions);
+      els.sessionList.appendChild(item);
+    }
+    return sessions;
+  }
+
+  /**
+   * On start-up: offer to resume when sessions from earlier visits are saved.
+   */
+  async function offerSessionResume() {
+    if (els.sessionDialogInfo) {
+      els.sessionDialogInfo.textContent = "Work from an earlier visit was saved in this browser. Resume it, or start a new session.";
+    }
+    const sessions = await renderSessionList();
+    if (sessions.length && els.sessionDialog && !els.sessionDialog.open) els.sessionDialog.showModal();
+  }
+
+  async function handleSessionsOpen() {
+    if (els.sessionDialogInfo) {
+      els.sessionDialogInfo.textContent = `The editor session is saved in this browser while you work; the last ${SESSION_LIMIT} are kept.`;
+    }
+    await renderSessionList();
+    if (els.sessionDialog && !els.sessionDialog.open) els.sessionDialog.showModal();
+  }
+
+  async function handleSessionListClicked(e) {
+    const btn = e?.target?.closest?.("button[data-session-action]");
+    const id = btn?.closest?.("[data-session-id]")?.dataset?.sessionId;
+    if (!btn || !id) return;
+    try {
+      if (btn.dataset.sessionAction === "resume") {
+        await resumeEditorSession(id);
+      } else {
+        await deleteEditorSession(id);
+        await renderSessionList();
+      }
+    } catch (err) {
+      if (els.sessionDialogInfo) els.sessionDialogInfo.textContent = err?.message || String(err);
+    }
+  }
+
+  async function resumeEditorSession(id) {
+    const session = await loadEditorSession(id);
+    if (!session) throw new ProcessingError("This session is no longer saved in the browser.");
+    clearTimeout(editorSessionTimer);
+    editorSessionTimer = null;
+    const editor = restoreSessionEditor(session.editor, createInitialState().editor);
+    let note = "";
+    if (editor.inputMethod === "file" && session.inputText) {
+      editor.inputMethod = "textarea";
+      editor.inputTextContent = session.inputText;
+      note = " The input file's text is in the text area.";
+    } else if (["file", "sheetFile", "yaqeenScan"].includes(editor.inputMethod)) {
+      note = " Choose the input file again to regenerate the preview.";
+    }
+    state.workbookArrayBuffer = session.workbookArrayBuffer || null;
+    state.workbookName = session.workbookName || null;
+    state.editor = editor;
+    editorSessionId = session.id;
+    editorInputWorkbook = null;
+    editorInputTable = null;
+    editorYaqeenScan = null;
+    editorActiveFixIndex = null;
+    editorActiveGradeIndex = null;
+    editorActiveResolveIndex = null;
+
+    if (els.editorColumn) els.editorColumn.disabled = !editor.workbookLoaded;
+    refreshEditorColumnOptions();
+    // let the sync refill the sheet filter from this workbook
+    if (els.editorPreviewSheetFilter) els.editorPreviewSheetFilter.innerHTML = '<option value="">All Sheets</option>';
+    syncEditorUiFromState();
+    if (els.editorInputTextarea) els.editorInputTextarea.value = editor.inputTextContent || "";
+    renderEditorChosenList();
+    const hasPreview = Array.isArray(editor.previewRows);
+    for (const btn of [els.btnDownloadModifiedRecords, els.btnDownloadOriginalRecords, els.btnDownloadJson, els.btnDownloadTxt, els.btnDownloadPdf]) {
+      if (btn) btn.disabled = !hasPreview;
+    }
+    renderEditorPreview();
+    updateWizardUI();
+    if (els.sessionDialog?.open) els.sessionDialog.close();
+    switchView(hasPreview ? "report" : "inputs");
+    setEditorStatus(`Session resumed: ${describeEditorSession(session)}.${note}`, "ok");
+    if (hasPreview && els.summary) els.summary.textContent = `${els.summary.textContent} (resumed session)`;
+  }
+
+  async function handleSessionWipeClicked() {
+    const ok = window.confirm(
+      "Delete every saved session and template profile from this browser?\n\nThe page reloads afterwards; anything not downloaded is lost."
+    );
+    if (!ok) return;
+    editorSessionAutosave = false;
+    clearTimeout(editorSessionTimer);
+    try {
+      await wipeLocalData();
+      window.location.reload();
+    } catch (e) {
+      editorSessionAutosave = true;
+      if (els.sessionDialogInfo) els.sessionDialogInfo.textContent = e?.message || String(e);
+    }
+  }
+
+  function handleEditorTaskChanged() {
+    state.editor.taskType = String(els.editorTask?.value || "attendance");
+    if (state.editor.inputMethod === "searchPick") {
+      renderEditorChosenList();
+    }
+    syncEditorUiFromState();
+    void refreshGradeTableMapping();
+  }
+
+  function handleEditorNameMatchingChanged() {
+    state.editor.nameMatching = Boolean(els.editorNameMatching?.checked);
+  }
+
+  function handleEditorMeetingReportChanged() {
+    state.editor.meetingReport = Boolean(els.editorMeetingReport?.checked);
+    state.editor.meetingReportOptions = normalizeMeetingReportOptions({
+      minMinutes: els.editorMeetingMinMinutes?.value,
+      reviewMinutes: els.editorMeetingReviewMinutes?.value,
+    });
+    syncEditorUiFromState();
+  }
+
+  /**
+   * Input text from the uploaded file or the text area. Files may be UTF-8 or UTF-16.
+   * @returns {Promise<string>}
+   */
+  /** Text of the uploaded or typed input, or null for spreadsheet, YaqeenScan and search & pick input */
+  async function readCurrentInputText() {
+    const method = state.editor.inputMethod;
+    if (method === "textarea") return state.editor.inputTextContent || null;
+    const file = method === "file" ? els.editorInputTxt?.files?.[0] || null : null;
+    return file ? await readFileAsUnicodeText(file) : null;
+  }
+
+  async function readEditorInputText() {
+    if (state.editor.inputMethod === "file") {
+      const inputFile = els.editorInputTxt?.files?.[0] || null;
+      if (!inputFile) throw new ValidationError("Input .txt file is required.");
+      return await readFileAsUnicodeText(inputFile);
+    }
+    const inputText = state.editor.inputTextContent;
+    if (!inputText || !inputText.trim()) {
+      throw new ValidationError("Please enter input data in the text area.");
+    }
+    return inputText;
+  }
+
+  function renderGradeTableMapping() {
+    const body = els.editorGradeTableBody;
+    if (!body) return;
+    const ed = state.editor;
+    const headers = ed.gradeTable ? ed.gradeTableHeaders || [] : [];
+    if (els.editorGradeTableMapping) els.editorGradeTableMapping.hidden = headers.length === 0;
+    body.innerHTML = "";
+    const opts = Array.isArray(ed.columnOptions) ? ed.columnOptions : [];
+    for (const header of headers) {
+      const tr = document.createElement("tr");
+      const nameCell = document.createElement("td");
+      nameCell.textContent = header;
+      const selectCell = document.createElement("td");
+      const select = document.createElement("select");
+      select.dataset.header = header;
+      select.setAttribute("aria-label", `Workbook column for ${header}`);
+      select.appendChild(new Option("(Skip)", ""));
+      for (const opt of opts) {
+        select.appendChild(new Option(`${opt.headerPath} — ${opt.kindLabel}`, opt.key));
+      }
+      select.value = ed.gradeTableMapping?.[header] || "";
+      selectCell.appendChild(select);
+      tr.append(nameCell, selectCell);
+      body.appendChild(tr);
+    }
+  }
+
+  /**
+   * Re-read the score table header after the input changes. Headers seen before keep the column
+   * the user picked; new ones are matched by header text.
+   */
+  async function refreshGradeTableMapping() {
+    const ed = state.editor;
+    if (!ed.gradeTable || ed.taskType === "attendance" || (ed.inputMethod !== "file" && ed.inputMethod !== "textarea")) {
+      renderGradeTableMapping();
+      return;
+    }
+    let headers = [];
+    try {
+      const text = await readEditorInputText();
+      headers = parseGradeTableText(text, ed.idProfile).headers;
+      setEditorStatus("");
+    } catch (e) {
+      // no input yet is not an error; a malformed table is
+      if (!(e instanceof ValidationError)) setEditorStatus(e?.message || String(e), "error");
+    }
+    const auto = matchGradeTableColumns(headers, ed.columnOptions || []);
+    const previous = ed.gradeTableMapping || {};
+    ed.gradeTableHeaders = headers;
+    ed.gradeTableMapping = Object.fromEntries(headers.map((h) => [h, h in previous ? previous[h] : auto[h]]));
+    renderGradeTableMapping();
+  }
+
+  function handleEditorGradeTableChanged() {
+    state.editor.gradeTable = Boolean(els.editorGradeTable?.checked);
+    void refreshGradeTableMapping();
+  }
+
+  function handleEditorGradeTableMappingChanged(e) {
+    const select = e.target?.closest?.("select[data-header]");
+    if (!select) return;
+    state.editor.gradeTableMapping = { ...state.editor.gradeTableMapping, [select.dataset.header]: select.value };
+  }
+
+  function renderAttendanceValuesTable() {
+    const body = els.editorAttendanceValuesBody;
+    if (!body) return;
+    body.innerHTML = "";
+    for (const v of state.editor.attendanceValues || []) {
+      body.appendChild(createAttendanceValueRow(v));
+    }
+  }
+
+  function createAttendanceValueRow(v) {
+    const tr = document.createElement("tr");
+    for (const [field, placeholder] of [["code", "e.g. L"], ["label", "e.g. Late"], ["value", "e.g. 0.5"]]) {
+      const cell = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "text";
+      input.autocomplete = "off";
+      input.dataset.field = field;
+      input.placeholder = placeholder;
+      input.value = String(v?.[field] ?? "");
+      cell.appendChild(input);
+      tr.appendChild(cell);
+    }
+    const actions = document.createElement("td");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btn--ghost";
+    btn.textContent = "Remove";
+    btn.dataset.action = "remove";
+    actions.appendChild(btn);
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  // Read the table back into state; rows left completely empty are ignored
+  function handleEditorAttendanceValuesChanged() {
+    const body = els.editorAttendanceValuesBody;
+    if (!body) return;
+    const list = [];
+    for (const tr of body.querySelectorAll("tr")) {
+      const item = {};
+      for (const input of tr.querySelectorAll("input[data-field]")) item[input.dataset.field] = input.value;
+      if (String(item.code || "").trim() || String(item.label || "").trim() || String(item.value || "").trim()) list.push(item);
+    }
+    try {
+      state.editor.attendanceValues = normalizeAttendanceValues(list);
+      setEditorStatus(`Attendance values: ${describeAttendanceValues(state.editor.attendanceValues)}.`, "ok");
+    } catch (e) {
+      const msg = e instanceof ValidationError ? e.message : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    }
+  }
+
+  function handleEditorAttendanceValuesClick(e) {
+    const btn = e?.target?.closest?.("button[data-action='remove']");
+    if (!btn) return;
+    btn.closest("tr")?.remove();
+    handleEditorAttendanceValuesChanged();
+  }
+
+  function handleEditorAddAttendanceValue() {
+    const tr = createAttendanceValueRow(null);
+    els.editorAttendanceValuesBody?.appendChild(tr);
+    tr.querySelector("input")?.focus();
+  }
+
+  function renderGradeRulesTable() {
+    const body = els.editorGradeRulesBody;
+    if (!body) return;
+    body.innerHTML = "";
+    for (const rule of state.editor.gradeRules || []) {
+      body.appendChild(createGradeRuleRow(rule));
+    }
+  }
+
+  function createGradeRuleRow(rule) {
+    const tr = document.createElement("tr");
+    const columnCell = document.createElement("td");
+    const column = document.createElement("select");
+    column.dataset.field = "key";
+    column.appendChild(new Option("(All columns)", ""));
+    for (const opt of state.editor.columnOptions || []) {
+      column.appendChild(new Option(`${opt.headerPath} — ${opt.kindLabel}`, opt.key));
+    }
+    // keep a rule whose column is not in the current scope
+    if (rule?.key && !Array.from(column.options).some((o) => o.value === rule.key)) {
+      column.appendChild(new Option(rule.key.split("::").slice(1).join("::") || rule.key, rule.key));
+    }
+    column.value = rule?.key || "";
+    columnCell.appendChild(column);
+    tr.appendChild(columnCell);
+
+    const texts = [
+      ["min", "e.g. 0", rule?.min ?? ""],
+      ["max", "e.g. 20", rule?.max ?? ""],
+      ["letters", "e.g. A=18, B=16", formatLetterGrades(rule?.letters)],
+    ];
+    for (const [field, placeholder, value] of texts) {
+      const cell = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "text";
+      input.autocomplete = "off";
+      input.dataset.field = field;
+      input.placeholder = placeholder;
+      input.value = String(value);
+      cell.appendChild(input);
+      tr.appendChild(cell);
+    }
+
+    const roundingCell = document.createElement("td");
+    const rounding = document.createElement("select");
+    rounding.dataset.field = "rounding";
+    const roundingLabels = { none: "None", round: "Nearest", floor: "Down", ceil: "Up" };
+    for (const mode of GRADE_ROUNDING_MODES) rounding.appendChild(new Option(roundingLabels[mode], mode));
+    rounding.value = rule?.rounding || "none";
+    roundingCell.appendChild(rounding);
+    tr.appendChild(roundingCell);
+
+    const stepCell = document.createElement("td");
+    const step = document.createElement("input");
+    step.type = "text";
+    step.autocomplete = "off";
+    step.dataset.field = "step";
+    step.placeholder = "1";
+    step.value = rule?.step && rule.step !== 1 ? String(rule.step) : "";
+    stepCell.appendChild(step);
+    tr.appendChild(stepCell);
+
+    const actions = document.createElement("td");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btn--ghost";
+    btn.textContent = "Remove";
+    btn.dataset.action = "remove";
+    actions.appendChild(btn);
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  // Read the table back into state
+  function handleEditorGradeRulesChanged() {
+    const body = els.editorGradeRulesBody;
+    if (!body) return;
+    const list = [];
+    for (const tr of body.querySelectorAll("tr")) {
+      const item = {};
+      for (const input of tr.querySelectorAll("[data-field]")) item[input.dataset.field] = input.value;
+      list.push(item);
+    }
+    try {
+      state.editor.gradeRules = normalizeGradeRules(list);
+      setEditorStatus(`Grade rules: ${state.editor.gradeRules.length}.`, "ok");
+    } catch (e) {
+      const msg = e instanceof ValidationError ? e.message : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    }
+  }
+
+  function handleEditorGradeRulesClick(e) {
+    const btn = e?.target?.closest?.("button[data-action='remove']");
+    if (!btn) return;
+    btn.closest("tr")?.remove();
+    handleEditorGradeRulesChanged();
+  }
+
+  function handleEditorAddGradeRule() {
+    // keys in the table (state may lag behind while a rule fails to validate)
+    const used = new Set(Array.from(els.editorGradeRulesBody?.querySelectorAll("[data-field='key']") || [], (el) => el.value));
+    // the first rule covers every column; later ones start on the selected column, then the next free one
+    const candidates = ["", state.editor.selectedColumnKey || "", ...(state.editor.columnOptions || []).map((o) => o.key)];
+    const key = candidates.find((k) => !used.has(k));
+    if (key === undefined) {
+      setEditorStatus("Every column already has a grade rule. Change or remove one instead.", "error");
+      return;
+    }
+    const tr = createGradeRuleRow({ key });
+    els.editorGradeRulesBody?.appendChild(tr);
+    handleEditorGradeRulesChanged();
+    tr.querySelector("input")?.focus();
+  }
+
+  function handleEditorMarkAbsentChanged() {
+    state.editor.markAbsent = Boolean(els.editorMarkAbsent?.checked);
+    state.editor.absentValue = normalizeGradeText(els.editorAbsentValue?.value ?? "");
+    syncEditorUiFromState();
+  }
+
+  function handleEditorOverwritePolicyChanged() {
+    state.editor.overwritePolicy = normalizeOverwritePolicy(els.editorOverwritePolicy?.value);
+  }
+
+  function handleEditorAccumulateDuplicatesChanged() {
+    state.editor.accumulateDuplicates = els.editorAccumulateDuplicates?.value === "conflict" ? "conflict" : "sum";
+    // Totals depend only on the rows already in the preview, so apply the choice right away
+    if (Array.isArray(state.editor.previewRows)) {
+      refreshAccumulatedRows();
+      renderEditorPreview();
+    }
+  }
+
+  function handleEditorInputMethodChanged() {
+    const isFile = els.editorInputMethodFile?.checked;
+    const isSearchPick = els.editorInputMethodSearchPick?.checked;
+    const isSheet = els.editorInputMethodSheet?.checked;
+    const isYaqeenScan = els.editorInputMethodYaqeenScan?.checked;
+    state.editor.inputMethod = isSearchPick
+      ? "searchPick"
+      : isSheet
+      ? "sheetFile"
+      : isYaqeenScan
+      ? "yaqeenScan"
+      : isFile
+      ? "file"
+      : "textarea";
+
+    if (!isSearchPick) {
+      state.editor.chosenStudents = [];
+    }
+
+    if (els.editorInputFileContainer) {
+      els.editorInputFileContainer.style.display = isFile ? "block" : "none";
+    }
+    if (els.editorInputTextareaContainer) {
+      els.editorInputTextareaContainer.style.display = state.editor.inputMethod === "textarea" ? "block" : "none";
+    }
+    if (els.editorInputSheetContainer) {
+      els.editorInputSheetContainer.style.display = isSheet ? "block" : "none";
+    }
+    if (els.editorInputYaqeenScanContainer) {
+      els.editorInputYaqeenScanContainer.style.display = isYaqeenScan ? "block" : "none";
+    }
+    if (els.editorInputSearchPickContainer) {
+      els.editorInputSearchPickContainer.style.display = isSearchPick ? "block" : "none";
+    }
+
+    if (isSearchPick) {
+      ensurePickSearchRows();
+      renderEditorChosenList();
+      if (els.editorPickSearch) els.editorPickSearch.value = "";
+      if (els.editorPickResults) els.editorPickResults.innerHTML = "";
+    }
+
+    syncEditorUiFromState();
+    updateWizardUI();
+    void refreshGradeTableMapping();
+  }
+
+  function handleEditorInputChanged() {
+    const f = els.editorInputTxt?.files?.[0] || null;
+    state.editor.inputFileName = f ? f.name : "";
+    syncEditorUiFromState();
+    updateWizardUI();
+    void refreshGradeTableMapping();
+  }
+
+  async function handleEditorInputSheetFileChanged() {
+    const file = els.editorInputSheetFile?.files?.[0] || null;
+    const ed = state.editor;
+    editorInputWorkbook = null;
+    editorInputTable = null;
+    ed.inputSheet = { fileName: file ? file.name : "", sheetName: "", columns: { idCol: -1, nameCol: -1, valueCol: -1, groupCol: -1 } };
+    try {
+      if (file) {
+        // CSV is read as text so leading zeros and UTF-8 names survive
+        const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+        editorInputWorkbook = readInputWorkbook(isCsv ? await readFileAsUnicodeText(file) : await readFileAsArrayBuffer(file));
+        loadInputSheet(editorInputWorkbook.SheetNames[0] || "");
+      }
+    } catch (e) {
+      const msg = e instanceof ValidationError || e instanceof FileError || e instanceof ProcessingError ? e.message : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    }
+    renderInputSheetColumns();
+    updateWizardUI();
+  }
+
+  // Read one sheet of the input file and pre-select its columns
+  function loadInputSheet(sheetName) {
+    const ed = state.editor;
+    editorInputTable = readInputTable(editorInputWorkbook, sheetName, ed.idProfile);
+    ed.inputSheet.sheetName = sheetName;
+    ed.inputSheet.columns = guessInputTableColumns(editorInputTable, ed.idProfile);
+    setEditorStatus(`Input file: ${editorInputTable.rows.length} rows in "${sheetName}".`, "ok");
+  }
+
+  function renderInputSheetColumns() {
+    const ed = state.editor;
+    if (els.editorInputSheetColumns) els.editorInputSheetColumns.hidden = !editorInputTable;
+    if (!editorInputTable) return;
+    if (els.editorInputSheetName) {
+      els.editorInputSheetName.innerHTML = "";
+      for (const name of editorInputWorkbook?.SheetNames || []) els.editorInputSheetName.appendChild(new Option(name, name));
+      els.editorInputSheetName.value = ed.inputSheet.sheetName;
+      els.editorInputSheetName.disabled = (editorInputWorkbook?.SheetNames || []).length < 2;
+    }
+    const selects = [
+      [els.editorInputSheetIdCol, "idCol", "(Choose column)"],
+      [els.editorInputSheetNameCol, "nameCol", "(None)"],
+      [els.editorInputSheetValueCol, "valueCol", "(None)"],
+      [els.editorInputSheetGroupCol, "groupCol", "(None)"],
+    ];
+    for (const [select, field, emptyLabel] of selects) {
+      if (!select) continue;
+      select.innerHTML = "";
+      select.appendChild(new Option(emptyLabel, "-1"));
+      editorInputTable.headers.forEach((h, i) => {
+        const example = editorInputTable.rows.find((r) => r[i])?.[i] || "";
+        select.appendChild(new Option(example ? `${h} (e.g. ${example})` : h, String(i)));
+      });
+      select.value = String(ed.inputSheet.columns[field] ?? -1);
+    }
+  }
+
+  function handleEditorInputSheetColumnsChanged(e) {
+    const field = e?.target?.dataset?.field;
+    if (!field || !editorInputWorkbook) return;
+    const ed = state.editor;
+    try {
+      if (field === "sheetName") {
+        loadInputSheet(String(e.target.value));
+        renderInputSheetColumns();
+      } else {
+        ed.inputSheet.columns = { ...ed.inputSheet.columns, [field]: Number.parseInt(String(e.target.value), 10) };
+      }
+    } catch (err) {
+      const msg = err instanceof FileError ? err.message : `Unexpected error: ${err?.message || String(err)}`;
+      setEditorStatus(msg, "error");
+      editorInputTable = null;
+      renderInputSheetColumns();
+    }
+    updateWizardUI();
+  }
+
+  // Late value choices follow the attendance values table
+  function syncYaqeenScanOptions() {
+    const opts = state.editor.yaqeenScan;
+    const select = els.editorYaqeenScanLateCode;
+    if (select) {
+      select.innerHTML = "";
+      for (const v of state.editor.attendanceValues || []) {
+        select.appendChild(new Option(`${v.code} — ${v.label} (${v.value})`, v.code));
+      }
+      select.value = opts.lateCode;
+      select.disabled = String(opts.lateAfterMinutes ?? "").trim() === "";
+    }
+    if (els.editorYaqeenScanStart) els.editorYaqeenScanStart.value = opts.sessionStart || "";
+    if (els.editorYaqeenScanLateAfter) els.editorYaqeenScanLateAfter.value = String(opts.lateAfterMinutes ?? "");
+  }
+
+  async function handleEditorYaqeenScanFileChanged() {
+    const file = els.editorYaqeenScanFile?.files?.[0] || null;
+    const ed = state.editor;
+    editorYaqeenScan = null;
+    ed.yaqeenScan = { ...ed.yaqeenScan, fileName: file ? file.name : "" };
+    try {
+      if (file) {
+        const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+        const wb = readInputWorkbook(isCsv ? await readFileAsUnicodeText(file) : await readFileAsArrayBuffer(file));
+        editorYaqeenScan = readYaqeenScanExport(wb, file.name, ed.idProfile);
+        const { course, date, submissions } = editorYaqeenScan;
+        const times = submissions.map((s) => s.minute).filter((m) => m !== null);
+        const first = times.length ? ` First submission at ${formatClockMinutes(Math.min(...times))}.` : "";
+        setEditorStatus(`YaqeenScan: ${course}${date ? ` (${date})` : ""}, ${submissions.length} submissions.${first}`, "ok");
+      }
+    } catch (e) {
+      const msg = e instanceof ValidationError || e instanceof FileError || e instanceof ProcessingError ? e.message : `Unexpected error: ${e?.message || String(e)}`;
+      setEditorStatus(msg, "error");
+    }
+    updateWizardUI();
+  }
+
+  function handleEditorYaqeenScanOptionsChanged(e) {
+    const field = e?.target?.dataset?.field;
+    if (!field) return;
+    state.editor.yaqeenScan = { ...state.editor.yaqeenScan, [field]: String(e.target.value ?? "").trim() };
+    syncYaqeenScanOptions();
+  }
+
+  function handleEditorTextareaChanged() {
+    const textarea = els.editorInputTextarea;
+    if (!textarea) return;
+
+    const content = String(textarea.value || "").trim();
+    state.editor.inputTextContent = content || null;
+
+    updateWizardUI();
+    void refreshGradeTableMapping();
+  }
+
+  function ensurePickSearchRows() {
+    if (editorSearchRows.length > 0) return;
+    try {
+      const wb = ensureWorkbookLoadedForEditor();
+      const ed = state.editor;
+      const scope = { mode: ed.scopeMode, sheetName: ed.selectedSheetName };
+      editorSearchRows = buildStudentSearchRows(wb, scope, state.editor.idProfile, state.editor.sheetLayouts);
+    } catch (e) {
+      editorSearchRows = [];
+    }
+  }
+
+  function renderEditorChosenList() {
+    const container = els.editorChosenList;
+    const emptyEl = els.editorChosenListEmpty;
+    if (!container) return;
+    const chosen = state.editor.chosenStudents || [];
+    const taskType = state.editor.taskType || "attendance";
+
+    if (emptyEl) {
+      emptyEl.style.display = chosen.length === 0 ? "block" : "none";
+    }
+
+    container.innerHTML = "";
+    chosen.forEach((s, index) => {
+      const row = document.createElement("div");
+      row.className = "chosenList__item";
+      row.dataset.index = String(index);
+      const id = String(s.id || "");
+      const name = String(s.name || "").trim() || "—";
+      const grade = taskType !== "attendance" ? String(s.grade ?? "").trim() : "";
+      const text = taskType !== "attendance" && grade
+        ? `${id} — ${name} — ${grade}`
+        : `${id} — ${name}`;
+      const span = document.createElement("span");
+      span.className = "chosenList__text";
+      span.textContent = text;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn--ghost chosenList__remove";
+      btn.textContent = "Remove";
+      btn.dataset.index = String(index);
+      btn.setAttribute("aria-label", `Remove ${id} from list`);
+      row.appendChild(span);
+      row.appendChild(btn);
+      container.appendChild(row);
+    });
+  }
+
+  function handleEditorPickSearchChanged() {
+    if (!els.editorPickSearch || !els.editorPickResults) return;
+    const q = normalizeDigits(els.editorPickSearch.value || "").trim().toLowerCase();
+    els.editorPickResults.innerHTML = "";
+    if (!q) return;
+
+    ensurePickSearchRows();
+    if (editorSearchRows.length === 0) {
+      els.editorPickResults.innerHTML = '<div class="searchResults__empty">No student data. Load workbook and select sheet/column first.</div>';
+      return;
     }
 
     const results = [];
@@ -1159,7 +2575,8 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
 
     editorPickGradePending = { id, name, sheet, row1 };
     if (els.editorPickGradeDialogTitle) {
-      els.editorPickGradeDialogTitle.textContent = `Grade for ${id} — ${name}`;
+      els.editorPickGradeDialogTitle.textContent =
+        taskType === "accumulate" ? `Points to add for ${id} — ${name}` : `Grade for ${id} — ${name}`;
     }
     if (els.editorPickGradeValue) {
       els.editorPickGradeValue.value = "";
@@ -1170,7 +2587,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
 
   function handleEditorPickGradeAdd() {
     if (!editorPickGradePending) return;
-    const grade = String(els.editorPickGradeValue?.value ?? "").trim();
+    const grade = normalizeGradeText(els.editorPickGradeValue?.value ?? "");
     if (!grade) {
       setEditorStatus("Please enter a grade.", "error");
       return;
@@ -1212,6 +2629,21 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     editorPickGradePending = null;
   }
 
+  /**
+   * Meeting report rows show the minutes attended; rows from the Review section start discarded,
+   * so only students past the threshold are written unless restored.
+   * @param {any[]} rows - preview rows (`index` is the 1-based position in `idEntries`)
+   * @param {any[]} idEntries - parseMeetingReport id entries, in input order
+   */
+  function markMeetingReportRows(rows, idEntries) {
+    for (const row of rows) {
+      const entry = row.match_status === "absent" ? null : idEntries[row.index - 1];
+      if (!entry || entry.minutes == null) continue;
+      row.note = [row.note, `In the meeting for ${entry.minutes} min.`].filter(Boolean).join(" ");
+      if (entry.review) row.discarded = true;
+    }
+  }
+
   async function handleEditorBuildPreview() {
     try {
       setEditorStatus("");
@@ -1230,6 +2662,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       let preview;
       let orderedEntries = null;
       let idCounts = null;
+      let inputNote = ""; // extra line for the status message
 
       if (ed.inputMethod === "searchPick") {
         const chosen = ed.chosenStudents || [];
@@ -1253,6 +2686,15 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
             orderedAttendanceIds: orderedIds,
             attendanceIdsSet: targetIdsSet,
             gradesRows: null,
+            idProfile: ed.idProfile,
+            layouts: ed.sheetLayouts,
+            columnGroups: ed.columnGroups,
+            overwritePolicy: ed.overwritePolicy,
+            accumulateDuplicates: ed.accumulateDuplicates,
+            markAbsent: ed.markAbsent,
+            absentValue: ed.absentValue,
+            attendanceValues: ed.attendanceValues,
+            gradeRules: ed.gradeRules,
           });
           ed.originalInputData = { type: "attendance", orderedEntries, idsSet: targetIdsSet };
         } else {
@@ -1272,19 +2714,30 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
             scope,
             columnKey: colKey,
             selectedLocation: ed.selectedLocation || undefined,
-            taskType: "grade",
+            taskType: task,
             orderedAttendanceIds: null,
             attendanceIdsSet: null,
             gradesRows: rows,
+            idProfile: ed.idProfile,
+            layouts: ed.sheetLayouts,
+            columnGroups: ed.columnGroups,
+            overwritePolicy: ed.overwritePolicy,
+            accumulateDuplicates: ed.accumulateDuplicates,
+            markAbsent: ed.markAbsent,
+            absentValue: ed.absentValue,
+            attendanceValues: ed.attendanceValues,
+            gradeRules: ed.gradeRules,
           });
           ed.originalInputData = { type: "grade", orderedEntries, rows };
         }
         ed.previewRows = preview.preview_rows;
+        ed.editHistory = createEditHistory();
+        ed.reportWorkbook = null;
         ed.columnMap = preview.column_map;
         ed.selectedColumn = preview.selected_column;
         ed.orderedEntries = orderedEntries;
         ed.idCounts = idCounts;
-        editorSearchRows = buildStudentSearchRows(wb, scope);
+        editorSearchRows = buildStudentSearchRows(wb, scope, state.editor.idProfile, state.editor.sheetLayouts);
         if (els.editorPreviewSheetFilter) {
           els.editorPreviewSheetFilter.disabled = false;
           const sheetSet = new Set();
@@ -1314,26 +2767,31 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         return;
       }
 
-      // Get input text - either from file or textarea
-      let inputText;
-      if (ed.inputMethod === "file") {
-        const inputFile = els.editorInputTxt?.files?.[0] || null;
-        if (!inputFile) throw new ValidationError("Input .txt file is required.");
-        inputText = await readFileAsText(inputFile);
-      } else {
-        inputText = ed.inputTextContent;
-        if (!inputText || !inputText.trim()) {
-          throw new ValidationError("Please enter input data in the text area.");
-        }
-      }
+      // Get input text - either from file or textarea. An input spreadsheet is turned into the
+      // same parsed structure below instead.
+      const fromSheet = ed.inputMethod === "sheetFile";
+      const fromScan = ed.inputMethod === "yaqeenScan";
+      if (fromSheet && !editorInputTable) throw new ValidationError("Upload the input spreadsheet first.");
+      if (fromScan && !editorYaqeenScan) throw new ValidationError("Upload the YaqeenScan export first.");
+      if (fromScan && task !== "attendance") throw new ValidationError("YaqeenScan exports are attendance input; choose the Attendance task.");
+      const inputText = fromSheet || fromScan ? "" : await readEditorInputText();
+      const sheetOptions = { idProfile: ed.idProfile, attendanceValues: ed.attendanceValues };
 
       if (task === "attendance") {
-        const parsed = parseStudentIdsText(inputText);
+        const parsed = fromSheet
+          ? inputTableToEntries(editorInputTable, ed.inputSheet.columns, task, sheetOptions)
+          : fromScan
+          ? yaqeenScanToEntries(editorYaqeenScan, { ...ed.yaqeenScan, attendanceValues: ed.attendanceValues })
+          : ed.meetingReport
+          ? parseMeetingReport(inputText, ed.idProfile, ed.meetingReportOptions)
+          : parseStudentIdsText(inputText, ed.idProfile, {
+              withNames: ed.nameMatching,
+              attendanceValues: ed.attendanceValues,
+            });
         orderedEntries = parsed.orderedEntries; // Store for delimiter rendering
         idCounts = parsed.idCounts; // Extract idCounts for duplicate detection
-        const orderedIds = parsed.orderedEntries
-          .filter((x) => x && typeof x === "object" && x.type === "id")
-          .map((x) => String(x.id));
+        const idEntries = parsed.orderedEntries.filter((x) => x && typeof x === "object" && x.type === "id");
+        const orderedIds = idEntries.map((x) => String(x.id)).filter(Boolean);
         preview = computeEditorPreview({
           workbook: wb,
           scope,
@@ -1341,9 +2799,39 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
           selectedLocation: ed.selectedLocation || undefined,
           taskType: "attendance",
           orderedAttendanceIds: orderedIds,
-          attendanceIdsSet: parsed.targetIdsSet,
+          attendanceIdsSet: parsed.targetIdsSet.size ? parsed.targetIdsSet : null,
+          attendanceRows: idEntries.map((x) => ({
+            id: String(x.id || ""),
+            name: x.name || "",
+            code: x.code || "",
+            value: x.value || "",
+            week: x.week || "",
+            group: x.group || "",
+          })),
           gradesRows: null,
+          idProfile: ed.idProfile,
+          layouts: ed.sheetLayouts,
+          columnGroups: ed.columnGroups,
+          overwritePolicy: ed.overwritePolicy,
+          accumulateDuplicates: ed.accumulateDuplicates,
+          markAbsent: ed.markAbsent,
+          absentValue: ed.absentValue,
+          attendanceValues: ed.attendanceValues,
+          gradeRules: ed.gradeRules,
         });
+        if (parsed.meetingSummary) {
+          const { present, review, below } = parsed.meetingSummary;
+          markMeetingReportRows(preview.preview_rows, idEntries);
+          inputNote = ` Meeting report: ${present} present, ${review} to review (discarded), ${below} below the review margin.`;
+        }
+        if (fromScan) {
+          // students check themselves in, so a different name on a matched ID may be a friend submitting
+          const mismatches = flagNameMismatches(preview.preview_rows);
+          const late = parsed.orderedEntries.filter((x) => x.type === "id" && x.code && parsed.lateCutoff).length;
+          inputNote =
+            (parsed.lateCutoff ? ` Late after ${parsed.lateCutoff}: ${late}.` : "") +
+            (mismatches ? ` Name mismatches (possible proxy submissions): ${mismatches}.` : "");
+        }
 
         // Store original parsed data for download functionality
         ed.originalInputData = {
@@ -1352,27 +2840,33 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
           idsSet: parsed.targetIdsSet,
         };
       } else {
-        const parsed = parseGradesText(inputText);
+        // A score table becomes one grade row per student per mapped column
+        const gradeTable = !fromSheet && ed.gradeTable ? parseGradeTableText(inputText, ed.idProfile) : null;
+        const parsed = fromSheet
+          ? inputTableToEntries(editorInputTable, ed.inputSheet.columns, task, sheetOptions)
+          : gradeTable
+          ? gradeTableToRows(gradeTable, ed.gradeTableMapping)
+          : parseGradesText(inputText, ed.idProfile, { withNames: ed.nameMatching });
         orderedEntries = parsed.orderedEntries; // Store for delimiter rendering
-        // Calculate idCounts from orderedEntries for grades - normalize IDs for consistent matching
-        idCounts = {};
-        for (const entry of parsed.orderedEntries || []) {
-          if (entry && typeof entry === "object" && entry.type === "id" && entry.id) {
-            const sid = normalizeId(entry.id);
-            if (sid) {
-              idCounts[sid] = (idCounts[sid] || 0) + 1;
-            }
-          }
-        }
+        idCounts = parsed.idCounts; // per week for week-tagged input
         preview = computeEditorPreview({
           workbook: wb,
           scope,
           columnKey: colKey,
           selectedLocation: ed.selectedLocation || undefined,
-          taskType: "grade",
+          taskType: task,
           orderedAttendanceIds: null,
           attendanceIdsSet: null,
           gradesRows: parsed.rows, // Use rows array from parsed result
+          idProfile: ed.idProfile,
+          layouts: ed.sheetLayouts,
+          columnGroups: ed.columnGroups,
+          overwritePolicy: ed.overwritePolicy,
+          accumulateDuplicates: ed.accumulateDuplicates,
+          markAbsent: ed.markAbsent,
+          absentValue: ed.absentValue,
+          attendanceValues: ed.attendanceValues,
+          gradeRules: ed.gradeRules,
         });
 
         // Store original parsed data for download functionality
@@ -1380,15 +2874,18 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
           type: "grade",
           orderedEntries: parsed.orderedEntries,
           rows: parsed.rows,
+          gradeTable, // score table input is downloaded as the table it was
         };
       }
 
       ed.previewRows = preview.preview_rows;
+      ed.editHistory = createEditHistory();
+      ed.reportWorkbook = null;
       ed.columnMap = preview.column_map;
       ed.selectedColumn = preview.selected_column;
       ed.orderedEntries = orderedEntries; // Store delimiter information (works for both attendance and grades)
       ed.idCounts = idCounts; // Store idCounts for duplicate highlighting
-      editorSearchRows = buildStudentSearchRows(wb, scope);
+      editorSearchRows = buildStudentSearchRows(wb, scope, state.editor.idProfile, state.editor.sheetLayouts);
 
       // enable preview sheet filter
       if (els.editorPreviewSheetFilter) {
@@ -1419,7 +2916,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
 
       renderEditorPreview();
       syncEditorUiFromState();
-      setEditorStatus("Preview generated. Review carefully, then download when ready.", "ok");
+      setEditorStatus(`Preview generated. Review carefully, then download when ready.${inputNote}`, "ok");
       
       // Auto-switch to Reports view
       switchView("report");
@@ -1466,7 +2963,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         const wb = ensureWorkbookLoadedForEditor();
         const ed = state.editor;
         const scope = { mode: ed.scopeMode, sheetName: ed.selectedSheetName };
-        editorSearchRows = buildStudentSearchRows(wb, scope);
+        editorSearchRows = buildStudentSearchRows(wb, scope, state.editor.idProfile, state.editor.sheetLayouts);
       } catch (e) {
         console.error("Failed to build search rows:", e);
         editorSearchRows = [];
@@ -1475,6 +2972,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     
     els.editorFixSearch.value = "";
     els.editorFixResults.innerHTML = "";
+    renderFixSuggestions(idx);
     els.editorFixDialog.showModal();
     els.editorFixSearch.focus();
   }
@@ -1483,7 +2981,9 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     editorActiveGradeIndex = idx;
     if (!els.editorGradeDialog || !els.editorGradeValue) return;
     const row = (state.editor.previewRows || []).find((r) => Number(r.index) === Number(idx));
-    els.editorGradeValue.value = row ? String(row.new_value ?? "") : "";
+    // Accumulate rows edit the delta, not the resulting total
+    const value = row?.accumulate ? row.accumulate.delta ?? row.new_value : row?.new_value;
+    els.editorGradeValue.value = row ? String(value ?? "") : "";
     els.editorGradeDialog.showModal();
     els.editorGradeValue.focus();
   }
@@ -1505,11 +3005,50 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       openGradeDialogForIndex(idx);
       return;
     }
+    if (action === "resolve") {
+      openResolveDialogForIndex(idx);
+      return;
+    }
+    if (action === "accept") {
+      const row = state.editor.previewRows.find((r) => Number(r.index) === idx);
+      if (row && row.match_status === "suggested") {
+        recordEdit(`Row ${idx}: accepted name suggestion ${row.student_id} (${row.student_name || "no name"})`, () => {
+          row.match_status = "manuallyFixed";
+          row.note = `Accepted name suggestion (${Math.round((row.suggestion_score || 0) * 100)}%) for "${row.input_name || ""}".`;
+          refreshAccumulatedRows();
+        });
+        renderEditorPreview();
+      }
+      return;
+    }
     if (action === "wrong") {
       const row = state.editor.previewRows.find((r) => Number(r.index) === idx);
-      if (row) {
-        row.match_status = "ambiguous";
-        row.note = "Marked as wrong match by user.";
+      if (row && row.match_status === "suggested") {
+        // Rejecting a name suggestion leaves the line unmatched (use Fix to pick the right student)
+        recordEdit(`Row ${idx}: rejected name suggestion ${row.student_id}`, () => {
+          if (row.conflict) row.new_value = row.conflict.input;
+          delete row.conflict;
+          Object.assign(row, {
+            sheet: "",
+            row_index1: null,
+            student_id: row.input_id,
+            student_name: "",
+            cell: "",
+            col_letter: "",
+            old_value: "",
+            match_status: "notFound",
+            note: "Name suggestion rejected by user.",
+          });
+          refreshAccumulatedRows();
+        });
+        renderEditorPreview();
+      } else if (row) {
+        recordEdit(`Row ${idx}: marked as wrong match`, () => {
+          // an invalid grade stays invalid; it comes back as ambiguous once corrected
+          if (row.match_status === "invalid") row.valid_status = "ambiguous";
+          else row.match_status = "ambiguous";
+          row.note = "Marked as wrong match by user.";
+        });
         renderEditorPreview();
       }
     }
@@ -1517,7 +3056,10 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       const row = state.editor.previewRows.find((r) => Number(r.index) === idx);
       if (row) {
         // Toggle discarded state
-        row.discarded = !row.discarded;
+        recordEdit(`Row ${idx}: ${row.discarded ? "restored" : "discarded"}`, () => {
+          row.discarded = !row.discarded;
+          refreshAccumulatedRows();
+        });
         renderEditorPreview();
       }
     }
@@ -1525,7 +3067,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
 
   function handleEditorFixSearchChanged() {
     if (!els.editorFixSearch || !els.editorFixResults) return;
-    const q = String(els.editorFixSearch.value || "").trim().toLowerCase();
+    const q = normalizeDigits(els.editorFixSearch.value || "").trim().toLowerCase();
     els.editorFixResults.innerHTML = "";
     if (!q) return;
 
@@ -1535,7 +3077,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         const wb = ensureWorkbookLoadedForEditor();
         const ed = state.editor;
         const scope = { mode: ed.scopeMode, sheetName: ed.selectedSheetName };
-        editorSearchRows = buildStudentSearchRows(wb, scope);
+        editorSearchRows = buildStudentSearchRows(wb, scope, state.editor.idProfile, state.editor.sheetLayouts);
       } catch (e) {
         console.error("Failed to build search rows:", e);
         els.editorFixResults.innerHTML = '<div class="searchResults__empty">Unable to load student data. Please regenerate the preview.</div>';
@@ -1557,26 +3099,48 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     }
 
     for (const r of results) {
-      const item = document.createElement("div");
-      item.className = "searchResults__item";
-      item.dataset.sheet = r.sheet;
-      item.dataset.row1 = String(r.row1);
-      item.dataset.id = r.id;
-      item.dataset.name = r.name;
+      els.editorFixResults.appendChild(createFixResultItem(r, `Sheet: ${r.sheet} | Row: ${r.row1}`));
+    }
+  }
 
-      const main = document.createElement("div");
-      main.className = "searchResults__main";
-      const line1 = document.createElement("div");
-      line1.innerHTML = `<span class="searchResults__id">${escapeHtml(r.id)}</span> — ${escapeHtml(r.name)}`;
-      const meta = document.createElement("div");
-      meta.className = "searchResults__meta";
-      meta.textContent = `Sheet: ${r.sheet} | Row: ${r.row1}`;
-      main.appendChild(line1);
-      main.appendChild(meta);
+  function createFixResultItem(r, metaText) {
+    const item = document.createElement("div");
+    item.className = "searchResults__item";
+    item.dataset.sheet = r.sheet;
+    item.dataset.row1 = String(r.row1);
+    item.dataset.id = r.id;
+    item.dataset.name = r.name;
+
+    const main = document.createElement("div");
+    main.className = "searchResults__main";
+    const line1 = document.createElement("div");
+    line1.innerHTML = `<span class="searchResults__id">${escapeHtml(r.id)}</span> — ${escapeHtml(r.name)}`;
+    const meta = document.createElement("div");
+    meta.className = "searchResults__meta";
+    meta.textContent = metaText;
+    main.appendChild(line1);
+    main.appendChild(meta);
+
+    item.appendChild(main);
+    return item;
+  }
 
-      item.appendChild(main);
-      els.editorFixResults.appendChild(item);
-    }
+  // Near-miss IDs found by computeEditorPreview, offered as one-click fixes
+  function renderFixSuggestions(idx) {
+    if (!els.editorFixSuggestions) return;
+    const row = (state.editor.previewRows || []).find((r) => Number(r.index) === Number(idx));
+    const suggestions = Array.isArray(row?.id_suggestions) ? row.id_suggestions : [];
+    els.editorFixSuggestions.innerHTML = "";
+    for (const s of suggestions) {
+      const edits = s.distance === 1 ? "1 edit" : `${s.distance} edits`;
+      const item = createFixResultItem(
+        { sheet: s.sheet, row1: s.row_index1, id: s.student_id, name: s.student_name || "" },
+        `${edits} from ${row.input_id} | Sheet: ${s.sheet} | Row: ${s.row_index1}`
+      );
+      item.dataset.suggestion = "1";
+      els.editorFixSuggestions.appendChild(item);
+    }
+    if (els.editorFixSuggestionsContainer) els.editorFixSuggestionsContainer.hidden = suggestions.length === 0;
   }
 
   function handleEditorFixResultClicked(e) {
@@ -1594,25 +3158,33 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     const ws = wb.Sheets[sheet];
     if (!ws) return;
 
-    // find column location for this sheet
-    const colLoc = (state.editor.selectedColumn?.locations || []).find((l) => String(l.sheet) === sheet);
+    // find column location for this sheet (the row's own week column for week-tagged input)
+    const row = state.editor.previewRows.find((r) => Number(r.index) === idx);
+    const colLoc = row?.target_key
+      ? (state.editor.columnMap || []).find((m) => m.key === row.target_key && String(m.sheet) === sheet)
+      : (state.editor.selectedColumn?.locations || []).find((l) => String(l.sheet) === sheet);
     if (!colLoc) return;
+    const col1 = colLoc.col1 ?? window.XLSX.utils.decode_col(colLoc.col_letter) + 1;
 
-    const addr = window.XLSX.utils.encode_cell({ r: row1 - 1, c: colLoc.col1 - 1 });
+    const addr = window.XLSX.utils.encode_cell({ r: row1 - 1, c: col1 - 1 });
     const cell = ws[addr];
     const oldVal = cell?.v ?? "";
 
-    const row = state.editor.previewRows.find((r) => Number(r.index) === idx);
     if (row) {
-      row.sheet = sheet;
-      row.row_index1 = row1;
-      row.student_id = id;
-      row.student_name = name;
-      row.col_letter = window.XLSX.utils.encode_col(colLoc.col1 - 1);
-      row.cell = addr;
-      row.old_value = oldVal === null || oldVal === undefined ? "" : oldVal;
-      row.match_status = "manuallyFixed";
-      row.note = "Manually fixed by user.";
+      recordEdit(`Row ${idx}: manually fixed to ${id} on Sheet ${sheet}`, () => {
+        row.sheet = sheet;
+        row.row_index1 = row1;
+        row.student_id = id;
+        row.student_name = name;
+        row.col_letter = window.XLSX.utils.encode_col(col1 - 1);
+        row.cell = addr;
+        row.old_value = oldVal === null || oldVal === undefined ? "" : oldVal;
+        row.match_status = "manuallyFixed";
+        row.note = node.dataset.suggestion ? `Fixed to near-miss ID (input ${row.input_id}).` : "Manually fixed by user.";
+        if (row.accumulate) refreshAccumulatedRows();
+        else if (row.grade_error) applyGradeCheckToRow(row, { value: row.new_value, error: row.grade_error });
+        else applyOverwritePolicyToRow(row);
+      });
     }
 
     if (els.editorFixDialog) els.editorFixDialog.close();
@@ -1620,17 +3192,213 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     renderEditorPreview();
   }
 
+  function openResolveDialogForIndex(idx) {
+    const row = (state.editor.previewRows || []).find((r) => Number(r.index) === Number(idx));
+    if (!row || !Array.isArray(row.candidates) || !els.editorResolveDialog || !els.editorResolveCandidates) return;
+    editorActiveResolveIndex = idx;
+    els.editorResolveCandidates.innerHTML = "";
+    row.candidates.forEach((c, i) => {
+      const item = createFixResultItem(
+        { sheet: c.sheet, row1: c.row_index1, id: row.input_id, name: c.student_name || "(no name)" },
+        `Sheet: ${c.sheet} | Row: ${c.row_index1} | ${c.cell} = ${c.old_value === "" ? "empty" : c.old_value}`
+      );
+      item.dataset.candidate = String(i);
+      if (row.resolution === "one" && c.sheet === row.sheet && c.cell === row.cell) item.classList.add("is-active");
+      els.editorResolveCandidates.appendChild(item);
+    });
+    // Accumulate totals are chained per cell, so one delta cannot be added to several cells here
+    const isAccumulate = state.editor.taskType === "accumulate";
+    if (els.btnEditorResolveAll) {
+      els.btnEditorResolveAll.disabled = isAccumulate;
+      els.btnEditorResolveAll.title = isAccumulate ? "Not available for accumulate runs; pick one row." : "";
+    }
+    if (els.editorResolveInfo) {
+      els.editorResolveInfo.textContent = `Input ID ${row.input_id} is on ${row.candidates.length} rows. Click the row it belongs to, write the value to every row, or discard the input line.`;
+    }
+    els.editorResolveDialog.showModal();
+  }
+
+  // Re-check a row after its target changed, as the Fix dialog does
+  function recheckResolvedRow(row) {
+    if (row.accumulate) refreshAccumulatedRows();
+    else if (row.grade_error) applyGradeCheckToRow(row, { value: row.new_value, error: row.grade_error });
+    else applyOverwritePolicyToRow(row);
+  }
+
+  function finishResolve() {
+    editorActiveResolveIndex = null;
+    if (els.editorResolveDialog) els.editorResolveDialog.close();
+    renderEditorPreview();
+  }
+
+  function activeResolveRow() {
+    if (!Number.isFinite(editorActiveResolveIndex)) return null;
+    return (state.editor.previewRows || []).find((r) => Number(r.index) === Number(editorActiveResolveIndex)) || null;
+  }
+
+  function handleEditorResolveCandidateClicked(e) {
+    const node = e?.target?.closest?.(".searchResults__item");
+    const row = activeResolveRow();
+    const c = row?.candidates?.[Number(node?.dataset?.candidate)];
+    if (!c) return;
+    recordEdit(`Row ${row.index}: ambiguous ID resolved to Sheet ${c.sheet} row ${c.row_index1}`, () => {
+      Object.assign(row, {
+        sheet: c.sheet,
+        row_index1: c.row_index1,
+        student_name: c.student_name,
+        cell: c.cell,
+        col_letter: c.col_letter,
+        old_value: c.old_value,
+        match_status: "manuallyFixed",
+        resolution: "one",
+        note: `Ambiguous ID resolved to ${describeMatchCandidate(c)}.`,
+      });
+      recheckResolvedRow(row);
+    });
+    finishResolve();
+  }
+
+  function handleEditorResolveAllClicked() {
+    const row = activeResolveRow();
+    if (!row || state.editor.taskType === "accumulate") return;
+    recordEdit(`Row ${row.index}: ${row.input_id} written to all ${row.candidates.length} matching rows`, () => {
+      const inputValue = row.conflict ? row.conflict.input : row.new_value;
+      // Each extra cell gets the run's overwrite policy against its own value
+      for (const c of row.candidates) {
+        const decision = resolveOverwrite(c.old_value, inputValue, state.editor.overwritePolicy);
+        c.new_value = decision ? decision.value : inputValue;
+        c.skip = decision ? !decision.conflict.write : false;
+      }
+      Object.assign(row, {
+        match_status: "manuallyFixed",
+        resolution: "all",
+        note: describeWriteToAllNote(row.candidates),
+      });
+      recheckResolvedRow(row);
+    });
+    finishResolve();
+  }
+
+  function handleEditorResolveDiscardClicked() {
+    const row = activeResolveRow();
+    if (!row) return;
+    recordEdit(`Row ${row.index}: ambiguous input line discarded`, () => {
+      row.discarded = true;
+      refreshAccumulatedRows();
+    });
+    finishResolve();
+  }
+
+  // Accumulate runs chain deltas per cell, so any row change can move the totals of its neighbours
+  function refreshAccumulatedRows() {
+    if (String(state.editor.taskType || "") !== "accumulate") return;
+    recomputeAccumulatedRows(state.editor.previewRows, state.editor.accumulateDuplicates);
+  }
+
+  // Re-check the (new) target cell of a row against the run's overwrite policy
+  function applyOverwritePolicyToRow(row) {
+    const inputValue = row.conflict ? row.conflict.input : row.new_value;
+    delete row.conflict;
+    row.new_value = inputValue;
+    const decision = resolveOverwrite(row.old_value, inputValue, state.editor.overwritePolicy);
+    if (!decision) return;
+    row.conflict = decision.conflict;
+    row.new_value = decision.value;
+    row.note = `${row.note} ${decision.note}`;
+  }
+
   function handleEditorGradeSaveClicked() {
     if (!Number.isFinite(editorActiveGradeIndex)) return;
     const idx = Number(editorActiveGradeIndex);
-    const v = String(els.editorGradeValue?.value ?? "").trim();
+    const v = normalizeGradeText(els.editorGradeValue?.value ?? "");
     const row = state.editor.previewRows?.find((r) => Number(r.index) === idx);
-    if (row) row.new_value = v;
+    if (row?.accumulate) {
+      const delta = Number(v);
+      if (!v || !Number.isFinite(delta)) {
+        setEditorStatus("Enter a number to add (use a minus sign to subtract).", "error");
+        return;
+      }
+      recordEdit(`Row ${idx}: points to add set to ${delta}`, () => {
+        row.accumulate.delta = delta;
+        refreshAccumulatedRows();
+      });
+    } else if (row) {
+      recordEdit(`Row ${idx}: ${state.editor.taskType === "grade" ? "grade" : "value"} edited to ${v === "" ? "empty" : v}`, () => {
+        if (state.editor.taskType === "grade") {
+          const key = row.target_key || state.editor.selectedColumn?.key || state.editor.selectedColumnKey;
+          applyGradeCheckToRow(row, checkGradeValue(v, findGradeRule(state.editor.gradeRules, key)));
+        } else {
+          row.new_value = v;
+        }
+        // An explicit grade settles an overwrite conflict: write exactly this value
+        if (row.conflict) Object.assign(row.conflict, { resolution: "edited", write: true });
+      });
+      if (state.editor.taskType === "grade" && row.grade_error) setEditorStatus(`Row ${row.index}: ${row.grade_error}`, "error");
+    }
     editorActiveGradeIndex = null;
     if (els.editorGradeDialog) els.editorGradeDialog.close();
     renderEditorPreview();
   }
 
+  // Preview edits go through the history so Ctrl+Z / Ctrl+Y and the history panel can step back and forth
+  function recordEdit(label, mutate) {
+    const ed = state.editor;
+    if (!ed.editHistory) ed.editHistory = createEditHistory();
+    recordPreviewEdit(ed.editHistory, ed.previewRows, label, mutate);
+  }
+
+  function renderEditHistory() {
+    const history = state.editor.editHistory;
+    const steps = history?.steps || [];
+    const position = history?.position ?? 0;
+    if (els.btnEditorUndo) els.btnEditorUndo.disabled = position <= 0;
+    if (els.btnEditorRedo) els.btnEditorRedo.disabled = position >= steps.length;
+    if (els.editorHistoryCount) els.editorHistoryCount.textContent = steps.length ? `(${position}/${steps.length})` : "";
+    if (!els.editorHistoryList) return;
+    els.editorHistoryList.innerHTML = "";
+    if (!steps.length) {
+      els.editorHistoryList.innerHTML = '<li class="hint">No edits yet. Fix, Accept, Wrong, Discard, Resolve and Edit grade steps appear here.</li>';
+      return;
+    }
+    steps.forEach((step, i) => {
+      const li = document.createElement("li");
+      li.className = i < position ? "historyList__item" : "historyList__item is-undone";
+      li.textContent = step.label;
+      const at = new Date(step.at);
+      if (!Number.isNaN(at.getTime())) li.title = at.toLocaleString();
+      els.editorHistoryList.appendChild(li);
+    });
+  }
+
+  function stepEditHistory(direction) {
+    const ed = state.editor;
+    if (!Array.isArray(ed.previewRows) || !ed.editHistory) return;
+    const step = direction === "undo" ? undoPreviewEdit(ed.editHistory, ed.previewRows) : redoPreviewEdit(ed.editHistory, ed.previewRows);
+    if (!step) return;
+    renderEditorPreview();
+    showToast(`${direction === "undo" ? "Undone" : "Redone"}: ${step.label}`);
+  }
+
+  function handleEditorUndoClicked() {
+    stepEditHistory("undo");
+  }
+
+  function handleEditorRedoClicked() {
+    stepEditHistory("redo");
+  }
+
+  // Ctrl+Z undoes, Ctrl+Y / Ctrl+Shift+Z redoes on the Report view; text fields keep their own undo
+  function handleEditorHistoryKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = String(e.key || "").toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    if (!els.viewReport?.classList.contains("view--active") || document.querySelector("dialog[open]")) return;
+    const target = e.target;
+    if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(String(target?.tagName || ""))) return;
+    e.preventDefault();
+    stepEditHistory(key === "y" || e.shiftKey ? "redo" : "undo");
+  }
+
   function escapeHtml(s) {
     return String(s ?? "")
       .replaceAll("&", "&amp;")
@@ -1652,7 +3420,45 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     handleEditorXlsxUploadChanged,
     handleEditorLoadFile,
     handleEditorSelectionChanged,
+    handleEditorIdProfileChanged,
+    handleEditorSheetLayoutChanged,
+    handleEditorSheetLayoutClick,
+    handleEditorWeekKindChanged,
+    handleEditorWeeksClick,
+    handleEditorSemesterCalendarChanged,
+    handleEditorColumnGroupsChanged,
+    handleEditorColumnGroupsClick,
+    handleEditorAddColumnGroup,
+    handleEditorTemplateApplySuggested,
+    handleEditorTemplateApply,
+    handleEditorTemplateSave,
+    handleEditorTemplateDelete,
+    handleEditorTemplateExport,
+    handleEditorTemplateImport,
+    loadTemplateProfiles,
+    offerSessionResume,
+    handleSessionsOpen,
+    handleSessionListClicked,
+    handleSessionWipeClicked,
+    handleSessionVisibilityChanged,
     handleEditorTaskChanged,
+    handleEditorNameMatchingChanged,
+    handleEditorGradeTableChanged,
+    handleEditorMeetingReportChanged,
+    handleEditorInputSheetFileChanged,
+    handleEditorInputSheetColumnsChanged,
+    handleEditorYaqeenScanFileChanged,
+    handleEditorYaqeenScanOptionsChanged,
+    handleEditorGradeRulesChanged,
+    handleEditorGradeRulesClick,
+    handleEditorAddGradeRule,
+    handleEditorGradeTableMappingChanged,
+    handleEditorOverwritePolicyChanged,
+    handleEditorMarkAbsentChanged,
+    handleEditorAttendanceValuesChanged,
+    handleEditorAttendanceValuesClick,
+    handleEditorAddAttendanceValue,
+    handleEditorAccumulateDuplicatesChanged,
     handleEditorInputMethodChanged,
     handleEditorInputChanged,
     handleEditorTextareaChanged,
@@ -1666,6 +3472,12 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     handleEditorFixSearchChanged,
     handleEditorFixResultClicked,
     handleEditorGradeSaveClicked,
+    handleEditorResolveCandidateClicked,
+    handleEditorResolveAllClicked,
+    handleEditorResolveDiscardClicked,
+    handleEditorUndoClicked,
+    handleEditorRedoClicked,
+    handleEditorHistoryKeydown,
     handleDelimiterFilterChanged,
 
     // Search & pick
@@ -1801,7 +3613,9 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
               row1ByKey.set(key, {
                 key,
                 headerText,
+                headerPath: headerText,
                 kind: "unknown",
+                kindLabel: "Unknown",
                 occurrences: 1,
                 locations: [loc],
               });
@@ -1820,18 +3634,21 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     }
     
     // Combine results from rows 2-5 and row 1
-    // Use a map keyed by header text to properly merge
+    // Use a map keyed by column key so equal headers of different groups stay apart
     const allOptionsMap = new Map();
+    /** @type {Map<string, any>} header path -> first option, to merge row 1 into */
+    const byPath = new Map();
     
     // First, add all options from rows 2-5
     for (const opt of opts) {
-      allOptionsMap.set(opt.headerText.toLowerCase(), opt);
+      allOptionsMap.set(opt.key.toLowerCase(), opt);
+      if (!byPath.has(opt.headerPath.toLowerCase())) byPath.set(opt.headerPath.toLowerCase(), opt);
     }
     
     // Then merge row 1 options (avoid duplicating locations already in listColumnOptions row 1)
     for (const row1Opt of row1Options) {
       const headerLower = row1Opt.headerText.toLowerCase();
-      const existing = allOptionsMap.get(headerLower);
+      const existing = byPath.get(headerLower);
       if (existing) {
         const existingSet = new Set(
           (existing.locations || []).map((l) => `${l.sheet}\t${l.header_row}\t${l.col_letter}`)
@@ -1845,7 +3662,7 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
         }
         existing.occurrences = existing.locations.length;
       } else {
-        allOptionsMap.set(headerLower, row1Opt);
+        allOptionsMap.set(row1Opt.key.toLowerCase(), row1Opt);
       }
     }
     
@@ -1854,8 +3671,8 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
     // Filter options based on search query
     const results = [];
     for (const opt of allOptions) {
-      const headerText = String(opt.headerText || "").toLowerCase();
-      if (headerText.includes(query)) {
+      const headerPath = String(opt.headerPath || opt.headerText || "").toLowerCase();
+      if (headerPath.includes(query)) {
         results.push(opt);
       }
     }
@@ -1884,12 +3701,12 @@ export function createHandlers({ els, state, setStatus, disableRun, switchView }
       item.dataset.locationHeaderRow = String(loc.header_row);
       item.dataset.locationColLetter = loc.col_letter;
 
-      const tag = opt.kind === "unknown" ? "Unknown" : opt.kind === "lecture" ? "Lecture" : "Section";
+      const tag = opt.kindLabel;
       const positionText = `${loc.sheet} (Row ${loc.header_row}, Col ${loc.col_letter})`;
 
       item.innerHTML = `
         <div class="columnSearchResults__main">
-          <div class="columnSearchResults__header">${escapeHtml(opt.headerText)} — ${tag}</div>
+          <div class="columnSearchResults__header">${escapeHtml(opt.headerPath)} — ${escapeHtml(tag)}</div>
           <div class="columnSearchResults__meta">${escapeHtml(positionText)}</div>
         </div>
       `;
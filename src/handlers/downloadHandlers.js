@@ -1,12 +1,58 @@
 import {
+  DEFAULT_HIGHLIGHT_COLORS,
   FileError,
   ProcessingError,
   ValidationError,
   applyEditorEdits,
+  compareGroupedPreviewRows,
+  columnGroupsFromBoundaryKeywords,
+  describeAttendanceValues,
+  describeCellDrift,
+  describeGradeRule,
+  describeMatchCandidate,
+  describeMeetingReportOptions,
+  describeOverwritePolicy,
+  describeSheetLayout,
+  describeStudentIdProfile,
+  normalizeAttendanceValues,
+  normalizeColumnGroups,
+  normalizeGradeRules,
+  normalizeMeetingReportOptions,
+  normalizeOverwritePolicy,
+  normalizeSemesterCalendar,
+  normalizeSheetLayout,
+  normalizeStudentIdProfile,
+  reapplyOverwritePolicy,
+  rebindPreviewRows,
+  recomputeAccumulatedRows,
 } from "../../attendance.js";
 import { safeBaseName } from "../metadata.js";
 import { downloadBlob } from "../dom.js";
+import { normalizeEditHistory } from "../editHistory.js";
 import { readFileAsText } from "../fileRead.js";
+import {
+  REPORT_FILE_TYPE,
+  REPORT_SCHEMA_VERSION,
+  buildReportWorkbookInfo,
+  compareReportWorkbook,
+  parsePreviewReportJson,
+} from "../reportSchema.js";
+import { openRoundTripPackage, writeRoundTripXlsx } from "../xlsxRoundTrip.js";
+
+// Long-format field of a week-tagged entry: "W3" or "W3 lecture"
+function weekTagText(entry) {
+  return entry.group ? `${entry.week} ${entry.group}` : entry.week;
+}
+
+// Whether a week-tagged entry got its tag from its own line rather than the title above it
+function hasOwnWeekTag(entry, blockWeek) {
+  return Boolean(entry.week) && (entry.week !== blockWeek?.week || String(entry.group || "") !== String(blockWeek?.group || ""));
+}
+
+function quoteCsvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
 /**
  * @param {{
@@ -15,17 +61,24 @@ import { readFileAsText } from "../fileRead.js";
  *   setEditorStatus: (msg: string, kind?: 'info'|'ok'|'error') => void,
  *   ensureWorkbookLoadedForEditor: () => import('xlsx').WorkBook,
  *   renderEditorPreview: () => void,
+ *   syncEditorUiFromState: () => void,
+ *   readCurrentInputText: () => Promise<string|null>,
  *   switchView: (viewName: string) => void,
  * }} refs
  */
 export function createDownloadHandlers(refs) {
-  const { els, state, setEditorStatus, ensureWorkbookLoadedForEditor, renderEditorPreview, switchView } = refs;
+  const { els, state, setEditorStatus, ensureWorkbookLoadedForEditor, renderEditorPreview, syncEditorUiFromState, readCurrentInputText, switchView } =
+    refs;
 
   function handleEditorDownloadModified() {
     try {
       const ed = state.editor;
       const rows = Array.isArray(ed.previewRows) ? ed.previewRows : [];
       if (!rows.length) throw new ValidationError("Please generate a preview first.");
+      const invalid = rows.filter((r) => r.match_status === "invalid" && !r.discarded).length;
+      if (invalid) {
+        throw new ValidationError(`${invalid} row(s) have grades that break the grade rules. Edit or discard them before downloading.`);
+      }
 
       const warning =
         "High-responsibility operation.\n\n" +
@@ -37,27 +90,49 @@ export function createDownloadHandlers(refs) {
 
       setEditorStatus("Generating modified workbook…");
 
-      const wb = ensureWorkbookLoadedForEditor();
-
       // Read highlight settings from state
       const highlightEnabled = ed.highlightEnabled ?? true;
-      const highlightColor = ed.highlightColor ?? "#FFFF00";
+      const highlightColors = ed.highlightColors ?? DEFAULT_HIGHLIGHT_COLORS;
 
       // Filter out discarded records before applying edits
       const activeRows = rows.filter((r) => !r.discarded);
 
-      // Apply edits with highlight settings
-      applyEditorEdits(wb, activeRows, highlightEnabled, highlightColor);
+      // Round-trip mode patches the original .xlsx so formulas, styles, merges and widths survive.
+      // Other sources (ODS/CSV) or packages we cannot patch fall back to the SheetJS writer.
+      let out = null;
+      let roundTripMsg = "";
+      const preserveFormatting = ed.preserveFormatting ?? true;
+      if (preserveFormatting) {
+        const xlsxPackage = openRoundTripPackage(state.workbookArrayBuffer);
+        if (xlsxPackage) {
+          try {
+            out = writeRoundTripXlsx(xlsxPackage, activeRows, { highlightEnabled, highlightColors });
+            roundTripMsg = " Formulas and formatting of the original file were preserved.";
+          } catch (e) {
+            console.warn("Round-trip export failed, falling back to values-only export:", e);
+            roundTripMsg = ` Could not preserve the original formatting (${e?.message || String(e)}); exported values only.`;
+          }
+        } else {
+          roundTripMsg = " Source is not an .xlsx file, so formulas and formatting could not be preserved.";
+        }
+      }
 
-      if (!window.XLSX || !window.XLSX.write) {
-        throw new ProcessingError("XLSX writer not loaded. Please refresh the page.");
+      if (!out) {
+        const wb = ensureWorkbookLoadedForEditor();
+
+        // Apply edits with highlight settings
+        applyEditorEdits(wb, activeRows, highlightEnabled, highlightColors);
+
+        if (!window.XLSX || !window.XLSX.write) {
+          throw new ProcessingError("XLSX writer not loaded. Please refresh the page.");
+        }
+        // Include cellStyles option to write cell styling information
+        out = window.XLSX.write(wb, {
+          bookType: "xlsx",
+          type: "array",
+          cellStyles: true,
+        });
       }
-      // Include cellStyles option to write cell styling information
-      const out = window.XLSX.write(wb, {
-        bookType: "xlsx",
-        type: "array",
-        cellStyles: true,
-      });
 
       const base = safeBaseName(state.workbookName || "workbook");
       const filename = `${base}_modified.xlsx`;
@@ -71,7 +146,7 @@ export function createDownloadHandlers(refs) {
       const highlightMsg = highlightEnabled ? " (with highlighted cells)" : "";
       const discardedCount = rows.length - activeRows.length;
       const discardedMsg = discardedCount > 0 ? ` ${discardedCount} discarded record(s) were excluded.` : "";
-      setEditorStatus(`Downloaded modified file${highlightMsg}.${discardedMsg} Final column mapping report is shown below.`, "ok");
+      setEditorStatus(`Downloaded modified file${highlightMsg}.${discardedMsg}${roundTripMsg} Final column mapping report is shown below.`, "ok");
     } catch (e) {
       const msg =
         e instanceof ValidationError || e instanceof FileError || e instanceof ProcessingError
@@ -81,24 +156,59 @@ export function createDownloadHandlers(refs) {
     }
   }
 
-  function handleDownloadJson() {
+  async function handleDownloadJson() {
     // Check for editor preview first, then fall back to legacy report
     const ed = state.editor;
     const rows = Array.isArray(ed.previewRows) ? ed.previewRows : [];
     if (rows.length) {
+      // A report loaded without its workbook keeps the workbook record it came with
+      let workbookInfo = ed.reportWorkbook || null;
+      let inputText = null;
+      try {
+        if (state.workbookArrayBuffer) {
+          workbookInfo = await buildReportWorkbookInfo(state.workbookName, state.workbookArrayBuffer, ensureWorkbookLoadedForEditor(), ed);
+        }
+        inputText = await readCurrentInputText();
+      } catch (e) {
+        console.warn("Report JSON: workbook or input details not recorded:", e);
+      }
       const exportData = {
+        schema_version: REPORT_SCHEMA_VERSION,
+        type: REPORT_FILE_TYPE,
+        workbook: workbookInfo,
+        input_text: inputText,
         metadata: {
           timestamp: new Date().toISOString(),
           task_type: ed.taskType || "attendance",
           column_header: ed.selectedColumn?.headerText || "",
+          column_path: ed.selectedColumn?.headerPath || ed.selectedColumn?.headerText || "",
           column_kind: ed.selectedColumn?.kind || "",
           scope_mode: ed.scopeMode || "",
           selected_sheet: ed.selectedSheetName || "",
+          highlight_enabled: ed.highlightEnabled ?? true,
+          highlight_colors: ed.highlightColors ?? DEFAULT_HIGHLIGHT_COLORS,
+          id_profile: ed.idProfile || null,
+          name_matching: Boolean(ed.nameMatching),
+          overwrite_policy: ed.overwritePolicy || "overwrite",
+          accumulate_duplicates: ed.accumulateDuplicates || "sum",
+          attendance_values: ed.attendanceValues || null,
+          grade_rules: ed.gradeRules || [],
+          mark_absent: Boolean(ed.markAbsent),
+          meeting_report: ed.meetingReport ? normalizeMeetingReportOptions(ed.meetingReportOptions) : null,
+          yaqeen_scan:
+            ed.inputMethod === "yaqeenScan"
+              ? { file_name: ed.yaqeenScan.fileName, session_start: ed.yaqeenScan.sessionStart, late_after_minutes: ed.yaqeenScan.lateAfterMinutes, late_code: ed.yaqeenScan.lateCode }
+              : null,
+          absent_value: ed.absentValue ?? "0",
+          sheet_layouts: ed.sheetLayouts || {},
+          column_groups: ed.columnGroups || null,
+          semester_calendar: ed.semesterCalendar || null,
         },
         preview_rows: rows,
         column_map: ed.columnMap || [],
         selected_column: ed.selectedColumn || null,
         ordered_entries: ed.orderedEntries || null, // Include delimiter information
+        edit_history: ed.editHistory || null,
       };
       const base = safeBaseName(state.workbookName || "workbook");
       const json = JSON.stringify(exportData, null, 2);
@@ -120,24 +230,69 @@ export function createDownloadHandlers(refs) {
       lines.push("EDIT PREVIEW REPORT");
       lines.push("===================");
       lines.push(`Task Type: ${ed.taskType || "attendance"}`);
-      lines.push(`Column Header: ${ed.selectedColumn?.headerText || ""}`);
+      lines.push(`Column Header: ${ed.selectedColumn?.headerPath || ed.selectedColumn?.headerText || ""}`);
       lines.push(`Column Kind: ${ed.selectedColumn?.kind || ""}`);
       lines.push(`Scope: ${ed.scopeMode || ""}${ed.selectedSheetName ? ` (Sheet: ${ed.selectedSheetName})` : ""}`);
       lines.push(`Generated: ${new Date().toISOString()}`);
+      if (ed.idProfile) lines.push(`Student ID Format: ${describeStudentIdProfile(ed.idProfile)}`);
+      lines.push(
+        ed.taskType === "accumulate"
+          ? `Existing Values: add input to the cell (duplicate IDs: ${ed.accumulateDuplicates === "conflict" ? "flagged" : "summed"})`
+          : `Existing Values: ${describeOverwritePolicy(ed.overwritePolicy)}`
+      );
+      if (ed.highlightEnabled ?? true) {
+        const colors = { ...DEFAULT_HIGHLIGHT_COLORS, ...(ed.highlightColors || {}) };
+        lines.push(`Highlight Legend: matched ${colors.matched} | manually fixed ${colors.manuallyFixed} | ambiguous ${colors.ambiguous}`);
+      }
+      if (ed.taskType === "attendance" && ed.attendanceValues) {
+        lines.push(`Attendance Values: ${describeAttendanceValues(ed.attendanceValues)}`);
+      }
+      if (ed.taskType === "grade") {
+        for (const rule of ed.gradeRules || []) lines.push(`Grade Rule: ${describeGradeRule(rule)}`);
+      }
+      if (ed.taskType === "attendance" && ed.meetingReport) {
+        lines.push(`Meeting Report: ${describeMeetingReportOptions(ed.meetingReportOptions)}`);
+      }
+      if (ed.taskType === "attendance" && ed.inputMethod === "yaqeenScan") {
+        const { fileName, sessionStart, lateAfterMinutes, lateCode } = ed.yaqeenScan;
+        const late = String(lateAfterMinutes ?? "") !== "" ? `late after ${lateAfterMinutes} min from ${sessionStart || "the first submission"} (${lateCode})` : "no late cutoff";
+        lines.push(`YaqeenScan Export: ${fileName || "N/A"}, ${late}`);
+      }
+      if (ed.taskType === "attendance" && ed.markAbsent) lines.push(`Absent Value: ${ed.absentValue} (students not in the input)`);
+      for (const [sheetName, layout] of Object.entries(ed.sheetLayouts || {})) {
+        lines.push(`Sheet Layout (${sheetName}): ${describeSheetLayout(layout)}`);
+      }
       lines.push("");
       lines.push("PREVIEW ROWS");
       lines.push("-".repeat(60));
       lines.push("");
       for (const r of rows) {
-        lines.push(`Row ${r.index}: ${r.student_id} | ${r.student_name || "N/A"} | Sheet: ${r.sheet || "N/A"} | Cell: ${r.cell || "N/A"}`);
+        const target = r.target_header ? ` | Column: ${r.target_header}` : "";
+        lines.push(`Row ${r.index}: ${r.student_id} | ${r.student_name || "N/A"} | Sheet: ${r.sheet || "N/A"}${target} | Cell: ${r.cell || "N/A"}`);
         lines.push(`  Old: ${r.old_value || ""} → New: ${r.new_value || ""} | Status: ${r.match_status || ""}`);
+        if (r.input_name) lines.push(`  Input name: ${r.input_name}`);
+        if (r.name_mismatch) lines.push("  Name mismatch: possible proxy submission");
+        for (const d of r.drift || []) lines.push(`  Drifted: ${describeCellDrift(d)}`);
         if (r.note) lines.push(`  Note: ${r.note}`);
+        if (r.resolution === "all") {
+          for (const c of r.candidates || []) lines.push(`  ${c.skip ? "Kept" : "Written"}: ${describeMatchCandidate(c)}`);
+        }
+        lines.push("");
+      }
+      const ambiguities = unresolvedAmbiguities(rows);
+      if (ambiguities.length) {
+        lines.push("UNRESOLVED AMBIGUITIES");
+        lines.push("-".repeat(60));
+        for (const r of ambiguities) {
+          lines.push(`Row ${r.index}: ID ${r.input_id} is on ${r.candidates.length} rows (currently ${r.sheet} ${r.cell})`);
+          for (const c of r.candidates) lines.push(`  - ${describeMatchCandidate(c)}`);
+        }
         lines.push("");
       }
       lines.push("COLUMN MAPPING");
       lines.push("-".repeat(60));
       for (const m of ed.columnMap || []) {
-        lines.push(`Sheet: ${m.sheet} | Header Row: ${m.header_row} | Column: ${m.col_letter}`);
+        lines.push(`Sheet: ${m.sheet} | Header: ${m.header_path || m.header_text || ""} | Header Row: ${m.header_row} | Column: ${m.col_letter}`);
       }
       const base = safeBaseName(state.workbookName || "workbook");
       const txt = lines.join("\n");
@@ -150,56 +305,140 @@ export function createDownloadHandlers(refs) {
     }
   }
 
+  /**
+   * Offer the loaded workbook to a report read from JSON: its cells are re-read into `old_value`
+   * (the overwrite policy is decided again against them) and cells that changed since the report
+   * was made are flagged as drifted. A different file (or a report without a workbook record)
+   * is only attached after the user confirms.
+   * @param {import('../reportSchema.js').ReportWorkbookInfo|null} recorded
+   * @returns {Promise<string>} a note for the summary line
+   */
+  async function attachWorkbookToReport(recorded) {
+    if (!state.workbookArrayBuffer) {
+      return "No workbook attached: load the workbook in Step 1, then load the report again to re-check old values.";
+    }
+    const wb = ensureWorkbookLoadedForEditor();
+    const current = await buildReportWorkbookInfo(state.workbookName, state.workbookArrayBuffer, wb, state.editor);
+    const { sameFile, missingSheets, layoutChanged } = compareReportWorkbook(recorded, current);
+    if (!sameFile) {
+      const facts = [
+        recorded
+          ? `This report was made on "${recorded.name}"; the loaded workbook "${state.workbookName}" is a different file.`
+          : "This report does not record which workbook it was made on.",
+        missingSheets.length ? `Sheets missing from the loaded workbook: ${missingSheets.join(", ")}.` : "",
+        layoutChanged.length ? `Sheet layout changed on: ${layoutChanged.join(", ")}.` : "",
+      ].filter(Boolean);
+      const question = `Attach "${state.workbookName}" to the report? Old values are re-read from it and changed cells are flagged as drifted.`;
+      if (!window.confirm(`${facts.join("\n")}\n\n${question}`)) {
+        return "Workbook not attached: old values are as recorded in the report.";
+      }
+    }
+    const result = rebindPreviewRows(wb, state.editor.previewRows);
+    // accumulate totals start from the cell's current value; other rows re-check the overwrite
+    // policy against it, so a cell filled since the report was made is not written over blindly
+    if (state.editor.taskType === "accumulate") recomputeAccumulatedRows(state.editor.previewRows, state.editor.accumulateDuplicates);
+    else reapplyOverwritePolicy(state.editor.previewRows, state.editor.overwritePolicy);
+    state.editor.reportWorkbook = current;
+    const missing = result.missingSheets.length ? `; sheets not found: ${result.missingSheets.join(", ")}` : "";
+    return `Workbook "${state.workbookName}" attached: ${result.checked} cells re-read, ${result.drifted} row(s) drifted${missing}.`;
+  }
+
   async function handleLoadPreviousReportJson() {
     const file = els.loadReportJson.files?.[0] || null;
     if (!file) return;
     try {
-      const txt = await readFileAsText(file);
-      const parsed = JSON.parse(txt);
-
-      // Only support editor preview format
-      if (parsed.preview_rows && Array.isArray(parsed.preview_rows)) {
-        state.editor.previewRows = parsed.preview_rows;
-        state.editor.columnMap = parsed.column_map || [];
-        state.editor.selectedColumn = parsed.selected_column || null;
-        state.editor.orderedEntries = parsed.ordered_entries || null; // Preserve delimiter information
-        if (parsed.metadata) {
-          state.editor.taskType = parsed.metadata.task_type || "attendance";
-          state.editor.scopeMode = parsed.metadata.scope_mode || "single";
-          state.editor.selectedSheetName = parsed.metadata.selected_sheet || "";
+      // Throws FileError / ValidationError for files that do not match the report schema
+      const parsed = parsePreviewReportJson(await readFileAsText(file));
+      // Every setting is normalized before the editor changes, so a report that fails here
+      // leaves the current session as it was
+      const loaded = {
+        previewRows: parsed.preview_rows,
+        columnMap: parsed.column_map || [],
+        selectedColumn: parsed.selected_column || null,
+        orderedEntries: parsed.ordered_entries || null, // Preserve delimiter information
+        // Older reports have no history: start an empty one
+        editHistory: normalizeEditHistory(parsed.edit_history),
+        reportWorkbook: parsed.workbook,
+      };
+      const meta = parsed.metadata;
+      if (meta) {
+        Object.assign(loaded, {
+          taskType: meta.task_type || "attendance",
+          scopeMode: meta.scope_mode || "single",
+          selectedSheetName: meta.selected_sheet || "",
+          nameMatching: Boolean(meta.name_matching),
+          overwritePolicy: normalizeOverwritePolicy(meta.overwrite_policy),
+          accumulateDuplicates: meta.accumulate_duplicates === "conflict" ? "conflict" : "sum",
+          // Older reports have no grade rules
+          gradeRules: normalizeGradeRules(meta.grade_rules),
+          markAbsent: Boolean(meta.mark_absent),
+          meetingReport: Boolean(meta.meeting_report),
+          absentValue: String(meta.absent_value ?? "0"),
+          // Older reports have no layout overrides: everything is detected
+          sheetLayouts: Object.fromEntries(Object.entries(meta.sheet_layouts || {}).map(([name, layout]) => [name, normalizeSheetLayout(layout)])),
+        });
+        // Older reports have no ID profile; keep the current one then.
+        if (meta.id_profile) loaded.idProfile = normalizeStudentIdProfile(meta.id_profile);
+        if (meta.attendance_values) loaded.attendanceValues = normalizeAttendanceValues(meta.attendance_values);
+        if (meta.meeting_report) loaded.meetingReportOptions = normalizeMeetingReportOptions(meta.meeting_report);
+        if (meta.yaqeen_scan) {
+          const scan = meta.yaqeen_scan;
+          loaded.yaqeenScan = {
+            fileName: String(scan.file_name || ""),
+            sessionStart: String(scan.session_start || ""),
+            lateAfterMinutes: String(scan.late_after_minutes ?? ""),
+            lateCode: String(scan.late_code || "L"),
+          };
         }
-
-        // enable preview sheet filter and populate options
-        if (els.editorPreviewSheetFilter) {
-          els.editorPreviewSheetFilter.disabled = false;
-          // populate sheet filter options from preview rows
-          const sheetSet = new Set();
-          for (const r of state.editor.previewRows || []) {
-            const s = String(r.sheet || "").trim();
-            if (s) sheetSet.add(s);
-          }
-          const sheets = Array.from(sheetSet).sort();
-          els.editorPreviewSheetFilter.innerHTML = '<option value="">All Sheets</option>';
-          for (const s of sheets) {
-            const opt = document.createElement("option");
-            opt.value = s;
-            opt.textContent = s;
-            els.editorPreviewSheetFilter.appendChild(opt);
-          }
+        if (meta.column_groups) {
+          loaded.columnGroups = normalizeColumnGroups(meta.column_groups);
+        } else if (meta.boundary_keywords) {
+          // reports saved before column groups kept one section and one lecture keyword
+          loaded.columnGroups = columnGroupsFromBoundaryKeywords(meta.boundary_keywords);
         }
+        if (meta.semester_calendar) loaded.semesterCalendar = normalizeSemesterCalendar(meta.semester_calendar);
+      }
+      // The recorded input goes back into the text area, so the preview can be regenerated
+      if (parsed.input_text) {
+        loaded.inputMethod = "textarea";
+        loaded.inputTextContent = parsed.input_text;
+      }
 
-        renderEditorPreview();
-        els.btnEditorDownload.disabled = false;
-        els.btnDownloadJson.disabled = false;
-        els.btnDownloadTxt.disabled = false;
-        els.btnDownloadPdf.disabled = false;
-        if (els.summary) {
-          els.summary.textContent = `Loaded preview from: ${file.name}`;
+      Object.assign(state.editor, loaded);
+      if (parsed.input_text) {
+        if (els.editorInputTextarea) els.editorInputTextarea.value = parsed.input_text;
+        syncEditorUiFromState();
+      }
+      const workbookNote = await attachWorkbookToReport(parsed.workbook);
+
+      // enable preview sheet filter and populate options
+      if (els.editorPreviewSheetFilter) {
+        els.editorPreviewSheetFilter.disabled = false;
+        // populate sheet filter options from preview rows
+        const sheetSet = new Set();
+        for (const r of state.editor.previewRows || []) {
+          const s = String(r.sheet || "").trim();
+          if (s) sheetSet.add(s);
+        }
+        const sheets = Array.from(sheetSet).sort();
+        els.editorPreviewSheetFilter.innerHTML = '<option value="">All Sheets</option>';
+        for (const s of sheets) {
+          const opt = document.createElement("option");
+          opt.value = s;
+          opt.textContent = s;
+          els.editorPreviewSheetFilter.appendChild(opt);
         }
-        switchView("report");
-      } else {
-        throw new Error("Invalid format. Expected editor preview JSON with 'preview_rows' array.");
       }
+
+      renderEditorPreview();
+      els.btnEditorDownload.disabled = false;
+      els.btnDownloadJson.disabled = false;
+      els.btnDownloadTxt.disabled = false;
+      els.btnDownloadPdf.disabled = false;
+      if (els.summary) {
+        els.summary.textContent = `Loaded preview from: ${file.name} (schema v${parsed.schema_version}). ${workbookNote}`;
+      }
+      switchView("report");
     } catch (e) {
       if (els.summary) {
         els.summary.textContent = `Failed to load report JSON: ${e?.message || String(e)}`;
@@ -233,7 +472,7 @@ export function createDownloadHandlers(refs) {
       const title = "Edit Preview Report";
       const subtitleParts = [
         `Task: ${ed.taskType || "attendance"}`,
-        `Column: ${ed.selectedColumn?.headerText || ""}`,
+        `Column: ${ed.selectedColumn?.headerPath || ed.selectedColumn?.headerText || ""}`,
         `Generated: ${new Date().toISOString()}`,
       ].filter(Boolean);
 
@@ -259,20 +498,19 @@ export function createDownloadHandlers(refs) {
       if (sheetFilter) out = out.filter((r) => String(r.sheet || "") === sheetFilter);
       const mode = els.editorPreviewModeOrdered?.classList?.contains("is-active") ? "ordered" : "grouped";
       if (mode === "grouped") {
-        out.sort((a, b) => {
-          const s = String(a.sheet || "").localeCompare(String(b.sheet || ""));
-          if (s !== 0) return s;
-          return (a.row_index1 ?? 0) - (b.row_index1 ?? 0);
-        });
+        out.sort(compareGroupedPreviewRows);
       } else {
         out.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
       }
+      // Week-tagged input writes several columns; name each row's target column then
+      const multiColumn = out.some((r) => r.target_key);
 
       const pdfRows = out.map((r) => [
         String(r.index || ""),
         String(r.student_id || ""),
         String(r.student_name || ""),
         String(r.sheet || ""),
+        ...(multiColumn ? [String(r.target_header || "")] : []),
         String(r.cell || ""),
         String(r.old_value || ""),
         String(r.new_value || ""),
@@ -281,7 +519,7 @@ export function createDownloadHandlers(refs) {
 
       doc.autoTable({
         startY: 80,
-        head: [["#", "ID", "Name", "Sheet", "Cell", "Old", "New", "Status"]],
+        head: [["#", "ID", "Name", "Sheet", ...(multiColumn ? ["Column"] : []), "Cell", "Old", "New", "Status"]],
         body: pdfRows,
         styles: {
           font: "helvetica",
@@ -298,22 +536,18 @@ export function createDownloadHandlers(refs) {
         alternateRowStyles: {
           fillColor: [245, 247, 255],
         },
-        columnStyles: {
-          0: { cellWidth: 30 },
-          1: { cellWidth: 70 },
-          2: { cellWidth: 150 },
-          3: { cellWidth: 80 },
-          4: { cellWidth: 60 },
-          5: { cellWidth: 50 },
-          6: { cellWidth: 50 },
-          7: { cellWidth: 70 },
-        },
+        columnStyles: Object.fromEntries(
+          [30, 70, multiColumn ? 110 : 150, 80, ...(multiColumn ? [90] : []), 60, 50, 50, 70].map((cellWidth, i) => [i, { cellWidth }])
+        ),
         didParseCell: (data) => {
           if (data.section !== "body") return;
           const row = out[data.row.index];
           if (row && (row.match_status === "notFound" || row.match_status === "ambiguous")) {
             data.cell.styles.fillColor = [255, 235, 235];
             data.cell.styles.textColor = [160, 25, 25];
+          } else if (row && (row.match_status === "suggested" || row.conflict)) {
+            data.cell.styles.fillColor = [255, 246, 214];
+            data.cell.styles.textColor = [133, 100, 4];
           }
         },
         didDrawPage: (data) => {
@@ -328,6 +562,27 @@ export function createDownloadHandlers(refs) {
         },
       });
 
+      const ambiguities = unresolvedAmbiguities(previewRows);
+      if (ambiguities.length) {
+        let y = doc.lastAutoTable.finalY + 30;
+        if (y > doc.internal.pageSize.getHeight() - 80) {
+          doc.addPage();
+          y = 40;
+        }
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(12);
+        doc.text("Unresolved ambiguities", 40, y);
+        doc.setFont("helvetica", "normal");
+        doc.autoTable({
+          startY: y + 10,
+          head: [["#", "ID", "Rows holding this ID"]],
+          body: ambiguities.map((r) => [String(r.index), String(r.input_id || ""), r.candidates.map(describeMatchCandidate).join("\n")]),
+          styles: { font: "helvetica", fontSize: 8, cellPadding: 4, overflow: "linebreak", valign: "top" },
+          headStyles: { fillColor: [160, 25, 25], textColor: 255, fontStyle: "bold" },
+          columnStyles: { 0: { cellWidth: 30 }, 1: { cellWidth: 90 } },
+        });
+      }
+
       const base = safeBaseName(state.workbookName || "workbook");
       doc.save(`${base}_preview_report.pdf`);
       return;
@@ -342,6 +597,16 @@ export function createDownloadHandlers(refs) {
     }
   }
 
+  // Ambiguous rows nobody resolved or discarded yet
+  function unresolvedAmbiguities(rows) {
+    const ambiguous = (r) => r.match_status === "ambiguous" || r.valid_status === "ambiguous";
+    return rows.filter((r) => ambiguous(r) && !r.discarded && Array.isArray(r.candidates) && r.candidates.length > 1);
+  }
+
+  function recordIdForRow(row) {
+    return String((row.match_status === "suggested" ? row.input_id : row.student_id) || "");
+  }
+
   function handleDownloadModifiedRecords() {
     try {
       const ed = state.editor;
@@ -377,9 +642,11 @@ export function createDownloadHandlers(refs) {
                 idCounter += 1;
                 const previewRow = rowMap.get(idCounter);
                 // Only include if found in preview AND not discarded
-                if (previewRow) {
-                  // Use the student_id from preview (in case it was manually fixed)
-                  lines.push(previewRow.student_id);
+                // Unaccepted name suggestions keep the ID as typed (name-only lines have none)
+                const sid = previewRow ? recordIdForRow(previewRow) : "";
+                if (sid) {
+                  // Use the student_id from preview (in case it was manually fixed); keep its attendance code
+                  lines.push(entry.code ? `${sid},${entry.code}` : sid);
                 }
               }
             }
@@ -415,10 +682,11 @@ export function createDownloadHandlers(refs) {
                 idCounter += 1;
                 const previewRow = rowMap.get(idCounter);
                 // Only include if found in preview AND not discarded
-                if (previewRow) {
-                  // Use the modified student_id and new_value from preview
-                  const grade = String(previewRow.new_value || "");
-                  lines.push(`${previewRow.student_id},${grade}`);
+                const sid = previewRow ? recordIdForRow(previewRow) : "";
+                if (sid) {
+                  // Use the modified student_id and new_value from preview (accumulate: the delta, not the total)
+                  const grade = String((previewRow.accumulate ? previewRow.accumulate.delta : previewRow.new_value) ?? "");
+                  lines.push(`${sid},${grade}`);
                 }
               }
             }
@@ -455,28 +723,48 @@ export function createDownloadHandlers(refs) {
 
       const lines = [];
 
+      // Week tags from titles come back with the title; an entry tagged on its own line (or
+      // carrying its own code / value) is written in long format `id,W3 lecture,value`
+      let blockWeek = null;
       if (originalData.type === "attendance") {
         // For attendance: reconstruct from orderedEntries
         if (Array.isArray(originalData.orderedEntries) && originalData.orderedEntries.length > 0) {
           for (const entry of originalData.orderedEntries) {
             if (entry && typeof entry === "object") {
               if (entry.type === "title") {
+                if (entry.week) blockWeek = entry;
                 lines.push(entry.title || "");
               } else if (entry.type === "id") {
-                lines.push(entry.id);
+                const text = entry.id || entry.name || ""; // name-only lines keep their name
+                const value = entry.code || entry.value || "";
+                if (entry.id && entry.week && (value || hasOwnWeekTag(entry, blockWeek))) {
+                  lines.push([entry.id, weekTagText(entry), value].filter(Boolean).join(","));
+                } else {
+                  lines.push(entry.code ? `${text},${entry.code}` : text);
+                }
               }
             }
           }
         }
+      } else if (originalData.type === "grade" && originalData.gradeTable) {
+        // Score table: the header line and every student line with all of its score columns
+        const table = originalData.gradeTable;
+        const withName = Boolean(table.nameHeader);
+        lines.push([table.idHeader, ...(withName ? [table.nameHeader] : []), ...table.headers].map(quoteCsvCell).join(","));
+        for (const r of table.rows) {
+          lines.push([r.id, ...(withName ? [r.name] : []), ...r.values].map(quoteCsvCell).join(","));
+        }
       } else if (originalData.type === "grade") {
         // For grades: reconstruct from orderedEntries
         if (Array.isArray(originalData.orderedEntries) && originalData.orderedEntries.length > 0) {
           for (const entry of originalData.orderedEntries) {
             if (entry && typeof entry === "object") {
               if (entry.type === "title") {
+                if (entry.week) blockWeek = entry;
                 lines.push(entry.title || "");
               } else if (entry.type === "id") {
-                lines.push(`${entry.id},${entry.grade || ""}`);
+                const tag = entry.id && hasOwnWeekTag(entry, blockWeek) ? `,${weekTagText(entry)}` : "";
+                lines.push(`${entry.id}${tag},${entry.grade || ""}`);
               }
             }
           }
@@ -1,3 +1,4 @@
+import { normalizeDigits } from "../../attendance.js";
 import { processMultipleImages, generateTextFile } from "../ocr.js";
 import { downloadBlob } from "../dom.js";
 
@@ -68,7 +69,8 @@ export function createOcrHandlers(refs) {
         state.ocr.uploadedImages,
         (progress, message) => {
           updateOcrProgress(progress, message);
-        }
+        },
+        state.editor.idProfile
       );
 
       state.ocr.processingResults = results;
@@ -153,7 +155,7 @@ export function createOcrHandlers(refs) {
     }
 
     // Update the ID
-    state.ocr.processingResults.uncertain[index].id = newId;
+    state.ocr.processingResults.uncertain[index].id = normalizeDigits(newId).trim();
     state.ocr.processingResults.uncertain[index].confidence = 100; // Mark as manually edited
 
     // Re-render results
@@ -3,6 +3,13 @@
  * Uses Tesseract.js for OCR and OpenCV.js for table detection.
  */
 
+import {
+  DEFAULT_STUDENT_ID_PROFILE,
+  buildStudentIdSearchRegex,
+  extractStudentId,
+  normalizeDigits,
+} from "../attendance.js";
+
 /**
  * @typedef {Object} OcrResult
  * @property {string} id - Extracted ID (may be uncertain)
@@ -149,13 +156,68 @@ function cropCanvas(sourceCanvas, x, y, width, height) {
   return cropped;
 }
 
+/** OCR reads of the default profile (no maximum length, no pattern) must have this many characters. */
+const OCR_DEFAULT_ID_LENGTH = 9;
+
+/**
+ * The profile OCR reads are checked against. A profile that only sets a minimum length would let a
+ * truncated or misread ID through as a shorter valid one, so unless it sets a maximum length or a
+ * pattern, OCR expects exactly 9 characters (or the minimum, when that is longer).
+ * @param {import('../attendance.js').StudentIdProfile} idProfile
+ * @returns {import('../attendance.js').StudentIdProfile}
+ */
+function ocrIdProfile(idProfile) {
+  if (idProfile.maxLength || idProfile.pattern) return idProfile;
+  const length = Math.max(idProfile.minLength, OCR_DEFAULT_ID_LENGTH);
+  return { ...idProfile, minLength: length, maxLength: length };
+}
+
+/**
+ * Sort the text OCR read from one table cell: a valid ID is confident at confidence >= 80 and
+ * uncertain below; a partial read (at least 2/3 of the expected length) is uncertain, padded with
+ * '?' to the expected length. Returns null when the cell holds no ID.
+ * @param {string} text - OCR text of the cell
+ * @param {number} confidence - Tesseract confidence (0-100)
+ * @param {string} imageName
+ * @param {import('../attendance.js').StudentIdProfile} [idProfile]
+ * @returns {{ bucket: 'confident'|'uncertain', result: OcrResult }|null}
+ */
+export function classifyOcrRead(text, confidence, imageName, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
+  const profile = ocrIdProfile(idProfile);
+  const expectedLength = profile.maxLength || profile.minLength;
+  const partialMinLength = Math.max(1, Math.ceil((expectedLength * 2) / 3));
+
+  // Extract IDs matching the profile
+  const idMatches = (text.match(buildStudentIdSearchRegex(profile)) || [])
+    .map((candidate) => extractStudentId(candidate, profile))
+    .filter(Boolean);
+
+  if (idMatches.length > 0) {
+    // Use the first valid match
+    const result = { id: idMatches[0], confidence, rawText: text, imageName };
+    return { bucket: confidence >= 80 ? 'confident' : 'uncertain', result };
+  }
+
+  // Found part of an ID but not a valid one - mark as uncertain
+  const partialId = (text.match(profile.allowAlphanumeric ? /[A-Za-z0-9-]+/g : /\d+/g) || [])
+    .sort((a, b) => b.length - a.length)[0] || '';
+  if (partialId.length >= partialMinLength && /\d/.test(partialId)) {
+    return {
+      bucket: 'uncertain',
+      result: { id: partialId.padEnd(expectedLength, '?'), confidence: 50, rawText: text, imageName },
+    };
+  }
+  return null;
+}
+
 /**
  * Extract student IDs from an image using OCR
  * @param {File} imageFile - Image file to process
  * @param {(progress: number, message: string) => void} onProgress - Progress callback
+ * @param {import('../attendance.js').StudentIdProfile} [idProfile] - what counts as a student ID
  * @returns {Promise<OcrProcessingResult>}
  */
-export async function processImageWithOcr(imageFile, onProgress) {
+export async function processImageWithOcr(imageFile, onProgress, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
   if (!window.Tesseract) {
     throw new Error("Tesseract.js is not loaded. Please check the CDN script.");
   }
@@ -197,7 +259,9 @@ export async function processImageWithOcr(imageFile, onProgress) {
     // Initialize Tesseract worker
     const worker = await window.Tesseract.createWorker('eng');
     await worker.setParameters({
-      tessedit_char_whitelist: '0123456789',
+      tessedit_char_whitelist: idProfile.allowAlphanumeric
+        ? '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_./'
+        : '0123456789',
     });
 
     let processed = 0;
@@ -206,40 +270,9 @@ export async function processImageWithOcr(imageFile, onProgress) {
       
       try {
         const { data } = await worker.recognize(cellCanvas);
-        const text = data.text.trim();
-        
-        // Extract 9-digit IDs using regex
-        const idMatches = text.match(/\d{9}/g);
-        
-        if (idMatches && idMatches.length > 0) {
-          // Use the first 9-digit match
-          const id = idMatches[0];
-          const confidence = data.confidence || 0;
-
-          const result = {
-            id: id,
-            confidence: confidence,
-            rawText: text,
-            imageName: imageFile.name
-          };
-
-          if (confidence >= 80) {
-            results.confident.push(result);
-          } else {
-            results.uncertain.push(result);
-          }
-        } else if (text.match(/\d{6,}/)) {
-          // Found some digits but not exactly 9 - mark as uncertain
-          const partialId = text.match(/\d+/)?.[0] || '';
-          if (partialId.length >= 6) {
-            results.uncertain.push({
-              id: partialId.padEnd(9, '?'),
-              confidence: 50,
-              rawText: text,
-              imageName: imageFile.name
-            });
-          }
-        }
+        const text = normalizeDigits(data.text).trim();
+        const read = classifyOcrRead(text, data.confidence || 0, imageFile.name, idProfile);
+        if (read) results[read.bucket].push(read.result);
       } catch (error) {
         console.warn(`Error processing cell at (${cell.x}, ${cell.y}):`, error);
         results.errors.push(`Cell processing error: ${error.message}`);
@@ -267,7 +300,7 @@ export async function processImageWithOcr(imageFile, onProgress) {
  * @param {(progress: number, message: string) => void} onProgress - Progress callback
  * @returns {Promise<OcrProcessingResult>}
  */
-export async function processMultipleImages(imageFiles, onProgress) {
+export async function processMultipleImages(imageFiles, onProgress, idProfile = DEFAULT_STUDENT_ID_PROFILE) {
   const allResults = {
     confident: [],
     uncertain: [],
@@ -282,7 +315,7 @@ export async function processMultipleImages(imageFiles, onProgress) {
     };
 
     try {
-      const result = await processImageWithOcr(file, fileProgress);
+      const result = await processImageWithOcr(file, fileProgress, idProfile);
       allResults.confident.push(...result.confident);
       allResults.uncertain.push(...result.uncertain);
       allResults.errors.push(...result.errors);
@@ -0,0 +1,186 @@
+/**
+ * Preview report JSON schema (internal).
+ *
+ * Version 2 reports record what they were made from: the workbook (SHA-256 of the file, its name,
+ * sheet names and the layout used per sheet) and the input text. Loading checks a file against
+ * the schema, so a wrong or damaged file is refused with a clear message instead of half-loading,
+ * and the workbook record tells whether the loaded workbook is the one the report was made on.
+ * Files written before the schema (no `schema_version`) load as version 1.
+ */
+
+import { FileError, ValidationError, describeSheetLayouts } from "../attendance.js";
+
+/**
+ * @typedef {import('../attendance.js').EditorPreviewRow} EditorPreviewRow
+ * @typedef {import('../attendance.js').SheetLayout} SheetLayout
+ */
+
+/**
+ * @typedef {Object} ReportWorkbookInfo
+ * @property {string} name
+ * @property {string} sha256                     // hex; '' when the browser cannot hash
+ * @property {number} size                       // bytes
+ * @property {string[]} sheet_names
+ * @property {Record<string, SheetLayout>} layouts  // effective layout per sheet in scope
+ */
+
+/**
+ * @typedef {Object} PreviewReport
+ * @property {number} schema_version
+ * @property {any} metadata
+ * @property {EditorPreviewRow[]} preview_rows
+ * @property {any[]} column_map
+ * @property {any} selected_column
+ * @property {any[]|null} ordered_entries
+ * @property {any} edit_history
+ * @property {ReportWorkbookInfo|null} workbook
+ * @property {string|null} input_text
+ */
+
+export const REPORT_SCHEMA_VERSION = 2;
+export const REPORT_FILE_TYPE = "yaqeen-preview-report";
+
+const MATCH_STATUSES = new Set(["matched", "notFound", "ambiguous", "manuallyFixed", "suggested", "conflict", "absent", "invalid"]);
+/** Validation messages list this many problems, then "and N more" */
+const MAX_LISTED_PROBLEMS = 5;
+
+/**
+ * SHA-256 of the workbook file as hex ('' where Web Crypto is unavailable, e.g. plain http).
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+export async function hashWorkbookBuffer(buffer) {
+  if (!buffer || typeof crypto === "undefined" || !crypto.subtle) return "";
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Describe the workbook a report is made on.
+ * @param {string} name
+ * @param {ArrayBuffer} buffer
+ * @param {any} workbook - the same file read by SheetJS
+ * @param {any} editor - `state.editor`
+ * @returns {Promise<ReportWorkbookInfo>}
+ */
+export async function buildReportWorkbookInfo(name, buffer, workbook, editor) {
+  const scope = { mode: editor.scopeMode, sheetName: editor.selectedSheetName };
+  const layouts = {};
+  for (const info of describeSheetLayouts(workbook, scope, editor.idProfile, editor.sheetLayouts)) {
+    layouts[info.sheet] = info.effective;
+  }
+  return {
+    name: String(name || ""),
+    sha256: await hashWorkbookBuffer(buffer),
+    size: buffer?.byteLength || 0,
+    sheet_names: workbook.SheetNames.slice(),
+    layouts,
+  };
+}
+
+/**
+ * How the loaded workbook compares with the one a report was made on.
+ * @param {ReportWorkbookInfo|null} recorded
+ * @param {ReportWorkbookInfo} current
+ * @returns {{sameFile: boolean, missingSheets: string[], layoutChanged: string[]}}
+ */
+export function compareReportWorkbook(recorded, current) {
+  const sameFile = Boolean(recorded?.sha256) && recorded.sha256 === current.sha256;
+  const missingSheets = (recorded?.sheet_names || []).filter((s) => !current.sheet_names.includes(s));
+  const layoutChanged = Object.keys(recorded?.layouts || {}).filter(
+    (s) => current.layouts[s] && JSON.stringify(current.layouts[s]) !== JSON.stringify(recorded.layouts[s])
+  );
+  return { sameFile, missingSheets, layoutChanged };
+}
+
+function listProblems(problems) {
+  const shown = problems.slice(0, MAX_LISTED_PROBLEMS).join("; ");
+  return problems.length > MAX_LISTED_PROBLEMS ? `${shown}; and ${problems.length - MAX_LISTED_PROBLEMS} more` : shown;
+}
+
+function validateRows(rows) {
+  const problems = [];
+  const seen = new Set();
+  rows.forEach((row, i) => {
+    const where = `row ${i + 1}`;
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      problems.push(`${where} is not an object`);
+      return;
+    }
+    if (!Number.isInteger(row.index)) problems.push(`${where} has no numeric index`);
+    else if (seen.has(row.index)) problems.push(`${where} repeats index ${row.index}`);
+    else seen.add(row.index);
+    if (!MATCH_STATUSES.has(row.match_status)) problems.push(`${where} has unknown status "${row.match_status}"`);
+    for (const field of ["sheet", "cell", "student_id"]) {
+      if (row[field] != null && typeof row[field] !== "string") problems.push(`${where}: ${field} is not text`);
+    }
+    if (row.row_index1 != null && !(Number.isInteger(row.row_index1) && row.row_index1 > 0)) {
+      problems.push(`${where}: row_index1 is not a row number`);
+    }
+    if (row.candidates != null && !Array.isArray(row.candidates)) problems.push(`${where}: candidates is not a list`);
+  });
+  return problems;
+}
+
+function validateWorkbookInfo(raw) {
+  if (raw == null) return null;
+  const ok =
+    typeof raw === "object" &&
+    typeof raw.sha256 === "string" &&
+    Array.isArray(raw.sheet_names) &&
+    raw.sheet_names.every((s) => typeof s === "string") &&
+    (raw.layouts == null || typeof raw.layouts === "object");
+  if (!ok) throw new ValidationError("The report's workbook record is damaged (expected sha256, sheet_names and layouts).");
+  return {
+    name: String(raw.name ?? ""),
+    sha256: raw.sha256,
+    size: Number(raw.size) || 0,
+    sheet_names: raw.sheet_names.slice(),
+    layouts: raw.layouts || {},
+  };
+}
+
+/**
+ * Parse and validate a preview report file.
+ * @param {string} text
+ * @returns {PreviewReport}
+ */
+export function parsePreviewReportJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new FileError("Report file is not valid JSON.");
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new FileError("This JSON file is not a Yaqeen preview report.");
+  }
+  const version = parsed.schema_version ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new FileError(`Unknown report schema version "${version}".`);
+  if (version > REPORT_SCHEMA_VERSION) {
+    throw new FileError(`This report uses schema version ${version}; this app reads up to version ${REPORT_SCHEMA_VERSION}. Update Yaqeen to open it.`);
+  }
+  if (version >= 2 && parsed.type !== REPORT_FILE_TYPE) throw new FileError("This JSON file is not a Yaqeen preview report.");
+  if (!Array.isArray(parsed.preview_rows)) {
+    throw new FileError("Invalid format. Expected editor preview JSON with 'preview_rows' array.");
+  }
+
+  const problems = validateRows(parsed.preview_rows);
+  if (parsed.metadata != null && (typeof parsed.metadata !== "object" || Array.isArray(parsed.metadata))) problems.push("metadata is not an object");
+  if (parsed.column_map != null && !Array.isArray(parsed.column_map)) problems.push("column_map is not a list");
+  if (parsed.ordered_entries != null && !Array.isArray(parsed.ordered_entries)) problems.push("ordered_entries is not a list");
+  if (parsed.input_text != null && typeof parsed.input_text !== "string") problems.push("input_text is not text");
+  if (problems.length) throw new ValidationError(`The report failed validation: ${listProblems(problems)}.`);
+
+  return {
+    schema_version: version,
+    metadata: parsed.metadata || null,
+    preview_rows: parsed.preview_rows,
+    column_map: parsed.column_map || [],
+    selected_column: parsed.selected_column || null,
+    ordered_entries: parsed.ordered_entries || null,
+    edit_history: parsed.edit_history ?? null,
+    workbook: validateWorkbookInfo(parsed.workbook),
+    input_text: parsed.input_text ?? null,
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Editor session autosave (internal).
+ *
+ * While a workbook is being worked on, the whole editor session is kept in IndexedDB: the
+ * workbook bytes, the input text, the wizard selections and the preview rows with their manual
+ * edits, discard flags and edit history. After a refresh or a crash the app offers to resume it.
+ * Only the most recent sessions are kept.
+ */
+
+import {
+  normalizeAttendanceValues,
+  normalizeColumnGroups,
+  normalizeGradeRules,
+  normalizeMeetingReportOptions,
+  normalizeOverwritePolicy,
+  normalizeSemesterCalendar,
+  normalizeSheetLayout,
+  normalizeStudentIdProfile,
+} from "../attendance.js";
+import { storeClearAll, storeDelete, storeGet, storeGetAll, storePut } from "./browserStore.js";
+import { normalizeEditHistory } from "./editHistory.js";
+
+/**
+ * @typedef {Object} EditorSession
+ * @property {string} id
+ * @property {string} saved_at                       // ISO timestamp
+ * @property {string|null} workbookName
+ * @property {ArrayBuffer|null} workbookArrayBuffer
+ * @property {string|null} inputText                 // text of the uploaded input file (file method)
+ * @property {any} editor                            // copy of `state.editor`
+ */
+
+const STORE = "sessions";
+
+/** Older sessions are deleted once more than this many are saved. */
+export const SESSION_LIMIT = 5;
+
+const TASK_LABELS = { attendance: "Attendance", grade: "Grades", accumulate: "Accumulate" };
+
+/**
+ * @returns {string}
+ */
+export function newSessionId() {
+  return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Snapshot the app state as a session record. The editor state is copied, so later edits do not
+ * leak into a record that is still being written.
+ * @param {string} id
+ * @param {import('./state.js').AppState} state
+ * @param {string|null} [inputText]
+ * @returns {EditorSession}
+ */
+export function buildEditorSession(id, state, inputText = null) {
+  return {
+    id,
+    saved_at: new Date().toISOString(),
+    workbookName: state.workbookName || null,
+    workbookArrayBuffer: state.workbookArrayBuffer || null,
+    inputText: inputText ?? null,
+    editor: JSON.parse(JSON.stringify(state.editor)),
+  };
+}
+
+/**
+ * Whether there is anything worth saving: a workbook or a preview.
+ * @param {import('./state.js').AppState} state
+ */
+export function hasSessionContent(state) {
+  return Boolean(state.workbookArrayBuffer) || Array.isArray(state.editor?.previewRows);
+}
+
+/**
+ * One line for the session list, e.g. "Grades · course.xlsx · 312 rows (14 edited, 3 discarded)".
+ * @param {EditorSession} session
+ */
+export function describeEditorSession(session) {
+  const ed = session?.editor || {};
+  const parts = [TASK_LABELS[ed.taskType] || "Attendance", session?.workbookName || "no workbook"];
+  const rows = Array.isArray(ed.previewRows) ? ed.previewRows : null;
+  if (rows) {
+    const edited = rows.filter((r) => r.match_status === "manuallyFixed").length;
+    const discarded = rows.filter((r) => r.discarded).length;
+    const details = [edited ? `${edited} edited` : "", discarded ? `${discarded} discarded` : ""].filter(Boolean).join(", ");
+    parts.push(`${rows.length} rows${details ? ` (${details})` : ""}`);
+  } else {
+    parts.push(`wizard step ${ed.wizardStep || 1}`);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Rebuild `state.editor` from a saved session. Settings are validated the way a report loaded
+ * from JSON is; a setting that no longer validates (a record written by an older version, or a
+ * damaged one) falls back to its default instead of reaching the editor.
+ * @param {any} saved - `session.editor`
+ * @param {any} defaults - `createInitialState().editor`
+ */
+export function restoreSessionEditor(saved, defaults) {
+  const editor = { ...defaults, ...(saved && typeof saved === "object" ? saved : {}) };
+  const orDefault = (normalize, field) => {
+    try {
+      return normalize(editor[field]);
+    } catch {
+      return defaults[field];
+    }
+  };
+  editor.idProfile = orDefault(normalizeStudentIdProfile, "idProfile");
+  const layouts = editor.sheetLayouts && typeof editor.sheetLayouts === "object" ? editor.sheetLayouts : {};
+  editor.sheetLayouts = Object.fromEntries(Object.entries(layouts).map(([name, layout]) => [name, normalizeSheetLayout(layout)]));
+  editor.columnGroups = orDefault(normalizeColumnGroups, "columnGroups");
+  editor.gradeRules = orDefault(normalizeGradeRules, "gradeRules");
+  editor.attendanceValues = orDefault(normalizeAttendanceValues, "attendanceValues");
+  editor.semesterCalendar = orDefault(normalizeSemesterCalendar, "semesterCalendar");
+  editor.meetingReportOptions = normalizeMeetingReportOptions(editor.meetingReportOptions);
+  editor.overwritePolicy = normalizeOverwritePolicy(editor.overwritePolicy);
+  editor.accumulateDuplicates = editor.accumulateDuplicates === "conflict" ? "conflict" : "sum";
+  editor.editHistory = normalizeEditHistory(editor.editHistory);
+  if (!Array.isArray(editor.previewRows)) editor.previewRows = null;
+  return editor;
+}
+
+/**
+ * Save (or replace, by id) a session and drop the oldest ones past SESSION_LIMIT.
+ * @param {EditorSession} session
+ */
+export async function saveEditorSession(session) {
+  await storePut(STORE, session);
+  const sessions = await listEditorSessions();
+  for (const old of sessions.slice(SESSION_LIMIT)) await storeDelete(STORE, old.id);
+}
+
+/**
+ * Saved sessions, most recent first.
+ * @returns {Promise<EditorSession[]>}
+ */
+export async function listEditorSessions() {
+  const all = (await storeGetAll(STORE)).filter((s) => s?.id && s.editor && typeof s.editor === "object");
+  return all.sort((a, b) => String(b.saved_at).localeCompare(String(a.saved_at)));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<EditorSession|null>}
+ */
+export async function loadEditorSession(id) {
+  return (await storeGet(STORE, String(id))) || null;
+}
+
+/**
+ * @param {string} id
+ */
+export async function deleteEditorSession(id) {
+  await storeDelete(STORE, String(id));
+}
+
+/**
+ * Delete everything the app keeps in this browser: sessions and template profiles.
+ */
+export async function wipeLocalData() {
+  await storeClearAll();
+}
@@ -2,6 +2,16 @@
  * App state container + reset logic (internal).
  */
 
+import {
+  DEFAULT_ATTENDANCE_VALUES,
+  DEFAULT_COLUMN_GROUPS,
+  DEFAULT_HIGHLIGHT_COLORS,
+  DEFAULT_MEETING_REPORT_OPTIONS,
+  DEFAULT_SEMESTER_CALENDAR,
+  DEFAULT_STUDENT_ID_PROFILE,
+} from "../attendance.js";
+import { createEditHistory } from "./editHistory.js";
+
 /**
  * @typedef {Object} AppState
  * @property {ArrayBuffer|null} workbookArrayBuffer
@@ -26,12 +36,31 @@ export function createInitialState() {
       selectedSheetName: "",
       selectedColumnKey: "",
       selectedLocation: null, // null | { sheet, header_row, col_letter } — when set, use only this column (from search)
-      taskType: "attendance", // 'attendance' | 'grade'
+      sheetLayouts: {}, // sheet name -> SheetLayout override (ID/name columns, header row, data rows); missing = detected
+      columnGroups: DEFAULT_COLUMN_GROUPS.map((g) => ({ ...g, keywords: [...g.keywords] })), // column bands opened by row-1 keywords
+      weekKind: "", // column group whose W1, W2 ... columns the Weeks panel lists ('' = first group)
+      semesterCalendar: { ...DEFAULT_SEMESTER_CALENDAR, holidays: [] }, // week 1 start + holiday weeks
+      taskType: "attendance", // 'attendance' | 'grade' | 'accumulate'
+      attendanceValues: DEFAULT_ATTENDANCE_VALUES.map((v) => ({ ...v })), // code/title -> value written (first = default)
+      gradeRules: [], // grade task: GradeRule[] (range, letter grades, rounding) per target column
+      markAbsent: false, // attendance: roster students missing from the input get absentValue
+      absentValue: "0",
+      accumulateDuplicates: "sum", // accumulate: duplicate input IDs 'sum' | 'conflict'
+      idProfile: { ...DEFAULT_STUDENT_ID_PROFILE }, // what counts as a student ID (see attendance.js StudentIdProfile)
+      overwritePolicy: "overwrite", // target cell already filled: overwrite | skipNonEmpty | keepHigher | keepLower | add
+      nameMatching: false, // input lines may carry names; unmatched lines fall back to fuzzy name suggestions
+      gradeTable: false, // grade input is a score table: header line + several score columns
+      gradeTableHeaders: [], // score column names read from the input's header line
+      gradeTableMapping: {}, // score column name -> ColumnOption key ('' = skip)
+      meetingReport: false, // attendance input is a Teams / Zoom participant report
+      meetingReportOptions: { ...DEFAULT_MEETING_REPORT_OPTIONS }, // minutes for present / review (MeetingReportOptions)
 
       // input + preview
-      inputMethod: "file", // 'file' | 'textarea' | 'searchPick'
+      inputMethod: "file", // 'file' | 'textarea' | 'sheetFile' | 'yaqeenScan' | 'searchPick'
       inputFileName: "",
       inputTextContent: null, // For textarea input
+      inputSheet: { fileName: "", sheetName: "", columns: { idCol: -1, nameCol: -1, valueCol: -1, groupCol: -1 } }, // For sheetFile: InputTableColumns
+      yaqeenScan: { fileName: "", sessionStart: "", lateAfterMinutes: "", lateCode: "L" }, // For yaqeenScan: file + YaqeenScanOptions
       chosenStudents: [], // For searchPick: { id, name?, sheet?, row1?, grade? }[]
       originalInputData: null, // Store original parsed data for download
       previewRows: null,
@@ -42,13 +71,16 @@ export function createInitialState() {
       columnOptions: null, // For column search functionality
       // user edits in preview
       manualEditsByIndex: {}, // preview index -> partial overrides
+      editHistory: createEditHistory(), // undo / redo steps for preview edits (EditHistory)
+      reportWorkbook: null, // ReportWorkbookInfo of a report loaded from JSON (kept when re-saved without its workbook)
       
       // highlight settings for download
       highlightEnabled: true, // default: highlight enabled
-      highlightColor: "#FFFF00", // default: yellow
+      highlightColors: { ...DEFAULT_HIGHLIGHT_COLORS }, // per match status: matched / manuallyFixed / ambiguous
+      preserveFormatting: true, // round-trip: patch the original .xlsx instead of rewriting it
       
       // wizard
-      wizardStep: 1, // 1-4
+      wizardStep: 1, // 1-5
     },
     ocr: {
       // OCR experimental feature state
@@ -0,0 +1,252 @@
+/**
+ * Workbook template profiles (internal).
+ *
+ * A profile remembers how a recurring course workbook is laid out so next semester's copy
+ * is set up in one click: sheet-name patterns with their layout, the column groups
+ * (section, lecture ...), the usual target column, highlight settings and the student ID format.
+ * Profiles live in IndexedDB and move between browsers as JSON files.
+ */
+
+import {
+  DEFAULT_COLUMN_GROUPS,
+  DEFAULT_HIGHLIGHT_COLORS,
+  FileError,
+  ValidationError,
+  columnGroupsFromBoundaryKeywords,
+  describeSheetLayouts,
+  normalizeColumnGroups,
+  normalizeSheetLayout,
+  normalizeStudentIdProfile,
+} from "../attendance.js";
+import { storeDelete, storeGetAll, storePut } from "./browserStore.js";
+
+/**
+ * @typedef {import('../attendance.js').SheetLayout} SheetLayout
+ */
+
+/**
+ * @typedef {Object} TemplateProfileSheet
+ * @property {string} pattern   // sheet name with `*` for any text, e.g. "Section *"
+ * @property {SheetLayout} layout
+ */
+
+/**
+ * @typedef {Object} TemplateProfile
+ * @property {string} name
+ * @property {string} saved_at  // ISO timestamp
+ * @property {TemplateProfileSheet[]} sheets
+ * @property {import('../attendance.js').ColumnGroup[]} columnGroups
+ * @property {{key: string, headerText: string}|null} defaultColumn  // headerText holds the header path
+ * @property {{enabled: boolean, colors: {matched: string, manuallyFixed: string, ambiguous: string}}} highlight
+ * @property {import('../attendance.js').StudentIdProfile} idProfile
+ */
+
+const STORE = "templateProfiles";
+const EXPORT_FILE_TYPE = "yaqeen-template-profiles";
+
+/** Below this score a profile is not suggested for a workbook. */
+export const TEMPLATE_MATCH_MIN_SCORE = 0.5;
+
+/**
+ * Pattern for a sheet name: digit runs become `*` so "Section 3" also matches "Section 12".
+ * @param {string} sheetName
+ */
+export function sheetNamePattern(sheetName) {
+  return String(sheetName || "").trim().replace(/\d+/g, "*");
+}
+
+/**
+ * @param {string} sheetName
+ * @param {string} pattern
+ */
+export function sheetMatchesPattern(sheetName, pattern) {
+  const source = String(pattern || "")
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i").test(String(sheetName || "").trim());
+}
+
+/**
+ * Validate a profile read from storage or an imported file.
+ * @param {any} raw
+ * @returns {TemplateProfile}
+ */
+export function normalizeTemplateProfile(raw) {
+  const name = String(raw?.name ?? "").trim();
+  if (!name) throw new ValidationError("Template profile needs a name.");
+
+  const sheets = [];
+  const seen = new Set();
+  for (const s of Array.isArray(raw?.sheets) ? raw.sheets : []) {
+    const pattern = String(s?.pattern ?? "").trim();
+    if (!pattern || seen.has(pattern.toLowerCase())) continue;
+    seen.add(pattern.toLowerCase());
+    sheets.push({ pattern, layout: normalizeSheetLayout(s?.layout) });
+  }
+
+  const key = String(raw?.defaultColumn?.key ?? "").trim();
+  return {
+    name,
+    saved_at: String(raw?.saved_at || new Date().toISOString()),
+    sheets,
+    // profiles saved before column groups carry `boundaryKeywords: {section, lecture}`
+    columnGroups: Array.isArray(raw?.columnGroups)
+      ? normalizeColumnGroups(raw.columnGroups)
+      : columnGroupsFromBoundaryKeywords(raw?.boundaryKeywords),
+    defaultColumn: key ? { key, headerText: String(raw.defaultColumn.headerText ?? key.split("::").slice(1).join("::")) } : null,
+    highlight: {
+      enabled: Boolean(raw?.highlight?.enabled ?? true),
+      colors: { ...DEFAULT_HIGHLIGHT_COLORS, ...(raw?.highlight?.colors || {}) },
+    },
+    idProfile: normalizeStudentIdProfile(raw?.idProfile),
+  };
+}
+
+/**
+ * Capture the current editor setup. Columns and the header row are saved as laid out now
+ * (detected or overridden); data rows only when overridden, since rosters change size.
+ * @param {string} name
+ * @param {any} workbook
+ * @param {any} editor - `state.editor`
+ * @returns {TemplateProfile}
+ */
+export function buildTemplateProfile(name, workbook, editor) {
+  const infos = describeSheetLayouts(workbook, { mode: "multi" }, editor.idProfile, editor.sheetLayouts);
+  /** @type {Map<string, Array<{sheet: string, layout: SheetLayout}>>} */
+  const byPattern = new Map();
+  for (const info of infos) {
+    const { idCol, nameCol, nameCol2, headerRow } = info.effective;
+    const { firstDataRow, lastDataRow } = info.override;
+    const pattern = sheetNamePattern(info.sheet);
+    if (!byPattern.has(pattern)) byPattern.set(pattern, []);
+    byPattern.get(pattern).push({ sheet: info.sheet, layout: { idCol, nameCol, nameCol2, headerRow, firstDataRow, lastDataRow } });
+  }
+  // Sheets sharing a pattern ("Section 1", "Section 2") collapse into one entry when laid out
+  // the same; otherwise each keeps its exact name so no layout is lost.
+  const sheets = [];
+  for (const [pattern, group] of byPattern) {
+    const same = group.every((g) => JSON.stringify(g.layout) === JSON.stringify(group[0].layout));
+    if (same) sheets.push({ pattern, layout: group[0].layout });
+    else for (const g of group) sheets.push({ pattern: g.sheet, layout: g.layout });
+  }
+  const key = String(editor.selectedColumnKey || "");
+  return normalizeTemplateProfile({
+    name,
+    saved_at: new Date().toISOString(),
+    sheets,
+    columnGroups: editor.columnGroups || DEFAULT_COLUMN_GROUPS,
+    defaultColumn: key ? { key, headerText: editor.selectedColumn?.headerPath || key.split("::").slice(1).join("::") } : null,
+    highlight: { enabled: editor.highlightEnabled ?? true, colors: editor.highlightColors },
+    idProfile: editor.idProfile,
+  });
+}
+
+/**
+ * How well a profile fits a workbook: the average of the share of sheets it recognizes
+ * and the share of its patterns found in the workbook (0..1).
+ * @param {TemplateProfile} profile
+ * @param {string[]} sheetNames
+ */
+export function scoreTemplateProfile(profile, sheetNames) {
+  const names = Array.isArray(sheetNames) ? sheetNames : [];
+  const patterns = (profile?.sheets || []).map((s) => s.pattern);
+  if (!names.length || !patterns.length) return { score: 0, matchedSheets: 0, totalSheets: names.length };
+  const matchedSheets = names.filter((n) => patterns.some((p) => sheetMatchesPattern(n, p))).length;
+  const usedPatterns = patterns.filter((p) => names.some((n) => sheetMatchesPattern(n, p))).length;
+  const score = (matchedSheets / names.length + usedPatterns / patterns.length) / 2;
+  return { score, matchedSheets, totalSheets: names.length };
+}
+
+/**
+ * @param {TemplateProfile[]} profiles
+ * @param {string[]} sheetNames
+ * @returns {{profile: TemplateProfile, score: number, matchedSheets: number, totalSheets: number}|null}
+ */
+export function findBestTemplateProfile(profiles, sheetNames) {
+  let best = null;
+  for (const profile of profiles || []) {
+    const result = scoreTemplateProfile(profile, sheetNames);
+    if (result.score < TEMPLATE_MATCH_MIN_SCORE) continue;
+    if (!best || result.score > best.score) best = { profile, ...result };
+  }
+  return best;
+}
+
+/**
+ * Layout overrides for a workbook: each sheet takes the layout of the most specific pattern
+ * it matches (most literal characters, so exact names beat "S*").
+ * @param {TemplateProfile} profile
+ * @param {string[]} sheetNames
+ * @returns {Record<string, SheetLayout>}
+ */
+export function sheetLayoutsFromProfile(profile, sheetNames) {
+  const specificity = (pattern) => pattern.replace(/\*/g, "").length;
+  /** @type {Record<string, SheetLayout>} */
+  const out = {};
+  for (const name of sheetNames || []) {
+    let match = null;
+    for (const s of profile?.sheets || []) {
+      if (!sheetMatchesPattern(name, s.pattern)) continue;
+      if (!match || specificity(s.pattern) > specificity(match.pattern)) match = s;
+    }
+    if (match) out[name] = { ...match.layout };
+  }
+  return out;
+}
+
+/**
+ * Saved profiles sorted by name; records that no longer validate are skipped.
+ * @returns {Promise<TemplateProfile[]>}
+ */
+export async function listTemplateProfiles() {
+  const out = [];
+  for (const raw of await storeGetAll(STORE)) {
+    try {
+      out.push(normalizeTemplateProfile(raw));
+    } catch {
+      // ignore records written by an incompatible version
+    }
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save (or replace, by name) a profile.
+ * @param {TemplateProfile} profile
+ */
+export async function saveTemplateProfile(profile) {
+  await storePut(STORE, normalizeTemplateProfile(profile));
+}
+
+/**
+ * @param {string} name
+ */
+export async function deleteTemplateProfile(name) {
+  await storeDelete(STORE, String(name));
+}
+
+/**
+ * @param {TemplateProfile[]} profiles
+ * @returns {string}
+ */
+export function templateProfilesToJson(profiles) {
+  return JSON.stringify({ type: EXPORT_FILE_TYPE, version: 1, exported_at: new Date().toISOString(), profiles }, null, 2);
+}
+
+/**
+ * Accepts an exported file or a single bare profile object.
+ * @param {string} text
+ * @returns {TemplateProfile[]}
+ */
+export function parseTemplateProfilesJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new FileError("Template profile file is not valid JSON.");
+  }
+  const list = parsed?.type === EXPORT_FILE_TYPE && Array.isArray(parsed.profiles) ? parsed.profiles : parsed?.name ? [parsed] : null;
+  if (!list) throw new FileError("This JSON file does not contain template profiles.");
+  return list.map(normalizeTemplateProfile);
+}
@@ -0,0 +1,468 @@
+/**
+ * Round-trip .xlsx writer (internal).
+ *
+ * SheetJS drops formulas, styles and most sheet properties when a workbook read for
+ * scanning is written back out. For round-trip exports we instead patch the original
+ * .xlsx package in place: only the `<c>` elements for edited cells are rewritten, every
+ * other part (formulas, styles, merges, column widths, conditional formatting, ...) is
+ * copied byte for byte. Uses the zip container bundled with SheetJS (`XLSX.CFB`) and the
+ * browser's DOMParser/XMLSerializer.
+ */
+
+import { FileError, ProcessingError, listEditorCellEdits, highlightRgbForStatus } from "../attendance.js";
+
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS_XML = "http://www.w3.org/XML/1998/namespace";
+
+// Elements that follow <calcPr> in CT_Workbook; a new calcPr must be inserted before them.
+const WORKBOOK_AFTER_CALCPR = [
+  "oleSize",
+  "customWorkbookViews",
+  "pivotCaches",
+  "smartTagPr",
+  "smartTagTypes",
+  "webPublishing",
+  "fileRecoveryPr",
+  "webPublishObjects",
+  "extLst",
+];
+
+function assertRoundTripLibs() {
+  if (typeof window === "undefined" || !window.XLSX || !window.XLSX.CFB) {
+    throw new ProcessingError("XLSX library not loaded. Please refresh the page.");
+  }
+  if (typeof DOMParser === "undefined" || typeof XMLSerializer === "undefined") {
+    throw new ProcessingError("XML support is not available in this browser.");
+  }
+}
+
+/**
+ * Open the buffer as an .xlsx (zip) package that can be patched in place, or null when it is
+ * not one: ODS and CSV sources must use the regular SheetJS export. The zip is read once here
+ * and the package is handed to `writeRoundTripXlsx`.
+ * @param {ArrayBuffer|null} arrayBuffer
+ * @returns {any|null} the `XLSX.CFB` container
+ */
+export function openRoundTripPackage(arrayBuffer) {
+  if (!arrayBuffer || typeof window === "undefined" || !window.XLSX?.CFB) return null;
+  const view = new Uint8Array(arrayBuffer);
+  if (view.length < 2 || view[0] !== 0x50 || view[1] !== 0x4b) return null;
+  try {
+    const cfb = window.XLSX.CFB.read(view, { type: "array" });
+    return window.XLSX.CFB.find(cfb, "/xl/workbook.xml") ? cfb : null;
+  } catch {
+    return null;
+  }
+}
+
+function readPart(cfb, path) {
+  const entry = window.XLSX.CFB.find(cfb, path);
+  if (!entry || !entry.content) return null;
+  return new TextDecoder("utf-8").decode(entry.content);
+}
+
+function writePart(cfb, path, text) {
+  window.XLSX.CFB.utils.cfb_add(cfb, path, new TextEncoder().encode(text));
+}
+
+function parseXml(text, path) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new FileError(`Could not parse '${path}' in the workbook package.`);
+  }
+  return doc;
+}
+
+function serializeXml(doc) {
+  let xml = new XMLSerializer().serializeToString(doc);
+  if (!xml.startsWith("<?xml")) {
+    xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${xml}`;
+  }
+  return xml;
+}
+
+/** Direct children of `parent` with the given local name (namespace-agnostic). */
+function childrenByName(parent, localName) {
+  const out = [];
+  for (let n = parent?.firstChild; n; n = n.nextSibling) {
+    if (n.nodeType === 1 && n.localName === localName) out.push(n);
+  }
+  return out;
+}
+
+function firstChildByName(parent, localName) {
+  return childrenByName(parent, localName)[0] || null;
+}
+
+/** Resolve a relationship target (relative to `xl/`) to an absolute package path. */
+function resolveXlTarget(target) {
+  const t = String(target || "");
+  if (t.startsWith("/")) return t;
+  const parts = ["xl"];
+  for (const seg of t.split("/")) {
+    if (seg === "..") parts.pop();
+    else if (seg && seg !== ".") parts.push(seg);
+  }
+  return `/${parts.join("/")}`;
+}
+
+/**
+ * Map sheet name -> worksheet part path using workbook.xml + its relationships.
+ * @returns {Map<string, string>}
+ */
+function mapSheetParts(cfb) {
+  const wbText = readPart(cfb, "/xl/workbook.xml");
+  const relsText = readPart(cfb, "/xl/_rels/workbook.xml.rels");
+  if (!wbText || !relsText) throw new FileError("Workbook package is missing workbook.xml or its relationships.");
+
+  const rels = parseXml(relsText, "xl/_rels/workbook.xml.rels");
+  /** @type {Map<string, string>} */
+  const targetById = new Map();
+  for (const rel of Array.from(rels.getElementsByTagName("Relationship"))) {
+    targetById.set(rel.getAttribute("Id"), rel.getAttribute("Target"));
+  }
+
+  const wb = parseXml(wbText, "xl/workbook.xml");
+  /** @type {Map<string, string>} */
+  const out = new Map();
+  const sheetsEl = firstChildByName(wb.documentElement, "sheets");
+  for (const sheet of childrenByName(sheetsEl, "sheet")) {
+    const rid = sheet.getAttributeNS(NS_REL, "id") || sheet.getAttribute("r:id");
+    const target = targetById.get(rid);
+    if (target) out.set(sheet.getAttribute("name"), resolveXlTarget(target));
+  }
+  return out;
+}
+
+/**
+ * Ask Excel to recalculate on open (cached formula results may depend on edited cells)
+ * and drop the calc chain, which may reference cells that no longer hold formulas.
+ */
+function forceRecalculation(cfb) {
+  const wbText = readPart(cfb, "/xl/workbook.xml");
+  const wb = parseXml(wbText, "xl/workbook.xml");
+  const root = wb.documentElement;
+  let calcPr = firstChildByName(root, "calcPr");
+  if (!calcPr) {
+    calcPr = wb.createElementNS(NS_MAIN, "calcPr");
+    let before = null;
+    for (let n = root.firstChild; n; n = n.nextSibling) {
+      if (n.nodeType === 1 && WORKBOOK_AFTER_CALCPR.includes(n.localName)) {
+        before = n;
+        break;
+      }
+    }
+    root.insertBefore(calcPr, before);
+  }
+  calcPr.setAttribute("fullCalcOnLoad", "1");
+  writePart(cfb, "/xl/workbook.xml", serializeXml(wb));
+
+  if (!window.XLSX.CFB.find(cfb, "/xl/calcChain.xml")) return;
+  window.XLSX.CFB.utils.cfb_del(cfb, "/xl/calcChain.xml");
+
+  const relsText = readPart(cfb, "/xl/_rels/workbook.xml.rels");
+  if (relsText) {
+    const rels = parseXml(relsText, "xl/_rels/workbook.xml.rels");
+    for (const rel of Array.from(rels.getElementsByTagName("Relationship"))) {
+      if (/calcChain\.xml$/i.test(rel.getAttribute("Target") || "")) rel.parentNode.removeChild(rel);
+    }
+    writePart(cfb, "/xl/_rels/workbook.xml.rels", serializeXml(rels));
+  }
+  const ctText = readPart(cfb, "/[Content_Types].xml");
+  if (ctText) {
+    const ct = parseXml(ctText, "[Content_Types].xml");
+    for (const o of Array.from(ct.getElementsByTagName("Override"))) {
+      if (/calcChain\.xml$/i.test(o.getAttribute("PartName") || "")) o.parentNode.removeChild(o);
+    }
+    writePart(cfb, "/[Content_Types].xml", serializeXml(ct));
+  }
+}
+
+/**
+ * Lazily-loaded styles.xml that can derive "existing style + highlight fill" cell formats.
+ * Each (original style index, fill color) pair is cloned once and reused.
+ */
+function createStylePatcher(cfb) {
+  let doc = null;
+  let fillsEl = null;
+  let cellXfsEl = null;
+  /** @type {Map<string, number>} */
+  const fillIdByRgb = new Map();
+  /** @type {Map<string, number>} */
+  const xfIdByKey = new Map();
+
+  function load() {
+    if (doc) return;
+    const text = readPart(cfb, "/xl/styles.xml");
+    if (!text) throw new FileError("Workbook package has no styles part; cannot apply highlight.");
+    doc = parseXml(text, "xl/styles.xml");
+    fillsEl = firstChildByName(doc.documentElement, "fills");
+    cellXfsEl = firstChildByName(doc.documentElement, "cellXfs");
+    if (!fillsEl || !cellXfsEl) throw new FileError("Workbook styles are incomplete; cannot apply highlight.");
+  }
+
+  function ensureFill(rgb) {
+    if (fillIdByRgb.has(rgb)) return fillIdByRgb.get(rgb);
+    const fill = doc.createElementNS(NS_MAIN, "fill");
+    const pattern = doc.createElementNS(NS_MAIN, "patternFill");
+    pattern.setAttribute("patternType", "solid");
+    const fg = doc.createElementNS(NS_MAIN, "fgColor");
+    fg.setAttribute("rgb", `FF${rgb}`);
+    const bg = doc.createElementNS(NS_MAIN, "bgColor");
+    bg.setAttribute("indexed", "64");
+    pattern.appendChild(fg);
+    pattern.appendChild(bg);
+    fill.appendChild(pattern);
+    fillsEl.appendChild(fill);
+    const id = childrenByName(fillsEl, "fill").length - 1;
+    fillsEl.setAttribute("count", String(id + 1));
+    fillIdByRgb.set(rgb, id);
+    return id;
+  }
+
+  return {
+    /**
+     * @param {number} styleIndex - current `s` of the cell (0 when absent)
+     * @param {string} rgb - RRGGBB
+     * @returns {number} style index with the same font/border/number format plus the fill
+     */
+    withFill(styleIndex, rgb) {
+      load();
+      const key = `${styleIndex}\t${rgb}`;
+      if (xfIdByKey.has(key)) return xfIdByKey.get(key);
+      const xfs = childrenByName(cellXfsEl, "xf");
+      const base = xfs[styleIndex] || xfs[0];
+      const xf = base ? base.cloneNode(true) : doc.createElementNS(NS_MAIN, "xf");
+      xf.setAttribute("fillId", String(ensureFill(rgb)));
+      xf.setAttribute("applyFill", "1");
+      cellXfsEl.appendChild(xf);
+      const id = xfs.length;
+      cellXfsEl.setAttribute("count", String(id + 1));
+      xfIdByKey.set(key, id);
+      return id;
+    },
+    flush() {
+      if (doc) writePart(cfb, "/xl/styles.xml", serializeXml(doc));
+    },
+  };
+}
+
+/** Find or create the <row r=...> element, keeping rows in ascending order. */
+function ensureRow(doc, sheetData, r1) {
+  let before = null;
+  for (const row of childrenByName(sheetData, "row")) {
+    const rAttr = Number.parseInt(row.getAttribute("r") || "", 10);
+    if (!Number.isFinite(rAttr)) throw new FileError("Worksheet rows without row numbers are not supported for round-trip export.");
+    if (rAttr === r1) return row;
+    if (rAttr > r1) {
+      before = row;
+      break;
+    }
+  }
+  const row = doc.createElementNS(NS_MAIN, "row");
+  row.setAttribute("r", String(r1));
+  sheetData.insertBefore(row, before);
+  return row;
+}
+
+/** Find or create the <c r=...> element inside a row, keeping cells in column order. */
+function ensureCell(doc, rowEl, addr) {
+  const { decode_cell } = window.XLSX.utils;
+  const target = decode_cell(addr);
+  let before = null;
+  for (const c of childrenByName(rowEl, "c")) {
+    const ref = c.getAttribute("r");
+    if (!ref) throw new FileError("Worksheet cells without references are not supported for round-trip export.");
+    if (ref === addr) return c;
+    if (decode_cell(ref).c > target.c) {
+      before = c;
+      break;
+    }
+  }
+  const c = doc.createElementNS(NS_MAIN, "c");
+  c.setAttribute("r", addr);
+  rowEl.insertBefore(c, before);
+  return c;
+}
+
+// A1 references outside string literals and quoted sheet names; not followed by "(" (LOG10(...)),
+// "!" (a sheet named like a cell) or more name characters (defined names such as TAX2023_RATE)
+const A1_REF = /(^|[^A-Za-z0-9_.$])(\$?)([A-Z]{1,3})(\$?)([1-9][0-9]{0,6})(?![A-Za-z0-9_.(!])/g;
+// Whole-column / whole-row ranges (A:C, 3:5) and structured or external references ([...])
+const UNSHIFTABLE = /\[|(^|[^A-Za-z0-9_.])\$?[A-Z]{1,3}:\$?[A-Z]{1,3}(?![A-Za-z0-9_(])|(^|[^A-Za-z0-9_.$])\$?[0-9]+:\$?[0-9]+/;
+const MAX_ROW = 1048576;
+const MAX_COL = 16384;
+
+/**
+ * Move the relative references of a formula by whole rows/columns, the way Excel fills a shared
+ * formula from its master cell into the other cells of its range. Throws when the formula uses
+ * references this cannot move safely.
+ */
+function shiftFormula(formula, dr, dc) {
+  const { decode_col, encode_col } = window.XLSX.utils;
+  // Split into literal ("...", '...') and formula segments; only formula segments hold references
+  return formula
+    .split(/("(?:[^"]|"")*"|'(?:[^']|'')*')/)
+    .map((part, i) => {
+      if (i % 2 === 1) return part;
+      if (UNSHIFTABLE.test(part)) throw new FileError("A shared formula uses references that cannot be moved for round-trip export.");
+      return part.replace(A1_REF, (all, lead, colAbs, col, rowAbs, row) => {
+        const c = colAbs ? decode_col(col) : decode_col(col) + dc;
+        const r = rowAbs ? Number(row) : Number(row) + dr;
+        if (decode_col(col) >= MAX_COL || c < 0 || c >= MAX_COL || r < 1 || r > MAX_ROW) {
+          throw new FileError("A shared formula moves outside the sheet; cannot keep it for round-trip export.");
+        }
+        return `${lead}${colAbs}${encode_col(c)}${rowAbs}${r}`;
+      });
+    })
+    .join("");
+}
+
+/**
+ * Before the master cell of a shared formula (`<f t="shared" ref=... si=...>`) loses its formula,
+ * hand the formula to the next cell of its group: the other cells only point at the master by
+ * `si`, and Excel reports the file as corrupt when that master is gone.
+ */
+function releaseSharedFormula(sheetData, c) {
+  const f = firstChildByName(c, "f");
+  if (!f || f.getAttribute("t") !== "shared" || !f.hasAttribute("ref")) return;
+  const si = f.getAttribute("si");
+  const followers = [];
+  for (const row of childrenByName(sheetData, "row")) {
+    for (const cell of childrenByName(row, "c")) {
+      if (cell === c) continue;
+      const g = firstChildByName(cell, "f");
+      if (g && g.getAttribute("t") === "shared" && g.getAttribute("si") === si && !g.hasAttribute("ref")) followers.push(cell);
+    }
+  }
+  if (!followers.length) return;
+
+  const { decode_cell, encode_range } = window.XLSX.utils;
+  const from = decode_cell(c.getAttribute("r"));
+  const next = followers[0];
+  const to = decode_cell(next.getAttribute("r"));
+  const formula = shiftFormula(f.textContent || "", to.r - from.r, to.c - from.c);
+  const range = { s: { ...to }, e: { ...to } };
+  for (const cell of followers) {
+    const at = decode_cell(cell.getAttribute("r"));
+    range.s.r = Math.min(range.s.r, at.r);
+    range.s.c = Math.min(range.s.c, at.c);
+    range.e.r = Math.max(range.e.r, at.r);
+    range.e.c = Math.max(range.e.c, at.c);
+  }
+
+  const moved = f.cloneNode(false);
+  moved.setAttribute("ref", encode_range(range));
+  moved.textContent = formula;
+  next.replaceChild(moved, firstChildByName(next, "f"));
+}
+
+/** Replace the cell's value (and any formula) while keeping its style index. */
+function setCellValue(doc, c, value) {
+  for (const name of ["f", "v", "is"]) {
+    for (const n of childrenByName(c, name)) c.removeChild(n);
+  }
+  c.removeAttribute("cm");
+  c.removeAttribute("vm");
+
+  if (value === null || value === undefined || value === "") {
+    c.removeAttribute("t");
+    return;
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    c.removeAttribute("t");
+    const v = doc.createElementNS(NS_MAIN, "v");
+    v.textContent = String(value);
+    c.appendChild(v);
+    return;
+  }
+  if (typeof value === "boolean") {
+    c.setAttribute("t", "b");
+    const v = doc.createElementNS(NS_MAIN, "v");
+    v.textContent = value ? "1" : "0";
+    c.appendChild(v);
+    return;
+  }
+  // Inline strings avoid touching the shared strings table.
+  c.setAttribute("t", "inlineStr");
+  const is = doc.createElementNS(NS_MAIN, "is");
+  const t = doc.createElementNS(NS_MAIN, "t");
+  t.setAttributeNS(NS_XML, "xml:space", "preserve");
+  t.textContent = String(value);
+  is.appendChild(t);
+  c.appendChild(is);
+}
+
+/** Grow <dimension ref> when an edit lands outside the recorded used range. */
+function extendDimension(doc, addr) {
+  const dim = firstChildByName(doc.documentElement, "dimension");
+  if (!dim) return;
+  const { decode_range, decode_cell, encode_range } = window.XLSX.utils;
+  const ref = dim.getAttribute("ref") || "A1";
+  const range = decode_range(ref.includes(":") ? ref : `${ref}:${ref}`);
+  const cell = decode_cell(addr);
+  range.s.r = Math.min(range.s.r, cell.r);
+  range.s.c = Math.min(range.s.c, cell.c);
+  range.e.r = Math.max(range.e.r, cell.r);
+  range.e.c = Math.max(range.e.c, cell.c);
+  dim.setAttribute("ref", encode_range(range));
+}
+
+/**
+ * Write the preview edits into the original .xlsx package.
+ * Only cells listed by `listEditorCellEdits` change; everything else in the file is preserved.
+ *
+ * @param {any} cfb - package from `openRoundTripPackage` (patched in place; open a new one per export)
+ * @param {import('../attendance.js').EditorPreviewRow[]} previewRows - active (non-discarded) rows
+ * @param {{ highlightEnabled?: boolean, highlightColors?: string|Record<string, string> }} [options]
+ * @returns {Uint8Array} new .xlsx bytes
+ */
+export function writeRoundTripXlsx(cfb, previewRows, options = {}) {
+  assertRoundTripLibs();
+  if (!cfb) {
+    throw new FileError("Round-trip export needs an .xlsx source file.");
+  }
+  const highlightEnabled = Boolean(options.highlightEnabled);
+
+  const partBySheet = mapSheetParts(cfb);
+  const styles = createStylePatcher(cfb);
+
+  /** @type {Map<string, Array<{ cell: string, value: any, status: string }>>} */
+  const editsByPart = new Map();
+  for (const edit of listEditorCellEdits(previewRows)) {
+    const part = partBySheet.get(edit.sheet);
+    if (!part) continue;
+    if (!editsByPart.has(part)) editsByPart.set(part, []);
+    editsByPart.get(part).push({ cell: edit.cell, value: edit.value, status: edit.row?.match_status });
+  }
+
+  for (const [part, edits] of editsByPart) {
+    const text = readPart(cfb, part);
+    if (!text) throw new FileError(`Worksheet part '${part}' is missing from the workbook package.`);
+    const doc = parseXml(text, part);
+    const sheetData = firstChildByName(doc.documentElement, "sheetData");
+    if (!sheetData) throw new FileError(`Worksheet part '${part}' has no cell data.`);
+
+    for (const { cell, value, status } of edits) {
+      const { r } = window.XLSX.utils.decode_cell(cell);
+      const rowEl = ensureRow(doc, sheetData, r + 1);
+      const c = ensureCell(doc, rowEl, cell);
+      releaseSharedFormula(sheetData, c);
+      setCellValue(doc, c, value);
+      if (highlightEnabled) {
+        const rgb = highlightRgbForStatus(options.highlightColors, status);
+        const styleIndex = Number.parseInt(c.getAttribute("s") || "0", 10) || 0;
+        c.setAttribute("s", String(styles.withFill(styleIndex, rgb)));
+      }
+      extendDimension(doc, cell);
+    }
+    writePart(cfb, part, serializeXml(doc));
+  }
+
+  styles.flush();
+  if (editsByPart.size > 0) forceRecalculation(cfb);
+
+  const out = window.XLSX.CFB.write(cfb, { fileType: "zip", type: "array" });
+  return out instanceof Uint8Array ? out : new Uint8Array(out);
+}